@@ -0,0 +1,14 @@
+import cleanup from 'rollup-plugin-cleanup'
+import filesize from 'rollup-plugin-filesize'
+
+export default {
+  input: 'src/index.js',
+  plugins: [cleanup()],
+  output: [
+    {
+      file: 'dist/fe-fwk-compiler.js',
+      format: 'esm',
+      plugins: [filesize()],
+    },
+  ],
+}
@@ -0,0 +1,185 @@
+import { describe, expect, test } from 'vitest'
+import { compile, compileToFunction } from '..'
+
+const helpers = {
+  h: (tag, props = {}, children = []) => ({
+    tag,
+    props,
+    children: children.filter((child) => child != null),
+  }),
+  hFragment: (children) => ({
+    fragment: children.filter((child) => child != null),
+  }),
+  hString: (value) => String(value),
+  hSlot: (children = []) => ({ slot: children }),
+}
+
+function render(template, component = {}, scope = {}) {
+  const renderFn = compileToFunction(template, { ...helpers, ...scope })
+  return renderFn.call({ state: {}, props: {}, ...component })
+}
+
+describe('compiling templates into render functions', () => {
+  test('generates code calling the runtime helpers', () => {
+    expect(compile('<p class="msg">{{ state.count }} items</p>')).toBe(
+      [
+        'function render() {',
+        '  const { state, props } = this',
+        '  return h("p", { "class": "msg" }, [',
+        '    hString("" + (state.count) + " items"),',
+        '  ])',
+        '}',
+      ].join('\n')
+    )
+  })
+
+  test('interpolates state and props', () => {
+    const vdom = render('<p>{{ props.greeting }}, {{ state.name }}!</p>', {
+      state: { name: 'Ann' },
+      props: { greeting: 'Hello' },
+    })
+
+    expect(vdom).toEqual({ tag: 'p', props: {}, children: ['Hello, Ann!'] })
+  })
+
+  test('static, bound and boolean props', () => {
+    const vdom = render(
+      '<input type="text" :value="state.text" disabled style="font-size: 12px; color: red">',
+      { state: { text: 'abc' } }
+    )
+
+    expect(vdom.props).toEqual({
+      type: 'text',
+      value: 'abc',
+      disabled: true,
+      style: { fontSize: '12px', color: 'red' },
+    })
+  })
+
+  test('event handlers bind methods and wrap inline expressions', () => {
+    const component = {
+      state: {},
+      props: {},
+      calls: [],
+      add(arg) {
+        this.calls.push(['add', arg])
+      },
+    }
+    const vdom = render(
+      '<div><button @click="add">+</button><button @click="this.add($event * 2)">x2</button></div>',
+      component
+    )
+    const [plus, double] = vdom.children
+
+    plus.props.on.click.call(component, 1)
+    double.props.on.click.call(component, 2)
+
+    expect(component.calls).toEqual([
+      ['add', 1],
+      ['add', 4],
+    ])
+  })
+
+  test('several top-level nodes are wrapped in a fragment', () => {
+    expect(render('<h1>Title</h1><p>Body</p>')).toEqual({
+      fragment: [
+        { tag: 'h1', props: {}, children: ['Title'] },
+        { tag: 'p', props: {}, children: ['Body'] },
+      ],
+    })
+  })
+
+  test('v-if, v-else-if and v-else', () => {
+    const template = `
+      <div>
+        <p v-if="state.n > 1">many</p>
+        <p v-else-if="state.n === 1">one</p>
+        <p v-else>none</p>
+      </div>`
+
+    expect(render(template, { state: { n: 3 } }).children).toEqual([
+      { tag: 'p', props: {}, children: ['many'] },
+    ])
+    expect(render(template, { state: { n: 1 } }).children).toEqual([
+      { tag: 'p', props: {}, children: ['one'] },
+    ])
+    expect(render(template, { state: { n: 0 } }).children).toEqual([
+      { tag: 'p', props: {}, children: ['none'] },
+    ])
+  })
+
+  test('v-for with keys and index', () => {
+    const vdom = render(
+      '<ul><li v-for="(todo, i) in state.todos" :key="todo.id">{{ i }}: {{ todo.text }}</li></ul>',
+      {
+        state: {
+          todos: [
+            { id: 'a', text: 'Walk' },
+            { id: 'b', text: 'Cook' },
+          ],
+        },
+      }
+    )
+
+    expect(vdom.children).toEqual([
+      { tag: 'li', props: { key: 'a' }, children: ['0: Walk'] },
+      { tag: 'li', props: { key: 'b' }, children: ['1: Cook'] },
+    ])
+  })
+
+  test('v-for combined with v-if filters the items', () => {
+    const vdom = render(
+      '<ul><li v-for="n in state.numbers" v-if="n % 2 === 0" :key="n">{{ n }}</li></ul>',
+      { state: { numbers: [1, 2, 3, 4] } }
+    )
+
+    expect(vdom.children.map(({ children }) => children[0])).toEqual([
+      '2',
+      '4',
+    ])
+  })
+
+  test('components, slots and templates', () => {
+    const Card = { name: 'Card' }
+    const vdom = render(
+      '<Card :title="props.title" @close="onClose"><template><slot>Default</slot></template></Card>',
+      { props: { title: 'Hi' }, onClose() {} },
+      { Card }
+    )
+
+    expect(vdom.tag).toBe(Card)
+    expect(vdom.props.title).toBe('Hi')
+    expect(vdom.props.on.close).toBeTypeOf('function')
+    expect(vdom.children).toEqual([{ fragment: [{ slot: ['Default'] }] }])
+  })
+
+  test('the runtime helpers are required in the scope', () => {
+    expect(() => compileToFunction('<p></p>', { h: helpers.h })).toThrow(
+      /Missing runtime helpers in scope: hFragment, hString, hSlot/
+    )
+  })
+})
+
+describe('compile errors', () => {
+  test.each([
+    [
+      '<div>\n  <p v-else>no</p>\n</div>',
+      '"v-else" must follow an element with "v-if" or "v-else-if" (2:6)',
+    ],
+    [
+      '<ul>\n  <li v-for="todo of">x</li>\n</ul>',
+      'Invalid "v-for" expression "todo of"',
+    ],
+    ['<p v-if>x</p>', '"v-if" requires a value (1:4)'],
+    ['<p>\n  {{ state. }}\n</p>', 'Invalid expression "state."'],
+    ['<p :title="a b"></p>', 'Invalid expression "a b"'],
+  ])('%s', (template, message) => {
+    expect(() => compile(template)).toThrowError(message)
+  })
+
+  test('invalid expressions report their location', () => {
+    expect(() => compile('<p>\n  {{ state. }}\n</p>')).toThrowError(
+      /\(2:3\)$/
+    )
+  })
+})
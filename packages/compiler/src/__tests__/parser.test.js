@@ -0,0 +1,119 @@
+import { describe, expect, test } from 'vitest'
+import { CompilerError } from '../errors'
+import { parse } from '../parser'
+
+describe('parsing valid templates', () => {
+  test('elements with attributes and children', () => {
+    const ast = parse(
+      '<div class="box" :id="state.id" @click="select" hidden><p>Hi</p></div>'
+    )
+
+    expect(ast).toEqual({
+      type: 'root',
+      children: [
+        {
+          type: 'element',
+          tag: 'div',
+          attrs: [
+            { name: 'class', value: 'box', loc: expect.any(Object) },
+            { name: ':id', value: 'state.id', loc: expect.any(Object) },
+            { name: '@click', value: 'select', loc: expect.any(Object) },
+            { name: 'hidden', value: null, loc: expect.any(Object) },
+          ],
+          loc: { offset: 0, line: 1, column: 1 },
+          children: [
+            {
+              type: 'element',
+              tag: 'p',
+              attrs: [],
+              loc: expect.any(Object),
+              children: [
+                { type: 'text', parts: ['Hi'], loc: expect.any(Object) },
+              ],
+            },
+          ],
+        },
+      ],
+    })
+  })
+
+  test('text with interpolations', () => {
+    const [text] = parse('Hello, {{ props.name }}!').children
+
+    expect(text.parts).toEqual([
+      'Hello, ',
+      { expression: 'props.name', loc: { offset: 7, line: 1, column: 8 } },
+      '!',
+    ])
+  })
+
+  test('void and self-closing elements have no children', () => {
+    const { children } = parse('<input type="text"><br/><Child />')
+
+    expect(children.map(({ tag }) => tag)).toEqual(['input', 'br', 'Child'])
+    expect(children.every((child) => child.children.length === 0)).toBe(
+      true
+    )
+  })
+
+  test('comments and blank text are discarded', () => {
+    const { children } = parse(`
+      <!-- a comment -->
+      <p>
+        Some   text
+      </p>
+    `)
+
+    expect(children).toHaveLength(1)
+    expect(children[0].children[0].parts).toEqual(['Some text'])
+  })
+
+  test('entities are decoded', () => {
+    const [p] = parse(
+      '<p title="&quot;a&quot;">1 &lt; 2 &amp;&amp; 3 &gt; 2</p>'
+    ).children
+
+    expect(p.attrs[0].value).toBe('"a"')
+    expect(p.children[0].parts).toEqual(['1 < 2 && 3 > 2'])
+  })
+
+  test('locations span several lines', () => {
+    const [ul] = parse('<ul>\n  <li>One</li>\n</ul>').children
+
+    expect(ul.children[0].loc).toEqual({ offset: 7, line: 2, column: 3 })
+  })
+})
+
+describe('parsing malformed templates', () => {
+  test.each([
+    [
+      '<div><p></div>',
+      'Unexpected closing tag </div>, expected </p> (1:9)',
+    ],
+    [
+      '<div>\n  <p>Hi</p>',
+      'Element <div> is missing its closing tag (1:1)',
+    ],
+    ['</p>', 'Unexpected closing tag </p> (1:1)'],
+    ['<p>{{ count </p>', 'Unterminated interpolation, missing "}}" (1:4)'],
+    ['<p>{{ }}</p>', 'Empty interpolation (1:4)'],
+    ['<p class="a></p>', 'Unterminated value for attribute "class" (1:10)'],
+    ['<p a="1" a="2"></p>', 'Duplicate attribute "a" (1:10)'],
+    ['<div\n  class="a"', "Opening tag <div> isn't closed (2:12)"],
+    ['<!-- never closed', 'Unterminated comment (1:1)'],
+  ])('%s', (template, message) => {
+    expect(() => parse(template)).toThrowError(message)
+  })
+
+  test('errors expose the line and column', () => {
+    try {
+      parse('<ul>\n  <li></ul>')
+    } catch (error) {
+      expect(error).toBeInstanceOf(CompilerError)
+      expect(error.line).toBe(2)
+      expect(error.column).toBe(7)
+    }
+
+    expect.assertions(3)
+  })
+})
@@ -0,0 +1,448 @@
+import { CompilerError } from './errors'
+import { NODE_TYPES } from './parser'
+
+/**
+ * The runtime functions the generated render function calls. They must be in
+ * scope where the generated code is evaluated.
+ */
+export const RUNTIME_HELPERS = ['h', 'hFragment', 'hString', 'hSlot']
+
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*$/
+const MEMBER_PATH_REGEX = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)+$/
+const FOR_REGEX =
+  /^\s*(?:\(\s*([A-Za-z_$][\w$]*)\s*(?:,\s*([A-Za-z_$][\w$]*)\s*)?\)|([A-Za-z_$][\w$]*))\s+(?:in|of)\s+([\s\S]+)$/
+
+const DIRECTIVES = {
+  IF: 'v-if',
+  ELSE_IF: 'v-else-if',
+  ELSE: 'v-else',
+  FOR: 'v-for',
+}
+
+/**
+ * @typedef Mapping
+ * @type {object}
+ * @property {{line: number, column: number}} generated - The position in the generated code (1-based line, 0-based column).
+ * @property {{line: number, column: number}} original - The position in the template (1-based line, 0-based column).
+ */
+
+/**
+ * @typedef GeneratedCode
+ * @type {object}
+ * @property {string} code - The source code of the `render()` function.
+ * @property {Mapping[]} mappings - The mappings between the generated code and the template.
+ */
+
+/**
+ * Generates the source code of a `render()` function from the tree of nodes
+ * produced by `parse()`. The render function calls the `h()`, `hFragment()`,
+ * `hString()` and `hSlot()` functions to create the virtual nodes.
+ *
+ * The expressions in the template are evaluated inside the render function,
+ * where `this` is the component, and `state` and `props` are shortcuts to
+ * `this.state` and `this.props`. The component's methods are accessed through
+ * `this`, like in `@click="this.remove(index)"`.
+ *
+ * The mappings relate each generated virtual node to the location of the
+ * markup that produced it, so a source map can be created from them.
+ *
+ * @param {import('./parser').RootNode} ast the root node of the template
+ * @returns {GeneratedCode} the generated code and its mappings
+ * @throws {CompilerError} if a directive or an expression is invalid
+ */
+export function generate(ast) {
+  const builder = new CodeBuilder()
+
+  builder.write('function render() {')
+  builder.indent()
+  builder.newline()
+  builder.write('const { state, props } = this')
+  builder.newline()
+  builder.write('return ')
+  genRoot(ast, builder)
+  builder.dedent()
+  builder.newline()
+  builder.write('}')
+
+  return { code: builder.code, mappings: builder.mappings }
+}
+
+function genRoot(ast, builder) {
+  const { children } = ast
+  const [onlyChild] = children
+
+  // A single element that isn't conditional or repeated can be the top-level
+  // node. Otherwise, the nodes are wrapped in a fragment.
+  if (
+    children.length === 1 &&
+    onlyChild.type === NODE_TYPES.ELEMENT &&
+    !findAttr(onlyChild, DIRECTIVES.IF) &&
+    !findAttr(onlyChild, DIRECTIVES.FOR)
+  ) {
+    genElement(onlyChild, builder)
+    return
+  }
+
+  builder.write('hFragment(')
+  genChildren(children, builder)
+  builder.write(')')
+}
+
+/**
+ * Generates the array of children, grouping the `v-if`, `v-else-if` and
+ * `v-else` siblings into a single conditional expression.
+ */
+function genChildren(children, builder) {
+  if (children.length === 0) {
+    builder.write('[]')
+    return
+  }
+
+  builder.write('[')
+  builder.indent()
+
+  for (let i = 0; i < children.length; i++) {
+    const child = children[i]
+    builder.newline()
+
+    if (child.type === NODE_TYPES.ELEMENT) {
+      if (
+        findAttr(child, DIRECTIVES.ELSE_IF) ||
+        findAttr(child, DIRECTIVES.ELSE)
+      ) {
+        const attr =
+          findAttr(child, DIRECTIVES.ELSE_IF) ??
+          findAttr(child, DIRECTIVES.ELSE)
+        throw new CompilerError(
+          `"${attr.name}" must follow an element with "v-if" or "v-else-if"`,
+          attr.loc
+        )
+      }
+
+      // When an element has both "v-for" and "v-if", the "v-for" takes
+      // precedence and the condition is evaluated for each item.
+      if (
+        findAttr(child, DIRECTIVES.IF) &&
+        !findAttr(child, DIRECTIVES.FOR)
+      ) {
+        const branches = collectBranches(children, i)
+        genConditional(branches, builder)
+        i += branches.length - 1
+      } else {
+        genNode(child, builder)
+      }
+    } else {
+      genNode(child, builder)
+    }
+
+    builder.write(',')
+  }
+
+  builder.dedent()
+  builder.newline()
+  builder.write(']')
+}
+
+function collectBranches(children, start) {
+  const branches = [children[start]]
+
+  for (let i = start + 1; i < children.length; i++) {
+    const sibling = children[i]
+    const isBranch =
+      sibling.type === NODE_TYPES.ELEMENT &&
+      (findAttr(sibling, DIRECTIVES.ELSE_IF) ||
+        findAttr(sibling, DIRECTIVES.ELSE))
+
+    if (!isBranch) {
+      break
+    }
+
+    branches.push(sibling)
+
+    if (findAttr(sibling, DIRECTIVES.ELSE)) {
+      break
+    }
+  }
+
+  return branches
+}
+
+function genConditional(branches, builder) {
+  for (const branch of branches) {
+    const condition =
+      findAttr(branch, DIRECTIVES.IF) ??
+      findAttr(branch, DIRECTIVES.ELSE_IF)
+
+    if (condition) {
+      builder.write(`(${expression(condition)}) ? `)
+      genBranch(branch, builder)
+      builder.write(' : ')
+    } else {
+      genBranch(branch, builder)
+      return
+    }
+  }
+
+  builder.write('null')
+}
+
+// A repeated branch spreads its items, so it's wrapped in a fragment to be
+// a single expression.
+function genBranch(node, builder) {
+  if (findAttr(node, DIRECTIVES.FOR)) {
+    builder.write('hFragment([')
+    genNode(node, builder)
+    builder.write('])')
+  } else {
+    genNode(node, builder)
+  }
+}
+
+function genNode(node, builder) {
+  if (node.type === NODE_TYPES.TEXT) {
+    genText(node, builder)
+    return
+  }
+
+  const forAttr = findAttr(node, DIRECTIVES.FOR)
+  if (forAttr) {
+    genFor(node, forAttr, builder)
+    return
+  }
+
+  genElement(node, builder)
+}
+
+function genText(node, builder) {
+  builder.mark(node.loc)
+
+  const parts = node.parts.map((part) =>
+    typeof part === 'string'
+      ? JSON.stringify(part)
+      : `(${validExpression(part.expression, part.loc)})`
+  )
+
+  // Starting with a string prevents adding up numbers instead of concatenating.
+  if (parts.length > 1 && typeof node.parts[0] !== 'string') {
+    parts.unshift('""')
+  }
+
+  builder.write(`hString(${parts.join(' + ')})`)
+}
+
+function genFor(node, forAttr, builder) {
+  const match = forAttr.value?.match(FOR_REGEX)
+
+  if (!match) {
+    throw new CompilerError(
+      `Invalid "v-for" expression "${forAttr.value}", expected "item in items" or "(item, index) in items"`,
+      forAttr.loc
+    )
+  }
+
+  const [, item1, index = 'index', item2, list] = match
+  const item = item1 ?? item2
+  const ifAttr = findAttr(node, DIRECTIVES.IF)
+
+  builder.mark(node.loc)
+  builder.write(
+    `...(${validExpression(list, forAttr.loc)}).map((${item}, ${index}) => `
+  )
+
+  if (ifAttr) {
+    builder.write(`(${expression(ifAttr)}) ? `)
+    genElement(node, builder)
+    builder.write(' : null')
+  } else {
+    genElement(node, builder)
+  }
+
+  builder.write(')')
+}
+
+function genElement(node, builder) {
+  const { tag, children } = node
+  builder.mark(node.loc)
+
+  if (tag === 'slot') {
+    builder.write('hSlot(')
+    genChildren(children, builder)
+    builder.write(')')
+    return
+  }
+
+  if (tag === 'template') {
+    builder.write('hFragment(')
+    genChildren(children, builder)
+    builder.write(')')
+    return
+  }
+
+  const tagCode = isComponent(tag) ? tag : JSON.stringify(tag)
+
+  builder.write(`h(${tagCode}, ${genProps(node)}, `)
+  genChildren(children, builder)
+  builder.write(')')
+}
+
+/**
+ * Generates the props object of an element or component:
+ *
+ * - `name="value"`: a static prop. Static `style` is converted into an object.
+ * - `name`: a boolean prop set to `true`.
+ * - `:name="expression"` or `v-bind:name`: a prop bound to an expression.
+ * - `@event="handler"` or `v-on:event`: an event handler. A method name is bound
+ *   to the component (`this.handler`). Other expressions are wrapped in an arrow
+ *   function receiving the event as `$event`.
+ */
+function genProps(node) {
+  const props = []
+  const events = []
+
+  for (const attr of node.attrs) {
+    const { name, value } = attr
+
+    if (Object.values(DIRECTIVES).includes(name)) {
+      continue
+    }
+
+    if (name.startsWith('@') || name.startsWith('v-on:')) {
+      const eventName = name.replace(/^(@|v-on:)/, '')
+      events.push(`${JSON.stringify(eventName)}: ${genHandler(attr)}`)
+    } else if (name.startsWith(':') || name.startsWith('v-bind:')) {
+      const propName = name.replace(/^(:|v-bind:)/, '')
+      props.push(`${JSON.stringify(propName)}: (${expression(attr)})`)
+    } else if (value == null) {
+      props.push(`${JSON.stringify(name)}: true`)
+    } else if (name === 'style') {
+      props.push(`"style": ${JSON.stringify(parseStyle(value))}`)
+    } else {
+      props.push(`${JSON.stringify(name)}: ${JSON.stringify(value)}`)
+    }
+  }
+
+  if (events.length > 0) {
+    props.push(`"on": { ${events.join(', ')} }`)
+  }
+
+  return props.length > 0 ? `{ ${props.join(', ')} }` : '{}'
+}
+
+function genHandler(attr) {
+  const handler = expression(attr)
+
+  if (IDENTIFIER_REGEX.test(handler)) {
+    return `this.${handler}`
+  }
+
+  if (MEMBER_PATH_REGEX.test(handler)) {
+    return handler
+  }
+
+  return `($event) => (${handler})`
+}
+
+function expression(attr) {
+  if (attr.value == null || attr.value.trim() === '') {
+    throw new CompilerError(`"${attr.name}" requires a value`, attr.loc)
+  }
+
+  return validExpression(attr.value.trim(), attr.loc)
+}
+
+/**
+ * Checks that the expression is valid JavaScript, so the syntax errors are
+ * reported with the location in the template, instead of when the generated
+ * code is evaluated.
+ */
+function validExpression(expr, loc) {
+  try {
+    new Function(`return (${expr})`)
+  } catch (error) {
+    throw new CompilerError(
+      `Invalid expression "${expr}": ${error.message}`,
+      loc
+    )
+  }
+
+  return expr
+}
+
+function parseStyle(style) {
+  return Object.fromEntries(
+    style
+      .split(';')
+      .map((declaration) => declaration.split(':'))
+      .filter(([prop, value]) => prop.trim() && value?.trim())
+      .map(([prop, ...value]) => [
+        toCamelCase(prop.trim()),
+        value.join(':').trim(),
+      ])
+  )
+}
+
+function toCamelCase(str) {
+  return str.replace(/-([a-z])/g, (_, char) => char.toUpperCase())
+}
+
+function isComponent(tag) {
+  return /^[A-Z]/.test(tag)
+}
+
+function findAttr(node, name) {
+  return node.attrs.find((attr) => attr.name === name)
+}
+
+/**
+ * Accumulates the generated code, keeping track of the current line and
+ * column to record the mappings to the template.
+ */
+class CodeBuilder {
+  #code = ''
+  #line = 1
+  #column = 0
+  #indentLevel = 0
+  /** @type {Mapping[]} */
+  #mappings = []
+
+  get code() {
+    return this.#code
+  }
+
+  get mappings() {
+    return this.#mappings
+  }
+
+  write(str) {
+    this.#code += str
+    this.#column += str.length
+  }
+
+  newline() {
+    const indentation = '  '.repeat(this.#indentLevel)
+
+    this.#code += `\n${indentation}`
+    this.#line++
+    this.#column = indentation.length
+  }
+
+  indent() {
+    this.#indentLevel++
+  }
+
+  dedent() {
+    this.#indentLevel--
+  }
+
+  /**
+   * Records that the code written next comes from the given template location.
+   *
+   * @param {import('./errors').SourceLocation} loc the location in the template
+   */
+  mark(loc) {
+    this.#mappings.push({
+      generated: { line: this.#line, column: this.#column },
+      original: { line: loc.line, column: loc.column - 1 },
+    })
+  }
+}
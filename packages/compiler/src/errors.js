@@ -0,0 +1,27 @@
+/**
+ * @typedef SourceLocation
+ * @type {object}
+ * @property {number} offset - The index of the character in the template string.
+ * @property {number} line - The line number, starting at 1.
+ * @property {number} column - The column number, starting at 1.
+ */
+
+/**
+ * Error thrown when a template can't be compiled. The message includes the
+ * line and column of the offending markup, which are also available as
+ * properties of the error.
+ */
+export class CompilerError extends SyntaxError {
+  /**
+   * @param {string} message the description of the error
+   * @param {SourceLocation} loc the location of the offending markup
+   */
+  constructor(message, loc) {
+    super(`${message} (${loc.line}:${loc.column})`)
+
+    this.name = 'CompilerError'
+    this.line = loc.line
+    this.column = loc.column
+    this.offset = loc.offset
+  }
+}
@@ -0,0 +1,62 @@
+import { generate, RUNTIME_HELPERS } from './codegen'
+import { parse } from './parser'
+
+export { CompilerError } from './errors'
+export { generate, RUNTIME_HELPERS } from './codegen'
+export { parse } from './parser'
+
+/**
+ * Compiles an HTML template into the source code of a `render()` function.
+ * The code calls the `h()`, `hFragment()`, `hString()` and `hSlot()` functions,
+ * which must be in scope where it's evaluated, as well as the components used
+ * in the template (tags starting with an uppercase letter).
+ *
+ * ```js
+ * compile('<p>{{ state.count }}</p>')
+ * // function render() {
+ * //   const { state, props } = this
+ * //   return h("p", {}, [
+ * //     hString((state.count)),
+ * //   ])
+ * // }
+ * ```
+ *
+ * @param {string} template the HTML template
+ * @returns {string} the source code of the render function
+ * @throws {import('./errors').CompilerError} if the template can't be compiled
+ */
+export function compile(template) {
+  return generate(parse(template)).code
+}
+
+/**
+ * Compiles an HTML template into a `render()` function that can be passed to
+ * `defineComponent()`. The scope must include the runtime helpers (`h()`,
+ * `hFragment()`, `hString()` and `hSlot()`) and the components used in the
+ * template.
+ *
+ * ```js
+ * import { h, hFragment, hString, hSlot } from 'fe-fwk'
+ *
+ * const render = compileToFunction(template, { h, hFragment, hString, hSlot, TodoItem })
+ * ```
+ *
+ * @param {string} template the HTML template
+ * @param {Object.<string, any>} scope the variables available to the render function
+ * @returns {Function} the render function
+ * @throws {import('./errors').CompilerError} if the template can't be compiled
+ */
+export function compileToFunction(template, scope) {
+  const missingHelpers = RUNTIME_HELPERS.filter((name) => !(name in scope))
+  if (missingHelpers.length > 0) {
+    throw new Error(
+      `[compiler] Missing runtime helpers in scope: ${missingHelpers.join(', ')}`
+    )
+  }
+
+  const code = compile(template)
+  const names = Object.keys(scope)
+  const values = Object.values(scope)
+
+  return new Function(...names, `return ${code}`)(...values)
+}
@@ -0,0 +1,434 @@
+import { CompilerError } from './errors'
+
+export const NODE_TYPES = {
+  ROOT: 'root',
+  ELEMENT: 'element',
+  TEXT: 'text',
+}
+
+/**
+ * Elements that can't have children, so they don't need a closing tag.
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Glossary/Void_element}
+ */
+const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'source',
+  'track',
+  'wbr',
+])
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&apos;': "'",
+  '&nbsp;': '\u00a0',
+}
+
+const TAG_NAME_REGEX = /^[a-zA-Z][\w-]*/
+const ATTR_NAME_REGEX = /^[^\s"'<>/=]+/
+const UNQUOTED_ATTR_VALUE_REGEX = /^[^\s"'<>=`]+/
+
+/**
+ * @typedef RootNode
+ * @type {object}
+ * @property {string} type - The type of the node = 'root'.
+ * @property {TemplateNode[]} children - The top-level nodes of the template.
+ */
+
+/**
+ * @typedef ElementNode
+ * @type {object}
+ * @property {string} type - The type of the node = 'element'.
+ * @property {string} tag - The tag name, as written in the template.
+ * @property {Attribute[]} attrs - The attributes, in the order they were written.
+ * @property {TemplateNode[]} children - The child nodes.
+ * @property {import('./errors').SourceLocation} loc - The location of the opening tag.
+ */
+
+/**
+ * @typedef Attribute
+ * @type {object}
+ * @property {string} name - The name of the attribute, including its prefix (`:`, `@`, `v-`).
+ * @property {(string|null)} value - The value of the attribute, or `null` if it has no value.
+ * @property {import('./errors').SourceLocation} loc - The location of the attribute.
+ */
+
+/**
+ * @typedef TextNode
+ * @type {object}
+ * @property {string} type - The type of the node = 'text'.
+ * @property {Array.<(string|Interpolation)>} parts - The static text and the interpolations, in order.
+ * @property {import('./errors').SourceLocation} loc - The location of the text.
+ */
+
+/**
+ * @typedef Interpolation
+ * @type {object}
+ * @property {string} expression - The JavaScript expression inside the `{{ }}`.
+ * @property {import('./errors').SourceLocation} loc - The location of the interpolation.
+ */
+
+/**
+ * @typedef {ElementNode|TextNode} TemplateNode
+ */
+
+/**
+ * Parses an HTML template into a tree of nodes. The template can have
+ * several top-level nodes, and text can include `{{ expression }}`
+ * interpolations.
+ *
+ * Comments are discarded. Text nodes made only of whitespace are discarded.
+ * In the rest, leading and trailing whitespace spanning several lines is
+ * trimmed, and the remaining whitespace runs are condensed into a single space.
+ *
+ * @param {string} template the HTML template
+ * @returns {RootNode} the root node of the tree
+ * @throws {CompilerError} if the template is malformed
+ */
+export function parse(template) {
+  return new Parser(template).parseRoot()
+}
+
+class Parser {
+  #source = ''
+  #pos = 0
+  /** @type {number[]} */
+  #lineStarts = [0]
+
+  constructor(source) {
+    this.#source = source
+
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') {
+        this.#lineStarts.push(i + 1)
+      }
+    }
+  }
+
+  parseRoot() {
+    return {
+      type: NODE_TYPES.ROOT,
+      children: this.#parseChildren(null),
+    }
+  }
+
+  /**
+   * Parses nodes until the closing tag of the parent element is found, or
+   * until the end of the template for the root.
+   *
+   * @param {ElementNode|null} parent the element whose children are parsed
+   * @returns {TemplateNode[]} the parsed children
+   */
+  #parseChildren(parent) {
+    const children = []
+
+    while (!this.#isEOF()) {
+      if (this.#startsWith('<!--')) {
+        this.#skipComment()
+      } else if (this.#startsWith('</')) {
+        this.#parseClosingTag(parent)
+        return children
+      } else if (this.#startsWith('<') && this.#isTagStart()) {
+        children.push(this.#parseElement())
+      } else {
+        const text = this.#parseText()
+        if (text) {
+          children.push(text)
+        }
+      }
+    }
+
+    if (parent) {
+      throw new CompilerError(
+        `Element <${parent.tag}> is missing its closing tag`,
+        parent.loc
+      )
+    }
+
+    return children
+  }
+
+  #parseElement() {
+    const loc = this.#location()
+    this.#advance(1) // <
+
+    const tag = this.#consumeRegex(TAG_NAME_REGEX)
+    const attrs = this.#parseAttributes(tag)
+    const node = { type: NODE_TYPES.ELEMENT, tag, attrs, children: [], loc }
+
+    if (this.#startsWith('/>')) {
+      this.#advance(2)
+      return node
+    }
+
+    this.#advance(1) // >
+
+    if (!VOID_ELEMENTS.has(tag.toLowerCase())) {
+      node.children = this.#parseChildren(node)
+    }
+
+    return node
+  }
+
+  #parseAttributes(tag) {
+    const attrs = []
+
+    for (;;) {
+      this.#skipWhitespace()
+
+      if (this.#isEOF()) {
+        throw new CompilerError(
+          `Opening tag <${tag}> isn't closed`,
+          this.#location()
+        )
+      }
+
+      if (this.#startsWith('>') || this.#startsWith('/>')) {
+        return attrs
+      }
+
+      const loc = this.#location()
+      const name = this.#consumeRegex(ATTR_NAME_REGEX)
+
+      if (!name) {
+        throw new CompilerError(
+          `Unexpected character "${this.#source[this.#pos]}" in <${tag}>`,
+          loc
+        )
+      }
+
+      if (attrs.some((attr) => attr.name === name)) {
+        throw new CompilerError(`Duplicate attribute "${name}"`, loc)
+      }
+
+      this.#skipWhitespace()
+      let value = null
+
+      if (this.#startsWith('=')) {
+        this.#advance(1)
+        this.#skipWhitespace()
+        value = this.#parseAttributeValue(name)
+      }
+
+      attrs.push({ name, value, loc })
+    }
+  }
+
+  #parseAttributeValue(name) {
+    const quote = this.#source[this.#pos]
+
+    if (quote === '"' || quote === "'") {
+      const loc = this.#location()
+      const end = this.#source.indexOf(quote, this.#pos + 1)
+
+      if (end < 0) {
+        throw new CompilerError(
+          `Unterminated value for attribute "${name}"`,
+          loc
+        )
+      }
+
+      const value = this.#source.slice(this.#pos + 1, end)
+      this.#pos = end + 1
+
+      return decodeEntities(value)
+    }
+
+    const value = this.#consumeRegex(UNQUOTED_ATTR_VALUE_REGEX)
+    if (!value) {
+      throw new CompilerError(
+        `Missing value for attribute "${name}"`,
+        this.#location()
+      )
+    }
+
+    return decodeEntities(value)
+  }
+
+  #parseClosingTag(parent) {
+    const loc = this.#location()
+    this.#advance(2) // </
+
+    const tag = this.#consumeRegex(TAG_NAME_REGEX)
+    this.#skipWhitespace()
+
+    if (!this.#startsWith('>')) {
+      throw new CompilerError(`Closing tag </${tag}> isn't closed`, loc)
+    }
+
+    if (parent == null || parent.tag !== tag) {
+      throw new CompilerError(
+        parent
+          ? `Unexpected closing tag </${tag}>, expected </${parent.tag}>`
+          : `Unexpected closing tag </${tag}>`,
+        loc
+      )
+    }
+
+    this.#advance(1) // >
+  }
+
+  #parseText() {
+    const loc = this.#location()
+    const parts = []
+    let text = ''
+
+    while (!this.#isEOF()) {
+      if (this.#startsWith('{{')) {
+        if (text) parts.push(text)
+        text = ''
+        parts.push(this.#parseInterpolation())
+        continue
+      }
+
+      if (
+        this.#startsWith('<') &&
+        (this.#isTagStart() || this.#isMarkup())
+      ) {
+        break
+      }
+
+      text += this.#source[this.#pos]
+      this.#advance(1)
+    }
+
+    if (text) parts.push(text)
+    trimMultilineWhitespace(parts)
+
+    const isBlank = parts.every(
+      (part) => typeof part === 'string' && part.trim() === ''
+    )
+    if (isBlank) {
+      return null
+    }
+
+    return {
+      type: NODE_TYPES.TEXT,
+      parts: parts.map((part) =>
+        typeof part === 'string'
+          ? decodeEntities(part.replace(/\s+/g, ' '))
+          : part
+      ),
+      loc,
+    }
+  }
+
+  #parseInterpolation() {
+    const loc = this.#location()
+    const end = this.#source.indexOf('}}', this.#pos + 2)
+
+    if (end < 0) {
+      throw new CompilerError(
+        'Unterminated interpolation, missing "}}"',
+        loc
+      )
+    }
+
+    const expression = this.#source.slice(this.#pos + 2, end).trim()
+    if (!expression) {
+      throw new CompilerError('Empty interpolation', loc)
+    }
+
+    this.#pos = end + 2
+
+    return { expression, loc }
+  }
+
+  #skipComment() {
+    const loc = this.#location()
+    const end = this.#source.indexOf('-->', this.#pos + 4)
+
+    if (end < 0) {
+      throw new CompilerError('Unterminated comment', loc)
+    }
+
+    this.#pos = end + 3
+  }
+
+  #skipWhitespace() {
+    while (!this.#isEOF() && /\s/.test(this.#source[this.#pos])) {
+      this.#pos++
+    }
+  }
+
+  #consumeRegex(regex) {
+    const match = this.#source.slice(this.#pos).match(regex)
+    if (!match) {
+      return ''
+    }
+
+    this.#advance(match[0].length)
+    return match[0]
+  }
+
+  #isTagStart() {
+    return /[a-zA-Z]/.test(this.#source[this.#pos + 1] ?? '')
+  }
+
+  #isMarkup() {
+    return this.#startsWith('</') || this.#startsWith('<!--')
+  }
+
+  #startsWith(str) {
+    return this.#source.startsWith(str, this.#pos)
+  }
+
+  #advance(n) {
+    this.#pos += n
+  }
+
+  #isEOF() {
+    return this.#pos >= this.#source.length
+  }
+
+  /**
+   * Returns the location of the current position in the template.
+   *
+   * @returns {import('./errors').SourceLocation}
+   */
+  #location() {
+    const offset = this.#pos
+    let line = this.#lineStarts.length - 1
+
+    while (this.#lineStarts[line] > offset) {
+      line--
+    }
+
+    return {
+      offset,
+      line: line + 1,
+      column: offset - this.#lineStarts[line] + 1,
+    }
+  }
+}
+
+function trimMultilineWhitespace(parts) {
+  const last = parts.length - 1
+
+  if (typeof parts[0] === 'string') {
+    parts[0] = parts[0].replace(/^\s*\n\s*/, '')
+  }
+  if (typeof parts[last] === 'string') {
+    parts[last] = parts[last].replace(/\s*\n\s*$/, '')
+  }
+}
+
+function decodeEntities(str) {
+  return str.replace(
+    /&(?:amp|lt|gt|quot|#39|apos|nbsp);/g,
+    (entity) => ENTITIES[entity]
+  )
+}
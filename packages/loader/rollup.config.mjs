@@ -0,0 +1,15 @@
+import cleanup from 'rollup-plugin-cleanup'
+import filesize from 'rollup-plugin-filesize'
+
+export default {
+  input: 'src/index.js',
+  external: ['fe-fwk-compiler'],
+  plugins: [cleanup()],
+  output: [
+    {
+      file: 'dist/fe-fwk-loader.js',
+      format: 'esm',
+      plugins: [filesize()],
+    },
+  ],
+}
@@ -0,0 +1,255 @@
+import * as runtime from 'fe-fwk'
+import { afterEach, describe, expect, test } from 'vitest'
+import fwk, { compileSFC, parseSFC } from '..'
+
+const filename = '/src/components/counter.fwk'
+const source = `<template>
+  <div class="counter">
+    <p>{{ state.count }}</p>
+    <button @click="increment">+</button>
+  </div>
+</template>
+
+<script>
+export default {
+  state() {
+    return { count: 0 }
+  },
+
+  increment() {
+    this.updateState({ count: this.state.count + 1 })
+  },
+}
+</script>
+
+<style>
+.counter { display: flex; }
+</style>
+`
+
+/**
+ * Evaluates the compiled module, replacing the runtime import with the
+ * runtime's sources, and returns the default export.
+ */
+function evaluate(code) {
+  const body = code
+    .replace(/^import \* as (\w+) from .*$/m, 'const $1 = runtime')
+    .replace(/^export default /m, 'return ')
+
+  return new Function('runtime', body)(runtime)
+}
+
+afterEach(() => {
+  document.head.innerHTML = ''
+  document.body.innerHTML = ''
+})
+
+describe('parsing single-file components', () => {
+  test('splits the blocks and keeps their position', () => {
+    const { template, script, style } = parseSFC(source)
+
+    expect(template.line).toBe(1)
+    expect(template.column).toBe(10)
+    expect(template.content).toContain('<div class="counter">')
+    expect(script.line).toBe(8)
+    expect(script.content).toContain('export default {')
+    expect(style.content.trim()).toBe('.counter { display: flex; }')
+  })
+
+  test('nested template elements are part of the template block', () => {
+    const { template } = parseSFC(
+      '<template><ul><template><li>A</li></template></ul></template>'
+    )
+
+    expect(template.content).toBe(
+      '<ul><template><li>A</li></template></ul>'
+    )
+  })
+
+  test('only the top-level tags are blocks', () => {
+    const { template, script, style } = parseSFC(
+      '<!-- <script>ignored</script> -->\n' +
+        '<template><div><style>p {}</style><script>x</script></div></template>\n' +
+        '<style>.a {}</style>'
+    )
+
+    expect(template.content).toBe(
+      '<div><style>p {}</style><script>x</script></div>'
+    )
+    expect(script).toBeNull()
+    expect(style.content).toBe('.a {}')
+  })
+
+  test('the template block is required', () => {
+    expect(() => parseSFC('<script>export default {}</script>')).toThrow(
+      'Single-file components need a <template> block'
+    )
+  })
+})
+
+describe('compiling single-file components', () => {
+  test('the default export is a working component', async () => {
+    const { code } = compileSFC(source, filename)
+    const Counter = evaluate(code)
+
+    runtime.createApp(Counter).mount(document.body)
+    document.querySelector('button').click()
+    await runtime.nextTick()
+
+    expect(document.body.innerHTML).toBe(
+      '<div class="counter"><p>1</p><button>+</button></div>'
+    )
+  })
+
+  test('the script can declare a render variable', () => {
+    const { code } = compileSFC(
+      '<template><p>Hi</p></template>\n' +
+        '<script>\nconst render = null\nexport default {}\n</script>',
+      filename
+    )
+
+    runtime.createApp(evaluate(code)).mount(document.body)
+
+    expect(document.body.innerHTML).toBe('<p>Hi</p>')
+  })
+
+  test('the style is injected in the document', () => {
+    const { code } = compileSFC(source, filename)
+    evaluate(code)
+
+    const style = document.head.querySelector('style')
+    expect(style.textContent).toBe('.counter { display: flex; }')
+    expect(style.getAttribute('data-fwk-sfc')).toBe(filename)
+  })
+
+  test('the script block is optional', () => {
+    const { code } = compileSFC('<template><p>Hi</p></template>', filename)
+
+    runtime.createApp(evaluate(code)).mount(document.body)
+
+    expect(document.body.innerHTML).toBe('<p>Hi</p>')
+  })
+
+  test('the runtime module can be configured', () => {
+    const { code } = compileSFC(source, filename, { runtime: 'my-fwk' })
+
+    expect(code.split('\n')[0]).toBe(
+      'import * as __sfc_runtime__ from "my-fwk"'
+    )
+  })
+
+  test('template errors report the location in the file', () => {
+    const broken =
+      '<script>\nexport default {}\n</script>\n<template>\n  <p>\n</template>'
+
+    expect(() => compileSFC(broken, filename)).toThrowError(
+      `Element <p> is missing its closing tag in ${filename} (5:3)`
+    )
+  })
+})
+
+describe('source maps', () => {
+  test('map the script and the template back to the file', () => {
+    const { code, map } = compileSFC(source, filename)
+    const codeLines = code.split('\n')
+    const mappings = decodeMappings(map.mappings)
+
+    expect(map.sources).toEqual([filename])
+    expect(map.sourcesContent).toEqual([source])
+
+    // The increment() method, on line 14 of the file.
+    const incrementLine = codeLines.findIndex((line) =>
+      line.includes('increment() {')
+    )
+    expect(mappings[incrementLine][0].original).toEqual({
+      line: 14,
+      column: 0,
+    })
+
+    // The <button>, on line 4, column 4 of the file.
+    const buttonLine = codeLines.findIndex((line) =>
+      line.includes('h("button"')
+    )
+    const buttonColumn = codeLines[buttonLine].indexOf('h("button"')
+    const buttonMapping = mappings[buttonLine].find(
+      ({ column }) => column === buttonColumn
+    )
+    expect(buttonMapping.original).toEqual({ line: 4, column: 4 })
+  })
+})
+
+describe('the plugin', () => {
+  test('only transforms .fwk files', () => {
+    const plugin = fwk()
+
+    expect(plugin.transform('const a = 1', '/src/main.js')).toBeNull()
+    expect(plugin.transform(source, `${filename}?v=1`).code).toContain(
+      'defineComponent'
+    )
+  })
+
+  test('reports compile errors with their location', () => {
+    const plugin = fwk()
+    const context = {
+      error(message, position) {
+        throw Object.assign(new Error(message), position)
+      },
+    }
+
+    expect(() =>
+      plugin.transform.call(
+        context,
+        '<template>\n  <p>{{ }}</p>\n</template>',
+        filename
+      )
+    ).toThrowError(expect.objectContaining({ line: 2, column: 5 }))
+  })
+})
+
+const BASE64_CHARS =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+function decodeMappings(mappings) {
+  let line = 0
+  let column = 0
+
+  return mappings.split(';').map((segments) => {
+    let generatedColumn = 0
+
+    return segments
+      .split(',')
+      .filter(Boolean)
+      .map((segment) => {
+        const [genCol, , lineDelta, colDelta] = decodeVLQ(segment)
+        generatedColumn += genCol
+        line += lineDelta
+        column += colDelta
+
+        return {
+          column: generatedColumn,
+          original: { line: line + 1, column },
+        }
+      })
+  })
+}
+
+function decodeVLQ(segment) {
+  const values = []
+  let value = 0
+  let shift = 0
+
+  for (const char of segment) {
+    const digit = BASE64_CHARS.indexOf(char)
+    value += (digit & 0b11111) << shift
+
+    if (digit & 0b100000) {
+      shift += 5
+    } else {
+      values.push(value & 1 ? -(value >> 1) : value >> 1)
+      value = 0
+      shift = 0
+    }
+  }
+
+  return values
+}
@@ -0,0 +1,27 @@
+import { expect, test } from 'vitest'
+import { encodeMappings, encodeVLQ } from '../source-map'
+
+test.each([
+  [0, 'A'],
+  [1, 'C'],
+  [-1, 'D'],
+  [15, 'e'],
+  [16, 'gB'],
+  [-16, 'hB'],
+  [123, '2H'],
+])('encodes %i as the Base64 VLQ "%s"', (value, expected) => {
+  expect(encodeVLQ(value)).toBe(expected)
+})
+
+test('encodes the mappings relative to the previous segment', () => {
+  const mappings = encodeMappings([
+    { generated: { line: 3, column: 2 }, original: { line: 2, column: 4 } },
+    { generated: { line: 1, column: 0 }, original: { line: 1, column: 0 } },
+    {
+      generated: { line: 3, column: 10 },
+      original: { line: 2, column: 8 },
+    },
+  ])
+
+  expect(mappings).toBe('AAAA;;EACI,QAAI')
+})
@@ -0,0 +1,54 @@
+import { compileSFC } from './sfc'
+
+export { compileSFC, parseSFC } from './sfc'
+
+const SFC_EXTENSION = '.fwk'
+
+/**
+ * @typedef FwkPluginOptions
+ * @type {object}
+ * @property {string} [runtime] - The module the runtime functions are imported from. Defaults to `'fe-fwk'`.
+ */
+
+/**
+ * Rollup (and Vite) plugin that transforms single-file components, files
+ * with the `.fwk` extension, into JavaScript modules exporting the component.
+ *
+ * ```js
+ * // rollup.config.mjs
+ * import fwk from 'fe-fwk-loader'
+ *
+ * export default {
+ *   input: 'src/main.js',
+ *   plugins: [fwk()],
+ * }
+ * ```
+ *
+ * @param {FwkPluginOptions} [options]
+ * @returns {object} the plugin
+ */
+export default function fwk(options = {}) {
+  return {
+    name: 'fe-fwk',
+
+    transform(source, id) {
+      const [filename] = id.split('?')
+      if (!filename.endsWith(SFC_EXTENSION)) {
+        return null
+      }
+
+      try {
+        return compileSFC(source, filename, options)
+      } catch (error) {
+        if (error.line == null) {
+          throw error
+        }
+
+        this.error(error.message, {
+          line: error.line,
+          column: error.column - 1,
+        })
+      }
+    },
+  }
+}
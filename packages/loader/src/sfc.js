@@ -0,0 +1,261 @@
+import {
+  CompilerError,
+  generate,
+  parse,
+  RUNTIME_HELPERS,
+} from 'fe-fwk-compiler'
+import { createSourceMap } from './source-map'
+
+const EXPORT_DEFAULT_REGEX = /export\s+default\s+/
+const OPTIONS_VAR = '__sfc_options__'
+const RUNTIME_VAR = '__sfc_runtime__'
+const RENDER_VAR = '__sfc_render__'
+
+/**
+ * @typedef SFCBlock
+ * @type {object}
+ * @property {string} content - The content between the block's opening and closing tags.
+ * @property {number} line - The line where the content starts (1-based).
+ * @property {number} column - The column where the content starts (0-based).
+ */
+
+/**
+ * @typedef SFCDescriptor
+ * @type {object}
+ * @property {SFCBlock} template - The `<template>` block.
+ * @property {SFCBlock} [script] - The `<script>` block.
+ * @property {SFCBlock} [style] - The `<style>` block.
+ */
+
+/**
+ * @typedef CompileSFCOptions
+ * @type {object}
+ * @property {string} [runtime] - The module the runtime functions are imported from.
+ */
+
+/**
+ * Splits a single-file component into its `<template>`, `<script>` and
+ * `<style>` blocks. Only the template is required.
+ *
+ * The blocks are the top-level tags of the file, so the template content can
+ * have `<script>` and `<style>` elements, and nested `<template>` elements.
+ *
+ * @param {string} source the contents of the `.fwk` file
+ * @returns {SFCDescriptor} the blocks of the component
+ */
+export function parseSFC(source) {
+  const { template, script = null, style = null } = findBlocks(source)
+
+  if (!template) {
+    throw new Error(
+      '[loader] Single-file components need a <template> block'
+    )
+  }
+
+  return { template, script, style }
+}
+
+/**
+ * Compiles a single-file component into an ES module whose default export is
+ * the component, defined with `defineComponent()`.
+ *
+ * The `<script>` block must export the component's options as the default
+ * export (`export default { state() {...}, ... }`), which are merged with the
+ * `render()` function compiled from the `<template>` block. The `<style>`
+ * block, if any, is injected in the document's head when the module is loaded.
+ *
+ * The returned source map points back to the original file, so stack traces
+ * thrown from the script or the render function refer to the `.fwk` file.
+ *
+ * @param {string} source the contents of the `.fwk` file
+ * @param {string} filename the path of the file, used in the source map and errors
+ * @param {CompileSFCOptions} [options]
+ * @returns {{code: string, map: object}} the module's code and source map
+ * @throws {CompilerError} with the location in the file, if the template can't be compiled
+ */
+export function compileSFC(source, filename, { runtime = 'fe-fwk' } = {}) {
+  const { template, script, style } = parseSFC(source)
+  const lines = []
+  const mappings = []
+
+  lines.push(`import * as ${RUNTIME_VAR} from ${JSON.stringify(runtime)}`)
+
+  if (script) {
+    const scriptLines = script.content
+      .replace(EXPORT_DEFAULT_REGEX, `const ${OPTIONS_VAR} = `)
+      .split('\n')
+
+    scriptLines.forEach((line, i) => {
+      lines.push(line)
+      mappings.push({
+        generated: { line: lines.length, column: 0 },
+        original: {
+          line: script.line + i,
+          column: i === 0 ? script.column : 0,
+        },
+      })
+    })
+  }
+
+  if (!script || !EXPORT_DEFAULT_REGEX.test(script.content)) {
+    lines.push(`const ${OPTIONS_VAR} = {}`)
+  }
+
+  const render = compileTemplate(template, filename)
+  const renderStartLine = lines.length + 2
+
+  lines.push(
+    `const ${RENDER_VAR} = (function (${render.helpers.join(', ')}) {`,
+    `return ${render.code}`,
+    `})(${render.helpers.map((name) => `${RUNTIME_VAR}.${name}`).join(', ')})`
+  )
+
+  for (const { generated, original } of render.mappings) {
+    mappings.push({
+      generated: {
+        line: renderStartLine + generated.line - 1,
+        // The first line of the render function comes after the "return ".
+        column: generated.column + (generated.line === 1 ? 7 : 0),
+      },
+      original: toFilePosition(template, original),
+    })
+  }
+
+  if (style && style.content.trim()) {
+    lines.push(...styleInjection(style.content, filename))
+  }
+
+  lines.push(
+    `export default ${RUNTIME_VAR}.defineComponent({ ...${OPTIONS_VAR}, render: ${RENDER_VAR} })`
+  )
+
+  return {
+    code: lines.join('\n'),
+    map: createSourceMap(filename, source, mappings),
+  }
+}
+
+function compileTemplate(template, filename) {
+  try {
+    const { code, mappings } = generate(parse(template.content))
+
+    return {
+      code,
+      mappings,
+      helpers: RUNTIME_HELPERS,
+    }
+  } catch (error) {
+    if (!(error instanceof CompilerError)) {
+      throw error
+    }
+
+    // The error's location is relative to the template block, but it must
+    // point at the file.
+    const { line, column } = toFilePosition(template, {
+      line: error.line,
+      column: error.column - 1,
+    })
+    const message = error.message.replace(/ \(\d+:\d+\)$/, '')
+
+    throw new CompilerError(`${message} in ${filename}`, {
+      offset: error.offset,
+      line,
+      column: column + 1,
+    })
+  }
+}
+
+function styleInjection(css, filename) {
+  return [
+    `if (typeof document !== 'undefined') {`,
+    `  const style = document.createElement('style')`,
+    `  style.setAttribute('data-fwk-sfc', ${JSON.stringify(filename)})`,
+    `  style.textContent = ${JSON.stringify(css.trim())}`,
+    `  document.head.append(style)`,
+    `}`,
+  ]
+}
+
+/**
+ * Converts a position relative to the block's content into a position in the
+ * whole file.
+ */
+function toFilePosition(block, { line, column }) {
+  return {
+    line: block.line + line - 1,
+    column: line === 1 ? block.column + column : column,
+  }
+}
+
+/**
+ * Finds the top-level blocks of the file, in order. Each block ends at its
+ * own closing tag, so the tags inside it aren't taken as blocks. The HTML
+ * comments between the blocks are skipped.
+ */
+function findBlocks(source) {
+  const blocks = {}
+  const openRegex = /<!--|<(template|script|style)(\s[^>]*)?>/g
+  let match
+
+  while ((match = openRegex.exec(source))) {
+    const [openTag, tag] = match
+    const start = match.index + openTag.length
+
+    if (!tag) {
+      const commentEnd = source.indexOf('-->', start)
+      if (commentEnd < 0) break
+
+      openRegex.lastIndex = commentEnd + '-->'.length
+      continue
+    }
+
+    if (blocks[tag]) {
+      throw new Error(
+        `[loader] Single-file components can only have one <${tag}> block`
+      )
+    }
+
+    const closingTag = `</${tag}>`
+    const end =
+      tag === 'template'
+        ? findTemplateEnd(source, start)
+        : source.indexOf(closingTag, start)
+
+    if (end < 0) {
+      throw new Error(`[loader] The <${tag}> block isn't closed`)
+    }
+
+    const before = source.slice(0, start).split('\n')
+    blocks[tag] = {
+      content: source.slice(start, end),
+      line: before.length,
+      column: before.at(-1).length,
+    }
+    openRegex.lastIndex = end + closingTag.length
+  }
+
+  return blocks
+}
+
+/**
+ * Returns the index of the `</template>` tag that closes the template block,
+ * skipping the nested `<template>` elements, or -1 if it isn't closed.
+ */
+function findTemplateEnd(source, start) {
+  const tagRegex = /<template(\s[^>]*)?>|<\/template>/g
+  tagRegex.lastIndex = start
+  let depth = 0
+  let match
+
+  while ((match = tagRegex.exec(source))) {
+    if (match[0] !== '</template>') {
+      depth++
+    } else if (depth === 0) {
+      return match.index
+    } else {
+      depth--
+    }
+  }
+
+  return -1
+}
@@ -0,0 +1,103 @@
+const BASE64_CHARS =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * @typedef Mapping
+ * @type {object}
+ * @property {{line: number, column: number}} generated - The position in the generated code (1-based line, 0-based column).
+ * @property {{line: number, column: number}} original - The position in the source file (1-based line, 0-based column).
+ */
+
+/**
+ * Creates a version 3 source map from a single source file.
+ *
+ * @see {@link https://sourcemaps.info/spec.html}
+ *
+ * @param {string} file the path of the source file
+ * @param {string} source the contents of the source file
+ * @param {Mapping[]} mappings the mappings between the generated code and the source
+ * @returns {object} the source map
+ */
+export function createSourceMap(file, source, mappings) {
+  return {
+    version: 3,
+    file,
+    sources: [file],
+    sourcesContent: [source],
+    names: [],
+    mappings: encodeMappings(mappings),
+  }
+}
+
+/**
+ * Encodes the mappings into the `mappings` field of a source map: a line per
+ * generated line, separated by `;`, with a segment per mapping, separated
+ * by `,`. Each segment has four Base64 VLQ values, relative to the previous
+ * segment: the generated column, the source index (always 0), the original
+ * line and the original column.
+ *
+ * @param {Mapping[]} mappings the mappings
+ * @returns {string} the encoded mappings
+ */
+export function encodeMappings(mappings) {
+  const sorted = [...mappings].sort(
+    (a, b) =>
+      a.generated.line - b.generated.line ||
+      a.generated.column - b.generated.column
+  )
+
+  const lines = []
+  let previousOriginalLine = 0
+  let previousOriginalColumn = 0
+
+  for (const { generated, original } of sorted) {
+    while (lines.length < generated.line) {
+      lines.push([])
+    }
+
+    const segments = lines[generated.line - 1]
+    const previousGeneratedColumn = segments.at(-1)?.column ?? 0
+
+    segments.push({
+      column: generated.column,
+      encoded:
+        encodeVLQ(generated.column - previousGeneratedColumn) +
+        encodeVLQ(0) +
+        encodeVLQ(original.line - 1 - previousOriginalLine) +
+        encodeVLQ(original.column - previousOriginalColumn),
+    })
+
+    previousOriginalLine = original.line - 1
+    previousOriginalColumn = original.column
+  }
+
+  return lines
+    .map((segments) => segments.map(({ encoded }) => encoded).join(','))
+    .join(';')
+}
+
+/**
+ * Encodes an integer as a Base64 VLQ: the sign goes in the least significant
+ * bit, and the value is split in groups of five bits, each with a sixth bit
+ * signaling whether more groups follow.
+ *
+ * @param {number} value the integer to encode
+ * @returns {string} the Base64 VLQ
+ */
+export function encodeVLQ(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1
+  let encoded = ''
+
+  do {
+    let digit = vlq & 0b11111
+    vlq >>>= 5
+
+    if (vlq > 0) {
+      digit |= 0b100000
+    }
+
+    encoded += BASE64_CHARS[digit]
+  } while (vlq > 0)
+
+  return encoded
+}
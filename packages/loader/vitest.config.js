@@ -0,0 +1,22 @@
+import { fileURLToPath } from 'node:url'
+import { defineConfig } from 'vitest/config'
+
+export default defineConfig({
+  resolve: {
+    alias: {
+      // Test against the sources of the compiler and runtime, so they don't
+      // need to be built.
+      'fe-fwk-compiler': fileURLToPath(
+        new URL('../compiler/src/index.js', import.meta.url)
+      ),
+      'fe-fwk': fileURLToPath(
+        new URL('../runtime/src/index.js', import.meta.url)
+      ),
+    },
+  },
+  test: {
+    include: ['**/__tests__/**/*.test.js'],
+    reporters: 'verbose',
+    environment: 'jsdom',
+  },
+})
@@ -0,0 +1,235 @@
+import { afterEach, describe, expect, test, vi } from 'vitest'
+import { defineAsyncComponent } from '../async-component'
+import { defineComponent } from '../component'
+import { h, hSlot } from '../h'
+import { mountDOM } from '../mount-dom'
+import { nextTick } from '../scheduler'
+
+const Heavy = defineComponent({
+  render() {
+    return h('button', { on: { click: () => this.emit('pick', 42) } }, [
+      `Heavy ${this.props.label ?? ''}`,
+      hSlot(),
+    ])
+  },
+})
+
+const Loading = defineComponent({
+  render() {
+    return h('p', {}, ['Loading...'])
+  },
+})
+
+const LoadError = defineComponent({
+  render() {
+    return h('p', {}, [`Error: ${this.props.error.message}`])
+  },
+})
+
+function deferred() {
+  let resolve, reject
+  const promise = new Promise((res, rej) => {
+    resolve = res
+    reject = rej
+  })
+
+  return { promise, resolve, reject }
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+afterEach(() => {
+  document.body.innerHTML = ''
+})
+
+test('renders the loaded component with the props, events and children', async () => {
+  const { promise, resolve } = deferred()
+  const AsyncHeavy = defineAsyncComponent(() => promise)
+  const onPick = vi.fn()
+
+  mountDOM(
+    h('div', {}, [
+      h(AsyncHeavy, { label: 'A', on: { pick: onPick } }, ['!']),
+    ]),
+    document.body
+  )
+  await nextTick()
+
+  expect(document.body.innerHTML).toBe('<div></div>')
+
+  resolve({ default: Heavy })
+  await nextTick()
+
+  expect(document.body.innerHTML).toBe(
+    '<div><button>Heavy A!</button></div>'
+  )
+
+  document.querySelector('button').click()
+  expect(onPick).toHaveBeenCalledWith(42)
+})
+
+test('the loaded component is cached', async () => {
+  const loader = vi.fn(() => Promise.resolve(Heavy))
+  const AsyncHeavy = defineAsyncComponent(loader)
+
+  mountDOM(h(AsyncHeavy), document.body)
+  await nextTick()
+  mountDOM(h(AsyncHeavy), document.body)
+
+  expect(document.body.innerHTML).toBe(
+    '<button>Heavy </button><button>Heavy </button>'
+  )
+  expect(loader).toHaveBeenCalledOnce()
+})
+
+test('keeps its position among its siblings while loading', async () => {
+  const { promise, resolve } = deferred()
+  const AsyncHeavy = defineAsyncComponent(() => promise)
+
+  mountDOM(
+    h('div', {}, [
+      h('span', {}, ['Before']),
+      h(AsyncHeavy),
+      h('span', {}, ['After']),
+    ]),
+    document.body
+  )
+  resolve(Heavy)
+  await nextTick()
+
+  expect(document.body.innerHTML).toBe(
+    '<div><span>Before</span><button>Heavy </button><span>After</span></div>'
+  )
+})
+
+describe('loading component', () => {
+  test('is rendered after the delay', async () => {
+    const { promise, resolve } = deferred()
+    const AsyncHeavy = defineAsyncComponent(() => promise, {
+      loading: Loading,
+      delay: 10,
+    })
+
+    mountDOM(h(AsyncHeavy), document.body)
+    await nextTick()
+    expect(document.body.innerHTML).toBe('')
+
+    await wait(20)
+    expect(document.body.innerHTML).toBe('<p>Loading...</p>')
+
+    resolve(Heavy)
+    await nextTick()
+    expect(document.body.innerHTML).toBe('<button>Heavy </button>')
+  })
+
+  test('is rendered right away without a delay', () => {
+    const AsyncHeavy = defineAsyncComponent(() => new Promise(() => {}), {
+      loading: Loading,
+      delay: 0,
+    })
+
+    mountDOM(h(AsyncHeavy), document.body)
+
+    expect(document.body.innerHTML).toBe('<p>Loading...</p>')
+  })
+})
+
+describe('error component', () => {
+  test('is rendered when the loader rejects', async () => {
+    const AsyncHeavy = defineAsyncComponent(
+      () => Promise.reject(new Error('Network error')),
+      { error: LoadError }
+    )
+
+    mountDOM(h(AsyncHeavy), document.body)
+    await nextTick()
+
+    expect(document.body.innerHTML).toBe('<p>Error: Network error</p>')
+  })
+
+  test('is rendered when the loading times out', async () => {
+    const { promise, resolve } = deferred()
+    const AsyncHeavy = defineAsyncComponent(() => promise, {
+      error: LoadError,
+      timeout: 10,
+    })
+
+    mountDOM(h(AsyncHeavy), document.body)
+    await wait(20)
+
+    expect(document.body.innerHTML).toBe(
+      '<p>Error: Async component timed out after 10ms</p>'
+    )
+
+    resolve(Heavy)
+    await nextTick()
+    expect(document.body.innerHTML).toBe(
+      '<p>Error: Async component timed out after 10ms</p>'
+    )
+  })
+
+  test('the next instance retries loading the component', async () => {
+    const loader = vi
+      .fn()
+      .mockRejectedValueOnce(new Error('Network error'))
+      .mockResolvedValueOnce(Heavy)
+    const AsyncHeavy = defineAsyncComponent(loader, { error: LoadError })
+
+    mountDOM(h(AsyncHeavy), document.body)
+    await nextTick()
+    mountDOM(h(AsyncHeavy), document.body)
+    await nextTick()
+
+    expect(document.body.innerHTML).toBe(
+      '<p>Error: Network error</p><button>Heavy </button>'
+    )
+  })
+})
+
+test('unmounting before the component loads', async () => {
+  const { promise, resolve } = deferred()
+  const AsyncHeavy = defineAsyncComponent(() => promise)
+  const vdom = h(AsyncHeavy)
+
+  mountDOM(vdom, document.body)
+  await nextTick()
+  vdom.component.unmount()
+
+  resolve(Heavy)
+  await nextTick()
+
+  expect(document.body.innerHTML).toBe('')
+})
+
+test('keyed lists of async components keep their position', async () => {
+  const { promise, resolve } = deferred()
+  const AsyncHeavy = defineAsyncComponent(() => promise)
+  const List = defineComponent({
+    state() {
+      return { labels: ['A', 'B', 'C'] }
+    },
+    render() {
+      return h(
+        'ul',
+        {},
+        this.state.labels.map((label) =>
+          h(AsyncHeavy, { key: label, label })
+        )
+      )
+    },
+  })
+
+  const vdom = h(List)
+  mountDOM(vdom, document.body)
+  await nextTick()
+  resolve(Heavy)
+  await nextTick()
+
+  await vdom.component.updateState({ labels: ['C', 'A', 'B'] })
+
+  expect(document.body.innerHTML).toBe(
+    '<ul><button>Heavy C</button><button>Heavy A</button><button>Heavy B</button></ul>'
+  )
+})
@@ -1,5 +1,6 @@
 import { beforeEach, describe, expect, test } from 'vitest'
-import { removeAttribute, setAttributes } from '../attributes'
+import { removeAttribute, setAttribute, setAttributes } from '../attributes'
+import { SVG_NAMESPACE } from '../namespaces'
 
 let el
 
@@ -228,3 +229,49 @@ describe.each([
     })
   }
 )
+
+describe('attributes of SVG elements', () => {
+  let svg
+
+  beforeEach(() => {
+    svg = document.createElementNS(SVG_NAMESPACE, 'svg')
+  })
+
+  test('are set as attributes', () => {
+    setAttributes(svg, { viewBox: '0 0 10 10', 'stroke-width': 2 })
+
+    expect(svg.getAttribute('viewBox')).toBe('0 0 10 10')
+    expect(svg.getAttribute('stroke-width')).toBe('2')
+  })
+
+  test('are removed', () => {
+    setAttributes(svg, { viewBox: '0 0 10 10' })
+    removeAttribute(svg, 'viewBox')
+
+    expect(svg.hasAttribute('viewBox')).toBe(false)
+  })
+
+  test('setting the class', () => {
+    setAttributes(svg, { class: ['icon', 'large'] })
+    expect(svg.getAttribute('class')).toBe('icon large')
+  })
+})
+
+describe('namespaced attributes', () => {
+  const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink'
+
+  test('are set in their namespace', () => {
+    const use = document.createElementNS(SVG_NAMESPACE, 'use')
+    setAttribute(use, 'xlink:href', '#icon')
+
+    expect(use.getAttributeNS(XLINK_NAMESPACE, 'href')).toBe('#icon')
+  })
+
+  test('are removed from their namespace', () => {
+    const use = document.createElementNS(SVG_NAMESPACE, 'use')
+    setAttribute(use, 'xlink:href', '#icon')
+    setAttribute(use, 'xlink:href', null)
+
+    expect(use.hasAttributeNS(XLINK_NAMESPACE, 'href')).toBe(false)
+  })
+})
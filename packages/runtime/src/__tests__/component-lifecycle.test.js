@@ -104,3 +104,149 @@ test('a component reacts to being unmounted asynchronously', async () => {
   expect(onMounted).toHaveBeenCalledTimes(1)
   expect(onUnmounted).toHaveBeenCalledTimes(1)
 })
+
+function defineLogged(name, log, render) {
+  const hook = (hookName) =>
+    function () {
+      log.push(`${name} ${hookName}`)
+    }
+
+  return defineComponent({
+    state() {
+      return { count: 0 }
+    },
+    onBeforeMount: hook('onBeforeMount'),
+    onMounted: hook('onMounted'),
+    onBeforeUpdate: hook('onBeforeUpdate'),
+    onUpdated: hook('onUpdated'),
+    onBeforeUnmount: hook('onBeforeUnmount'),
+    onUnmounted: hook('onUnmounted'),
+    render,
+  })
+}
+
+test('the lifecycle hooks of the parent and children are called in order', async () => {
+  const log = []
+  const Child = defineLogged('child', log, function () {
+    return h('span', {}, [hString(this.props.count)])
+  })
+  const Parent = defineLogged('parent', log, function () {
+    return h('div', {}, [h(Child, { count: this.state.count })])
+  })
+
+  const vdom = h(Parent, {})
+  mountDOM(vdom, document.body)
+  await nextTick()
+
+  expect(log).toEqual([
+    'parent onBeforeMount',
+    'child onBeforeMount',
+    'child onMounted',
+    'parent onMounted',
+  ])
+
+  log.length = 0
+  await vdom.component.updateState({ count: 1 })
+  await nextTick()
+
+  expect(log).toEqual([
+    'parent onBeforeUpdate',
+    'child onBeforeUpdate',
+    'parent onUpdated',
+    'child onUpdated',
+  ])
+
+  log.length = 0
+  destroyDOM(vdom)
+  await nextTick()
+
+  expect(log).toEqual([
+    'parent onBeforeUnmount',
+    'child onBeforeUnmount',
+    'child onUnmounted',
+    'parent onUnmounted',
+  ])
+})
+
+test('onBeforeUpdate() sees the old DOM and onUpdated() the patched DOM', async () => {
+  const texts = []
+  const Component = defineComponent({
+    state() {
+      return { count: 0 }
+    },
+    onBeforeUpdate() {
+      texts.push(`before: ${document.body.textContent}`)
+    },
+    onUpdated() {
+      texts.push(`after: ${document.body.textContent}`)
+    },
+    render() {
+      return h('p', {}, [hString(this.state.count)])
+    },
+  })
+
+  const vdom = h(Component, {})
+  mountDOM(vdom, document.body)
+  await vdom.component.updateState({ count: 1 })
+  await nextTick()
+
+  expect(texts).toEqual(['before: 0', 'after: 1'])
+})
+
+test('onBeforeUnmount() is called while the DOM is in the document', async () => {
+  let isInDocument = null
+  const Component = defineComponent({
+    onBeforeUnmount() {
+      isInDocument = document.body.contains(this.firstElement)
+    },
+    render() {
+      return h('p', {}, ['Hi'])
+    },
+  })
+
+  const vdom = h(Component, {})
+  mountDOM(vdom, document.body)
+  destroyDOM(vdom)
+
+  expect(isInDocument).toBe(true)
+  expect(document.body.innerHTML).toBe('')
+})
+
+test('the errors thrown by the new hooks are captured', async () => {
+  const onErrorCaptured = vi.fn()
+  const Child = defineComponent({
+    state() {
+      return { count: 0 }
+    },
+    onBeforeMount() {
+      throw new Error('before mount')
+    },
+    async onUpdated() {
+      throw new Error('updated')
+    },
+    render() {
+      return h('p', {}, [hString(this.state.count)])
+    },
+  })
+  const Parent = defineComponent({
+    onErrorCaptured(error, component, info) {
+      onErrorCaptured(error.message, info)
+    },
+    render() {
+      return h(Child)
+    },
+  })
+
+  const vdom = h(Parent, {})
+  mountDOM(vdom, document.body)
+  const child = vdom.component.vdom.component
+  await child.updateState({ count: 1 })
+  await nextTick()
+
+  expect(document.body.innerHTML).toBe('<p>1</p>')
+  expect(onErrorCaptured).toHaveBeenCalledWith(
+    'before mount',
+    'onBeforeMount'
+  )
+  expect(onErrorCaptured).toHaveBeenCalledWith('updated', 'onUpdated')
+})
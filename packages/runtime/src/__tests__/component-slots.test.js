@@ -1,6 +1,6 @@
 import { afterEach, expect, test, vi } from 'vitest'
 import { defineComponent } from '../component'
-import { h, hSlot } from '../h'
+import { h, hSlot, hSlotContent } from '../h'
 import { mountDOM } from '../mount-dom'
 import * as Slots from '../slots'
 import { singleHtmlLine } from './utils'
@@ -62,7 +62,7 @@ test('when neither external nor default content is provided, the slot is empty',
   )
 })
 
-test('conditionally rendered slots', () => {
+test('conditionally rendered slots', async () => {
   const Comp = defineComponent({
     state() {
       return { show: false }
@@ -83,7 +83,7 @@ test('conditionally rendered slots', () => {
   )
 
   const component = vdom.component
-  component.updateState({ show: true })
+  await component.updateState({ show: true })
 
   expect(document.body.innerHTML).toBe(
     singleHtmlLine`
@@ -94,7 +94,7 @@ test('conditionally rendered slots', () => {
   )
 })
 
-test('slot content updated between renders', () => {
+test('slot content updated between renders', async () => {
   const Comp = defineComponent({
     render() {
       return h('div', {}, [hSlot()])
@@ -129,7 +129,7 @@ test('slot content updated between renders', () => {
   )
 
   const component = vdom.component
-  component.updateState({ show: true })
+  await component.updateState({ show: true })
 
   expect(document.body.innerHTML).toBe(
     singleHtmlLine`
@@ -219,3 +219,106 @@ test('when the component has no slots, the "fillSlot()" function is not called',
 
   expect(fillSlotsSpy).not.toHaveBeenCalled()
 })
+
+test('named slots in a layout component', () => {
+  const Card = defineComponent({
+    render() {
+      return h('article', {}, [
+        h('header', {}, [hSlot('header', ['Untitled'])]),
+        h('section', {}, [hSlot()]),
+        this.hasSlot('footer') ? h('footer', {}, [hSlot('footer')]) : null,
+      ])
+    },
+  })
+
+  const vdom = h(Card, {}, [
+    hSlotContent('header', [h('h2', {}, ['Title'])]),
+    h('p', {}, ['Body']),
+  ])
+  mountDOM(vdom, document.body)
+
+  expect(document.body.innerHTML).toBe(
+    singleHtmlLine`
+      <article>
+        <header>
+          <h2>Title</h2>
+        </header>
+        <section>
+          <p>Body</p>
+        </section>
+      </article>
+    `
+  )
+})
+
+test('hasSlot() checks whether a slot has external content', () => {
+  const Comp = defineComponent({
+    render() {
+      return h('div', {}, [hSlot()])
+    },
+  })
+
+  const withContent = new Comp()
+  withContent.setExternalContent([
+    h('p', {}, ['Body']),
+    hSlotContent('footer', ['Footer']),
+  ])
+  expect(withContent.hasSlot()).toBe(true)
+  expect(withContent.hasSlot('footer')).toBe(true)
+  expect(withContent.hasSlot('header')).toBe(false)
+
+  const withoutContent = new Comp()
+  expect(withoutContent.hasSlot()).toBe(false)
+})
+
+test('scoped slots render the data of the component', async () => {
+  const BooksTable = defineComponent({
+    render() {
+      return h(
+        'tbody',
+        {},
+        this.props.books.map((book) => hSlot('row', { props: { book } }))
+      )
+    },
+  })
+  const App = defineComponent({
+    state() {
+      return { books: [{ title: 'Dune' }, { title: 'Emma' }] }
+    },
+    render() {
+      return h(BooksTable, { books: this.state.books }, [
+        hSlotContent('row', ({ book }) =>
+          h('tr', {}, [h('td', {}, [book.title])])
+        ),
+      ])
+    },
+  })
+
+  const vdom = h(App)
+  mountDOM(vdom, document.body)
+
+  expect(document.body.innerHTML).toBe(
+    singleHtmlLine`
+      <tbody>
+        <tr><td>Dune</td></tr>
+        <tr><td>Emma</td></tr>
+      </tbody>
+    `
+  )
+
+  const [firstRow] = document.querySelectorAll('tr')
+  await vdom.component.updateState({
+    books: [{ title: 'Dune' }, { title: 'Ulysses' }, { title: 'Walden' }],
+  })
+
+  expect(document.body.innerHTML).toBe(
+    singleHtmlLine`
+      <tbody>
+        <tr><td>Dune</td></tr>
+        <tr><td>Ulysses</td></tr>
+        <tr><td>Walden</td></tr>
+      </tbody>
+    `
+  )
+  expect(document.querySelector('tr')).toBe(firstRow)
+})
@@ -1,8 +1,8 @@
-import { beforeEach, describe, expect, test, vi } from 'vitest'
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
 import { defineComponent } from '../component'
 import { h, hFragment, hString } from '../h'
 import { mountDOM } from '../mount-dom'
-import { nextTick } from '../scheduler'
+import { flushSync, nextTick } from '../scheduler'
 import { singleHtmlLine } from './utils'
 
 beforeEach(() => {
@@ -87,11 +87,11 @@ describe('Component props', () => {
     )
   })
 
-  test('when the props are updated, the DOM is patched', () => {
+  test('when the props are updated, the DOM is patched', async () => {
     const comp = new PropsComp({ pClass: 'definition' })
     comp.mount(document.body)
 
-    comp.updateProps({ pClass: ['definition', 'updated'] })
+    await comp.updateProps({ pClass: ['definition', 'updated'] })
 
     expect(document.body.innerHTML).toBe(
       '<p class="definition updated">A point is that which has no part.</p>'
@@ -134,27 +134,167 @@ describe('Component state', () => {
     expect(document.body.innerHTML).toBe('<p>10</p>')
   })
 
-  test('when the state changes, the DOM is patched', () => {
+  test('when the state changes, the DOM is patched', async () => {
     const comp = new StateComp()
     comp.mount(document.body)
 
-    comp.updateState({ count: 5 })
+    await comp.updateState({ count: 5 })
 
     expect(document.body.innerHTML).toBe('<button>5</button>')
   })
 
-  test('an event can change the state', () => {
+  test('an event can change the state', async () => {
     const comp = new StateComp()
     comp.mount(document.body)
 
     document.querySelector('button').click()
+    await nextTick()
 
     expect(document.body.innerHTML).toBe('<button>1</button>')
   })
 })
 
+describe('Reactive state', () => {
+  const Filters = defineComponent({
+    reactive: true,
+    state() {
+      return { languages: new Set(), user: { name: 'Ada' } }
+    },
+    render() {
+      const { languages, user } = this.state
+      return h('p', {}, [`${user.name}: ${[...languages].join(', ')}`])
+    },
+  })
+
+  test('mutating the state patches the DOM in the next tick', async () => {
+    const comp = new Filters()
+    comp.mount(document.body)
+
+    comp.state.languages.add('en')
+    comp.state.user.name = 'Grace'
+
+    expect(document.body.innerHTML).toBe('<p>Ada: </p>')
+
+    await nextTick()
+
+    expect(document.body.innerHTML).toBe('<p>Grace: en</p>')
+  })
+
+  test('the mutations in the same tick are patched once', async () => {
+    const render = vi.fn(function () {
+      return h('p', {}, [String(this.state.count)])
+    })
+    const Comp = defineComponent({
+      reactive: true,
+      state() {
+        return { count: 0 }
+      },
+      render,
+    })
+    const comp = new Comp()
+    comp.mount(document.body)
+
+    comp.state.count++
+    comp.state.count++
+    comp.state.count++
+    await nextTick()
+
+    expect(render).toHaveBeenCalledTimes(2)
+    expect(document.body.innerHTML).toBe('<p>3</p>')
+  })
+
+  test('updateState() still patches the DOM', async () => {
+    const comp = new Filters()
+    comp.mount(document.body)
+
+    await comp.updateState({ user: { name: 'Grace' } })
+
+    expect(document.body.innerHTML).toBe('<p>Grace: </p>')
+  })
+
+  test('unmounted components are not patched', async () => {
+    const comp = new Filters()
+    comp.mount(document.body)
+
+    comp.state.languages.add('en')
+    comp.unmount()
+
+    await expect(nextTick()).resolves.toBeUndefined()
+    expect(document.body.innerHTML).toBe('')
+  })
+
+  test("the state isn't reactive by default", async () => {
+    const comp = new StateComp()
+    comp.mount(document.body)
+
+    comp.state.count = 5
+    await nextTick()
+
+    expect(document.body.innerHTML).toBe('<button>0</button>')
+  })
+})
+
+describe('Batched updates', () => {
+  const Counter = defineComponent({
+    state() {
+      return { count: 0 }
+    },
+    render() {
+      return h('p', {}, [`${this.props.label}: ${this.state.count}`])
+    },
+  })
+
+  test('the updates in the same tick are patched once', async () => {
+    const comp = new Counter({ label: 'Count' })
+    comp.mount(document.body)
+    const renderSpy = vi.spyOn(comp, 'render')
+
+    comp.updateState({ count: 1 })
+    comp.updateState({ count: 2 })
+    const patched = comp.updateProps({ label: 'Total' })
+
+    expect(document.body.innerHTML).toBe('<p>Count: 0</p>')
+
+    await patched
+
+    expect(renderSpy).toHaveBeenCalledOnce()
+    expect(document.body.innerHTML).toBe('<p>Total: 2</p>')
+  })
+
+  test('a child updated by its parent is patched once', async () => {
+    const Parent = defineComponent({
+      state() {
+        return { label: 'Count' }
+      },
+      render() {
+        return h(Counter, { label: this.state.label })
+      },
+    })
+    const vdom = h(Parent)
+    mountDOM(vdom, document.body)
+    const parent = vdom.component
+    const child = parent.vdom.component
+    const renderSpy = vi.spyOn(child, 'render')
+
+    child.updateState({ count: 1 })
+    await parent.updateState({ label: 'Total' })
+
+    expect(renderSpy).toHaveBeenCalledOnce()
+    expect(document.body.innerHTML).toBe('<p>Total: 1</p>')
+  })
+
+  test('flushSync() patches the DOM right away', () => {
+    const comp = new Counter({ label: 'Count' })
+    comp.mount(document.body)
+
+    flushSync(() => comp.updateState({ count: 1 }))
+
+    expect(document.body.innerHTML).toBe('<p>Count: 1</p>')
+  })
+})
+
 describe('Component methods', () => {
-  test('can use methods to handle events', () => {
+  test('can use methods to handle events', async () => {
     const Comp = defineComponent({
       state() {
         return { count: 0 }
@@ -178,6 +318,7 @@ describe('Component methods', () => {
     comp.mount(document.body)
 
     document.querySelector('button').click()
+    await nextTick()
 
     expect(document.body.innerHTML).toBe('<button>1</button>')
   })
@@ -241,6 +382,7 @@ describe('Patching the DOM', () => {
     )
 
     document.querySelector('#minus-btn').click()
+    await nextTick()
     expect(document.body.innerHTML).toBe(
       '<span>0</span><button id="plus-btn">+</button>'
     )
@@ -271,12 +413,13 @@ describe('Child components', () => {
     expect(document.body.innerHTML).toBe('')
   })
 
-  test('the state of children is preserved through a re-render', () => {
+  test('the state of children is preserved through a re-render', async () => {
     const comp = new List({ items })
     comp.mount(document.body)
 
     // Highlight the first item
     document.querySelectorAll('li')[0].click()
+    await nextTick()
     expect(document.body.innerHTML).toBe(
       singleHtmlLine`
       <ul>
@@ -287,7 +430,7 @@ describe('Child components', () => {
     )
 
     // Force a re-render of the component by adding a new item
-    comp.updateProps({
+    await comp.updateProps({
       items: [...items, 'The ends of a line are points'],
     })
 
@@ -302,11 +445,11 @@ describe('Child components', () => {
     )
   })
 
-  test('children can be added', () => {
+  test('children can be added', async () => {
     const comp = new List({ items })
     comp.mount(document.body)
 
-    comp.updateProps({
+    await comp.updateProps({
       items: [...items, 'The ends of a line are points'],
     })
 
@@ -321,11 +464,11 @@ describe('Child components', () => {
     )
   })
 
-  test('children can be removed', () => {
+  test('children can be removed', async () => {
     const comp = new List({ items })
     comp.mount(document.body)
 
-    comp.updateProps({ items: [items[0]] })
+    await comp.updateProps({ items: [items[0]] })
 
     expect(document.body.innerHTML).toBe(
       singleHtmlLine`
@@ -380,7 +523,7 @@ describe('Events', () => {
     expect(handler).not.toHaveBeenCalled()
   })
 
-  test('event handlers can be bound to the component', () => {
+  test('event handlers can be bound to the component', async () => {
     const comp = new DefinitionsComponent()
     comp.mount(document.body)
 
@@ -396,6 +539,7 @@ describe('Events', () => {
 
     // Remove the second item
     document.querySelectorAll('li')[1].dispatchEvent(new Event('dblclick'))
+    await nextTick()
 
     expect(document.body.innerHTML).toBe(
       singleHtmlLine`
@@ -408,6 +552,103 @@ describe('Events', () => {
   })
 })
 
+describe('Declared emits', () => {
+  const LangPicker = defineComponent({
+    emits: {
+      langsChanged: (langs) => Array.isArray(langs),
+      opened: null,
+      closed: { optional: true },
+    },
+    render() {
+      return h('div')
+    },
+  })
+
+  let warn
+
+  beforeEach(() => {
+    warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    warn.mockRestore()
+  })
+
+  test('emitting a declared event with a valid payload does not warn', () => {
+    const handler = vi.fn()
+    const comp = new LangPicker(
+      {},
+      { langsChanged: handler, opened: vi.fn() }
+    )
+    comp.mount(document.body)
+
+    comp.emit('langsChanged', ['en'])
+    comp.emit('opened')
+
+    expect(handler).toHaveBeenCalledWith(['en'])
+    expect(warn).not.toHaveBeenCalled()
+  })
+
+  test('emitting an undeclared event warns', () => {
+    const comp = new LangPicker({}, { langsChanged: vi.fn() })
+    comp.mount(document.body)
+
+    comp.emit('langChanged', ['en'])
+
+    expect(warn).toHaveBeenCalledWith(
+      expect.stringContaining(
+        'emitted "langChanged", which isn\'t declared in its emits'
+      )
+    )
+  })
+
+  test('emitting an invalid payload warns, but the event is emitted', () => {
+    const handler = vi.fn()
+    const comp = new LangPicker({}, { langsChanged: handler })
+    comp.mount(document.body)
+
+    comp.emit('langsChanged', 'en')
+
+    expect(warn).toHaveBeenCalledWith(
+      expect.stringContaining(
+        'Invalid payload for the "langsChanged" event'
+      )
+    )
+    expect(handler).toHaveBeenCalledWith('en')
+  })
+
+  test('passing a handler for an undeclared event warns', () => {
+    new LangPicker({}, { langChanged: vi.fn() })
+
+    expect(warn).toHaveBeenCalledWith(
+      expect.stringContaining(
+        'A handler for "langChanged" was passed to Component'
+      )
+    )
+  })
+
+  test('emitting an optional event without handlers does not warn', () => {
+    const comp = new LangPicker()
+    comp.mount(document.body)
+
+    comp.emit('closed')
+    expect(warn).not.toHaveBeenCalled()
+
+    comp.emit('opened')
+    expect(warn).toHaveBeenCalledWith('No handlers for command: opened')
+  })
+
+  test('optional events are emitted to their handlers', () => {
+    const handler = vi.fn()
+    const comp = new LangPicker({}, { closed: handler })
+    comp.mount(document.body)
+
+    comp.emit('closed')
+
+    expect(handler).toHaveBeenCalledTimes(1)
+  })
+})
+
 describe('Mounted elements', () => {
   test('unmounted components have no mounted elements', () => {
     const Component = defineComponent({
@@ -0,0 +1,101 @@
+import { afterEach, expect, test, vi } from 'vitest'
+import { defineComponent } from '../component'
+import { h } from '../h'
+import { nextTick } from '../scheduler'
+
+afterEach(() => {
+  document.body.innerHTML = ''
+})
+
+function defineCart(options = {}) {
+  const total = vi.fn(function () {
+    return this.state.items.reduce((sum, { price }) => sum + price, 0)
+  })
+  const Cart = defineComponent({
+    state() {
+      return { items: [{ price: 2 }, { price: 3 }], coupon: null }
+    },
+    render() {
+      return h('p', {}, [`Total: ${this.total}`])
+    },
+    ...options,
+    computed: { total, ...options.computed },
+  })
+
+  return { Cart, total }
+}
+
+test('computed values are read as properties of the component', () => {
+  const { Cart } = defineCart()
+  const cart = new Cart()
+  cart.mount(document.body)
+
+  expect(cart.total).toBe(5)
+  expect(document.body.innerHTML).toBe('<p>Total: 5</p>')
+})
+
+test('computed values are cached', () => {
+  const { Cart, total } = defineCart()
+  const cart = new Cart()
+
+  expect(cart.total).toBe(5)
+  expect(cart.total).toBe(5)
+  expect(total).toHaveBeenCalledOnce()
+})
+
+test('computed values are computed again when the state they read changes', async () => {
+  const { Cart, total } = defineCart()
+  const cart = new Cart()
+  cart.mount(document.body)
+
+  await cart.updateState({ coupon: 'SAVE' })
+  expect(total).toHaveBeenCalledOnce()
+
+  await cart.updateState({ items: [{ price: 10 }] })
+  expect(total).toHaveBeenCalledTimes(2)
+  expect(document.body.innerHTML).toBe('<p>Total: 10</p>')
+})
+
+test('computed values can read props, methods and other computed values', () => {
+  const { Cart } = defineCart({
+    computed: {
+      totalWithTax() {
+        return this.withTax(this.total)
+      },
+    },
+    withTax(amount) {
+      return amount * (1 + this.props.tax)
+    },
+  })
+  const cart = new Cart({ tax: 0.2 })
+
+  expect(cart.totalWithTax).toBe(6)
+
+  cart.props = { tax: 0.4 }
+  expect(cart.totalWithTax).toBe(7)
+
+  cart.state = { ...cart.state, items: [{ price: 10 }] }
+  expect(cart.totalWithTax).toBe(14)
+})
+
+test('mutating a reactive state computes the values again', async () => {
+  const { Cart } = defineCart({ reactive: true })
+  const cart = new Cart()
+  cart.mount(document.body)
+
+  cart.state.items.push({ price: 5 })
+  await nextTick()
+
+  expect(document.body.innerHTML).toBe('<p>Total: 10</p>')
+})
+
+test("computed values can't override the component's methods", () => {
+  expect(() =>
+    defineComponent({
+      render() {},
+      computed: {
+        emit() {},
+      },
+    })
+  ).toThrow(/Computed value "emit" already exists/)
+})
@@ -0,0 +1,190 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import { defineComponent } from '../component'
+import { resolveProps, validateProps } from '../declared-props'
+import { h } from '../h'
+import { mountDOM } from '../mount-dom'
+import { patchDOM } from '../patch-dom'
+import { nextTick } from '../scheduler'
+
+let warn
+
+beforeEach(() => {
+  document.body.innerHTML = ''
+  warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  warn.mockRestore()
+})
+
+describe('resolveProps()', () => {
+  test('separates the declared props from the attributes', () => {
+    const declarations = { page: Number }
+    const passed = { page: 2, id: 'books', class: 'table' }
+
+    expect(resolveProps(declarations, passed)).toEqual({
+      props: { page: 2 },
+      attrs: { id: 'books', class: 'table' },
+    })
+  })
+
+  test('applies the defaults of the missing props', () => {
+    const declarations = {
+      colspan: { type: Number, default: 1 },
+      rows: { type: Array, default: () => [] },
+      format: { type: Function, default: String },
+    }
+
+    expect(
+      resolveProps(declarations, { colspan: undefined }).props
+    ).toEqual({
+      colspan: 1,
+      rows: [],
+      format: String,
+    })
+  })
+
+  test('the passed props override the defaults', () => {
+    const declarations = { colspan: { type: Number, default: 1 } }
+
+    expect(resolveProps(declarations, { colspan: 3 }).props).toEqual({
+      colspan: 3,
+    })
+  })
+})
+
+describe('validateProps()', () => {
+  test('valid props do not warn', () => {
+    validateProps(
+      {
+        page: { type: Number, required: true },
+        title: String,
+        tags: [Array, String],
+        date: Date,
+        options: Object,
+        anything: null,
+      },
+      {
+        page: 1,
+        title: 'Books',
+        tags: 'fiction',
+        date: new Date(),
+        options: {},
+        anything: 42,
+      },
+      'BooksTable'
+    )
+
+    expect(warn).not.toHaveBeenCalled()
+  })
+
+  test('warns about the missing required props', () => {
+    validateProps(
+      { page: { type: Number, required: true } },
+      {},
+      'BooksTable'
+    )
+
+    expect(warn).toHaveBeenCalledWith(
+      '[props] Invalid prop "page" in BooksTable: the prop is required'
+    )
+  })
+
+  test('warns about the props of the wrong type', () => {
+    validateProps(
+      { page: Number, tags: [Array, String] },
+      { page: '2', tags: 3 },
+      'BooksTable'
+    )
+
+    expect(warn).toHaveBeenCalledWith(
+      '[props] Invalid prop "page" in BooksTable: expected Number, got String'
+    )
+    expect(warn).toHaveBeenCalledWith(
+      '[props] Invalid prop "tags" in BooksTable: expected Array or String, got Number'
+    )
+  })
+
+  test('warns about the props rejected by their validator', () => {
+    validateProps(
+      { page: { type: Number, validator: (page) => page > 0 } },
+      { page: 0 },
+      'BooksTable'
+    )
+
+    expect(warn).toHaveBeenCalledWith(
+      '[props] Invalid prop "page" in BooksTable: the validator rejected the value'
+    )
+  })
+})
+
+describe('components with declared props', () => {
+  const BooksTable = defineComponent({
+    name: 'BooksTable',
+    props: {
+      page: { type: Number, required: true },
+      colspan: { type: Number, default: 1 },
+    },
+    state(props) {
+      return { firstPage: props.page, colspan: props.colspan }
+    },
+    render() {
+      return h('table', this.attrs, [
+        `${this.props.page}/${this.props.colspan}`,
+      ])
+    },
+  })
+
+  test('the defaults are applied before the state is created', () => {
+    const table = new BooksTable({ page: 1 })
+
+    expect(table.props).toEqual({ page: 1, colspan: 1 })
+    expect(table.state).toEqual({ firstPage: 1, colspan: 1 })
+  })
+
+  test('the undeclared props are saved as attributes', () => {
+    const table = new BooksTable({ page: 1, id: 'books' })
+    table.mount(document.body)
+
+    expect(table.attrs).toEqual({ id: 'books' })
+    expect(document.body.innerHTML).toBe('<table id="books">1/1</table>')
+  })
+
+  test('the props are validated when the component is mounted', () => {
+    const table = new BooksTable({})
+
+    expect(warn).not.toHaveBeenCalled()
+
+    table.mount(document.body)
+
+    expect(warn).toHaveBeenCalledWith(
+      '[props] Invalid prop "page" in BooksTable: the prop is required'
+    )
+  })
+
+  test('the props are validated when they are updated', async () => {
+    const table = new BooksTable({ page: 1 })
+    table.mount(document.body)
+
+    await table.updateProps({ page: 'two' })
+
+    expect(warn).toHaveBeenCalledWith(
+      '[props] Invalid prop "page" in BooksTable: expected Number, got String'
+    )
+  })
+
+  test('the attributes are patched with the props', async () => {
+    const oldVdom = h(BooksTable, { page: 1, id: 'books' })
+    const newVdom = h(BooksTable, { page: 2, id: 'library' })
+
+    mountDOM(oldVdom, document.body)
+    patchDOM(oldVdom, newVdom, document.body)
+    await nextTick()
+
+    expect(document.body.innerHTML).toBe('<table id="library">2/1</table>')
+  })
+
+  test('the name of the component is the name of its class', () => {
+    expect(BooksTable.name).toBe('BooksTable')
+  })
+})
@@ -32,6 +32,16 @@ test('destroy an html element and its children', async () => {
   expect(allElementsHaveBeenDestroyed(vdom)).toBe(true)
 })
 
+test('destroy an svg element and its children', async () => {
+  const vdom = h('svg', {}, [h('circle', { r: 2 })])
+
+  await mountDOM(vdom, document.body)
+  await destroyDOM(vdom)
+
+  expect(document.body.innerHTML).toBe('')
+  expect(allElementsHaveBeenDestroyed(vdom)).toBe(true)
+})
+
 test('remove an html element event listeners', async () => {
   const handler = vi.fn()
   const vdom = h('button', { on: { click: handler } }, [hString('hello')])
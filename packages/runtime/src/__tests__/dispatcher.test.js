@@ -72,4 +72,16 @@ describe('A command dispatcher', () => {
 
     expect(handler).toHaveBeenCalledTimes(1)
   })
+
+  it('tells whether a command has handlers', () => {
+    const dispatcher = new Dispatcher()
+    const unsubscribe = dispatcher.subscribe(commandName, vi.fn())
+
+    expect(dispatcher.hasHandlers(commandName)).toBe(true)
+    expect(dispatcher.hasHandlers('other')).toBe(false)
+
+    unsubscribe()
+
+    expect(dispatcher.hasHandlers(commandName)).toBe(false)
+  })
 })
@@ -0,0 +1,294 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import { createApp } from '../app'
+import { defineComponent } from '../component'
+import { h, hPortal, hSlot } from '../h'
+import { mountDOM } from '../mount-dom'
+import { nextTick } from '../scheduler'
+
+const ErrorBoundary = defineComponent({
+  state() {
+    return { error: null }
+  },
+  onErrorCaptured(error, component, info) {
+    this.captured = { error, component, info }
+    this.updateState({ error })
+  },
+  render() {
+    const { error } = this.state
+    return error
+      ? h('p', {}, [`Oops: ${error.message}`])
+      : h('div', {}, [hSlot()])
+  },
+})
+
+function throwingComponent(options) {
+  return defineComponent({
+    render() {
+      return h('span', {}, ['Fine'])
+    },
+    ...options,
+  })
+}
+
+let errorSpy
+
+beforeEach(() => {
+  errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  errorSpy.mockRestore()
+  document.body.innerHTML = ''
+})
+
+describe('errors thrown while rendering', () => {
+  const Broken = throwingComponent({
+    render() {
+      throw new Error('render failed')
+    },
+  })
+
+  test('the closest boundary renders its fallback', async () => {
+    const vdom = h('div', {}, [h(ErrorBoundary, {}, [h(Broken)])])
+    mountDOM(vdom, document.body)
+
+    expect(document.body.innerHTML).toBe('<div><div></div></div>')
+
+    await nextTick()
+
+    expect(document.body.innerHTML).toBe(
+      '<div><p>Oops: render failed</p></div>'
+    )
+    const { captured } = vdom.children[0].component
+    expect(captured.error.message).toBe('render failed')
+    expect(captured.component).toBeInstanceOf(Broken)
+    expect(captured.info).toBe('render')
+  })
+
+  test("the rest of the view isn't affected", async () => {
+    const vdom = h('div', {}, [
+      h('h1', {}, ['Title']),
+      h(ErrorBoundary, {}, [h(Broken)]),
+      h('footer', {}, ['Footer']),
+    ])
+    mountDOM(vdom, document.body)
+    await nextTick()
+
+    expect(document.body.innerHTML).toBe(
+      '<div><h1>Title</h1><p>Oops: render failed</p><footer>Footer</footer></div>'
+    )
+  })
+
+  test('a component that fails to re-render keeps its view', async () => {
+    const Flaky = throwingComponent({
+      state() {
+        return { fail: false }
+      },
+      render() {
+        if (this.state.fail) {
+          throw new Error('re-render failed')
+        }
+
+        return h('span', {}, ['Fine'])
+      },
+    })
+    const vdom = h(ErrorBoundary, {}, [h(Flaky)])
+    mountDOM(vdom, document.body)
+    const flaky = vdom.component.vdom.children[0].children[0].component
+
+    flaky.updateState({ fail: true })
+
+    expect(document.body.innerHTML).toBe('<div><span>Fine</span></div>')
+
+    await nextTick()
+
+    expect(document.body.innerHTML).toBe('<p>Oops: re-render failed</p>')
+  })
+})
+
+describe('errors thrown while creating the state', () => {
+  const Broken = throwingComponent({
+    state() {
+      throw new Error('state failed')
+    },
+  })
+
+  test('the closest boundary renders its fallback', async () => {
+    const vdom = h(ErrorBoundary, {}, [h(Broken)])
+    mountDOM(vdom, document.body)
+
+    expect(document.body.innerHTML).toBe('<div></div>')
+
+    await nextTick()
+
+    expect(document.body.innerHTML).toBe('<p>Oops: state failed</p>')
+    expect(vdom.component.captured).toEqual({
+      error: new Error('state failed'),
+      component: expect.any(Broken),
+      info: 'state',
+    })
+  })
+
+  test('reach the application error handler', async () => {
+    const onError = vi.fn()
+    const Parent = defineComponent({
+      render() {
+        return h('div', {}, [h(Broken)])
+      },
+    })
+    const app = createApp(Parent, {}, { onError })
+
+    app.mount(document.body)
+    await nextTick()
+
+    expect(document.body.innerHTML).toBe('<div></div>')
+    expect(onError).toHaveBeenCalledWith(
+      new Error('state failed'),
+      expect.any(Broken),
+      'state'
+    )
+    app.unmount()
+  })
+})
+
+test('errors thrown while patching are captured', async () => {
+  const Toggle = throwingComponent({
+    state() {
+      return { isOpen: false }
+    },
+    render() {
+      const { isOpen } = this.state
+      return h('div', {}, [isOpen ? hPortal('#missing', ['Hi']) : null])
+    },
+  })
+  const vdom = h(ErrorBoundary, {}, [h(Toggle)])
+  mountDOM(vdom, document.body)
+  const toggle = vdom.component.vdom.children[0].children[0].component
+
+  await toggle.updateState({ isOpen: true })
+  await nextTick()
+
+  expect(document.body.innerHTML).toBe(
+    '<p>Oops: [mountDOM] Portal target not found: #missing</p>'
+  )
+  expect(vdom.component.captured.info).toBe('patch')
+  expect(errorSpy).not.toHaveBeenCalled()
+})
+
+test('errors in lifecycle hooks are captured', async () => {
+  const Broken = throwingComponent({
+    async onMounted() {
+      throw new Error('mount failed')
+    },
+  })
+  const vdom = h(ErrorBoundary, {}, [h(Broken)])
+  mountDOM(vdom, document.body)
+
+  await nextTick()
+  await nextTick()
+
+  expect(document.body.innerHTML).toBe('<p>Oops: mount failed</p>')
+  expect(vdom.component.captured.info).toBe('onMounted')
+})
+
+test('errors in event handlers are captured', async () => {
+  const Broken = throwingComponent({
+    render() {
+      return h('button', { on: { click: this.fail } }, ['Click'])
+    },
+    fail() {
+      throw new Error('click failed')
+    },
+  })
+  const vdom = h(ErrorBoundary, {}, [h(Broken)])
+  mountDOM(vdom, document.body)
+
+  document.querySelector('button').click()
+  await nextTick()
+
+  expect(document.body.innerHTML).toBe('<p>Oops: click failed</p>')
+  expect(vdom.component.captured.info).toBe('event handler')
+})
+
+test('errors in the handlers of emitted events are captured', async () => {
+  const Child = throwingComponent({
+    render() {
+      return h('button', { on: { click: () => this.emit('save') } }, [
+        'Save',
+      ])
+    },
+  })
+  const Parent = defineComponent({
+    render() {
+      return h(Child, { on: { save: this.save } })
+    },
+    save() {
+      throw new Error('save failed')
+    },
+  })
+  const vdom = h(ErrorBoundary, {}, [h(Parent)])
+  mountDOM(vdom, document.body)
+
+  document.querySelector('button').click()
+  await nextTick()
+
+  expect(document.body.innerHTML).toBe('<p>Oops: save failed</p>')
+  expect(vdom.component.captured.info).toBe('emitted event handler')
+})
+
+test('errors propagate up until a component handles them', async () => {
+  const Rethrowing = defineComponent({
+    onErrorCaptured(error) {
+      throw new Error(`wrapped: ${error.message}`)
+    },
+    render() {
+      return h('section', {}, [hSlot()])
+    },
+  })
+  const Broken = throwingComponent({
+    render() {
+      throw new Error('render failed')
+    },
+  })
+  const vdom = h(ErrorBoundary, {}, [h(Rethrowing, {}, [h(Broken)])])
+  mountDOM(vdom, document.body)
+
+  await nextTick()
+
+  expect(document.body.innerHTML).toBe(
+    '<p>Oops: wrapped: render failed</p>'
+  )
+})
+
+describe('unhandled errors', () => {
+  const Broken = throwingComponent({
+    render() {
+      throw new Error('render failed')
+    },
+  })
+
+  test('reach the application error handler', async () => {
+    const onError = vi.fn()
+    const app = createApp(Broken, {}, { onError })
+
+    app.mount(document.body)
+    await nextTick()
+
+    expect(onError).toHaveBeenCalledWith(
+      new Error('render failed'),
+      expect.any(Broken),
+      'render'
+    )
+    expect(errorSpy).not.toHaveBeenCalled()
+    app.unmount()
+  })
+
+  test('are logged when there is no application error handler', async () => {
+    mountDOM(h(Broken), document.body)
+    await nextTick()
+
+    expect(errorSpy).toHaveBeenCalledWith(
+      '[render] Unhandled error in Component: Error: render failed'
+    )
+  })
+})
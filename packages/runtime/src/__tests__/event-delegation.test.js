@@ -0,0 +1,240 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import { createApp } from '../app'
+import { defineComponent } from '../component'
+import { h, hPortal } from '../h'
+import { nextTick } from '../scheduler'
+
+let root, modals
+
+beforeEach(() => {
+  document.body.innerHTML = '<main id="app"></main><div id="modals"></div>'
+  root = document.querySelector('#app')
+  modals = document.querySelector('#modals')
+})
+
+afterEach(() => {
+  document.body.innerHTML = ''
+  vi.restoreAllMocks()
+})
+
+function mountApp(render, methods = {}) {
+  const Component = defineComponent({ render, ...methods })
+  const app = createApp(Component, {}, { delegateEvents: true })
+  app.mount(root)
+
+  return app
+}
+
+test('one listener per event type is added to the root element', () => {
+  const spy = vi.spyOn(HTMLElement.prototype, 'addEventListener')
+
+  mountApp(() =>
+    h('div', {}, [
+      h('button', { on: { click() {} } }, ['A']),
+      h('button', { on: { click() {} } }, ['B']),
+    ])
+  )
+
+  expect(spy).toHaveBeenCalledTimes(1)
+  expect(spy).toHaveBeenCalledWith('click', expect.any(Function))
+  expect(spy.mock.instances).toEqual([root])
+})
+
+test('the handlers are called with the host component as this', () => {
+  let host = null
+  const app = mountApp(
+    function () {
+      return h('button', { on: { click: this.onClick } }, ['Click'])
+    },
+    {
+      onClick() {
+        host = this
+      },
+    }
+  )
+
+  root.querySelector('button').click()
+
+  expect(host).not.toBeNull()
+  expect(host.onClick).toBeTypeOf('function')
+  app.unmount()
+})
+
+test('the handlers are called from the target up, with their currentTarget', () => {
+  const calls = []
+  const onClick = (event) => calls.push(event.currentTarget.tagName)
+
+  mountApp(() =>
+    h('div', { on: { click: onClick } }, [
+      h('p', { on: { click: onClick } }, [h('span', {}, ['Click'])]),
+    ])
+  )
+
+  root.querySelector('span').click()
+
+  expect(calls).toEqual(['P', 'DIV'])
+})
+
+test('stopPropagation() stops calling the handlers', () => {
+  const outer = vi.fn()
+
+  mountApp(() =>
+    h('div', { on: { click: outer } }, [
+      h('button', { on: { click: (event) => event.stopPropagation() } }, [
+        'Click',
+      ]),
+    ])
+  )
+
+  root.querySelector('button').click()
+
+  expect(outer).not.toHaveBeenCalled()
+})
+
+test('the modifiers and key filters work', () => {
+  const onSelf = vi.fn()
+  const onEnter = vi.fn()
+
+  mountApp(() =>
+    h('div', { on: { click: { handler: onSelf, self: true } } }, [
+      h('input', { on: { 'keydown.enter': onEnter } }),
+    ])
+  )
+
+  const input = root.querySelector('input')
+  input.click()
+  input.dispatchEvent(
+    new KeyboardEvent('keydown', { key: 'a', bubbles: true })
+  )
+  input.dispatchEvent(
+    new KeyboardEvent('keydown', { key: 'Enter', bubbles: true })
+  )
+  root.querySelector('div').click()
+
+  expect(onSelf).toHaveBeenCalledTimes(1)
+  expect(onEnter).toHaveBeenCalledTimes(1)
+})
+
+describe('events that can not be delegated', () => {
+  test('non-bubbling events are listened to on the element', () => {
+    const onFocus = vi.fn()
+    const onEnter = vi.fn()
+
+    mountApp(() =>
+      h('input', { on: { focus: onFocus, mouseenter: onEnter } })
+    )
+
+    const input = root.querySelector('input')
+    input.dispatchEvent(new FocusEvent('focus'))
+    input.dispatchEvent(new MouseEvent('mouseenter'))
+
+    expect(onFocus).toHaveBeenCalledTimes(1)
+    expect(onEnter).toHaveBeenCalledTimes(1)
+  })
+
+  test('capture and passive listeners are listened to on the element', () => {
+    const spy = vi.spyOn(HTMLElement.prototype, 'addEventListener')
+
+    mountApp(() =>
+      h('div', {
+        on: {
+          click: { handler: () => {}, capture: true },
+          touchstart: { handler: () => {}, passive: true },
+        },
+      })
+    )
+
+    const div = root.querySelector('div')
+    expect(spy.mock.instances).toEqual([div, div])
+  })
+})
+
+test('the handlers are updated when the component is patched', async () => {
+  const calls = []
+
+  const Component = defineComponent({
+    state() {
+      return { handler: 'first' }
+    },
+    render() {
+      const onClick = this[this.state.handler]
+      return h('button', { on: { click: onClick } }, ['Click'])
+    },
+    first() {
+      calls.push('first')
+      this.updateState({ handler: 'second' })
+    },
+    second() {
+      calls.push('second')
+    },
+  })
+  createApp(Component, {}, { delegateEvents: true }).mount(root)
+
+  const button = root.querySelector('button')
+  button.click()
+  await nextTick()
+  button.click()
+
+  expect(calls).toEqual(['first', 'second'])
+})
+
+test("the children of a portal have their events delegated to the portal's target", () => {
+  const onClick = vi.fn()
+  const spy = vi.spyOn(modals, 'addEventListener')
+
+  mountApp(() =>
+    h('div', {}, [
+      hPortal('#modals', [h('button', { on: { click: onClick } })]),
+    ])
+  )
+
+  modals.querySelector('button').click()
+
+  expect(spy).toHaveBeenCalledWith('click', expect.any(Function))
+  expect(onClick).toHaveBeenCalledTimes(1)
+})
+
+test('the portal target is released when its last portal is destroyed', async () => {
+  const spy = vi.spyOn(modals, 'removeEventListener')
+  const Component = defineComponent({
+    state() {
+      return { portals: 2 }
+    },
+    render() {
+      const { portals } = this.state
+      const portal = () =>
+        hPortal('#modals', [h('button', { on: { click() {} } })])
+
+      return h('div', {}, [
+        h('button', { on: { click: this.removePortal } }, ['Remove']),
+        portals > 0 ? portal() : null,
+        portals > 1 ? portal() : null,
+      ])
+    },
+    removePortal() {
+      this.updateState({ portals: this.state.portals - 1 })
+    },
+  })
+  createApp(Component, {}, { delegateEvents: true }).mount(root)
+  const removeButton = root.querySelector('button')
+
+  removeButton.click()
+  await nextTick()
+  expect(spy).not.toHaveBeenCalled()
+
+  removeButton.click()
+  await nextTick()
+  expect(modals.innerHTML).toBe('')
+  expect(spy).toHaveBeenCalledWith('click', expect.any(Function))
+})
+
+test('unmounting the application removes the listeners of the root', async () => {
+  const onClick = vi.fn()
+  const spy = vi.spyOn(root, 'removeEventListener')
+  const app = mountApp(() => h('button', { on: { click: onClick } }))
+
+  await nextTick()
+  app.unmount()
+
+  expect(spy).toHaveBeenCalledWith('click', expect.any(Function))
+})
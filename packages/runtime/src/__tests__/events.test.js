@@ -1,5 +1,9 @@
-import { test, expect, vi } from 'vitest'
-import { addEventListener } from '../events'
+import { describe, test, expect, vi } from 'vitest'
+import {
+  addEventListener,
+  removeEventListener,
+  removeEventListeners,
+} from '../events'
 import { flushPromises } from '../utils/promises'
 
 test('synchronous event without host component, called with argument', () => {
@@ -72,6 +76,149 @@ test('asynchronous event with host component, the handler is bound to component'
   expect(actualArgument).toBeInstanceOf(Event)
 })
 
+describe('listener options', () => {
+  test('once: the handler is removed after the first call', () => {
+    const btn = makeButton()
+    const handler = vi.fn()
+
+    addEventListener('click', { handler, once: true }, btn)
+    btn.click()
+    btn.click()
+
+    expect(handler).toHaveBeenCalledOnce()
+  })
+
+  test('prevent: the default action is prevented', () => {
+    const link = document.createElement('a')
+    const handler = vi.fn()
+
+    addEventListener('click', { handler, prevent: true }, link)
+    const event = new MouseEvent('click', { cancelable: true })
+    link.dispatchEvent(event)
+
+    expect(event.defaultPrevented).toBe(true)
+    expect(handler).toHaveBeenCalledWith(event)
+  })
+
+  test('stop: the event stops propagating', () => {
+    const parent = document.createElement('div')
+    const btn = makeButton()
+    parent.append(btn)
+    const parentHandler = vi.fn()
+
+    parent.addEventListener('click', parentHandler)
+    addEventListener('click', { handler: () => {}, stop: true }, btn)
+    btn.click()
+
+    expect(parentHandler).not.toHaveBeenCalled()
+  })
+
+  test('self: only the events dispatched on the element are handled', () => {
+    const parent = document.createElement('div')
+    const btn = makeButton()
+    parent.append(btn)
+    const handler = vi.fn()
+
+    addEventListener('click', { handler, self: true }, parent)
+    btn.click()
+    expect(handler).not.toHaveBeenCalled()
+
+    parent.click()
+    expect(handler).toHaveBeenCalledOnce()
+  })
+
+  test('capture: the handler is called in the capture phase', () => {
+    const parent = document.createElement('div')
+    const btn = makeButton()
+    parent.append(btn)
+    const order = []
+
+    addEventListener('click', () => order.push('button'), btn)
+    addEventListener(
+      'click',
+      { handler: () => order.push('parent'), capture: true },
+      parent
+    )
+    btn.click()
+
+    expect(order).toEqual(['parent', 'button'])
+  })
+
+  test('passive: the handler is added as passive', () => {
+    const div = document.createElement('div')
+    const spy = vi.spyOn(div, 'addEventListener')
+
+    addEventListener(
+      'touchstart',
+      { handler: () => {}, passive: true },
+      div
+    )
+
+    expect(spy).toHaveBeenCalledWith('touchstart', expect.any(Function), {
+      capture: false,
+      passive: true,
+    })
+  })
+
+  test('listeners added in the capture phase are removed', () => {
+    const btn = makeButton()
+    const handler = vi.fn()
+
+    const listener = addEventListener(
+      'click',
+      { handler, capture: true },
+      btn
+    )
+    removeEventListener(listener, btn)
+    btn.click()
+
+    expect(handler).not.toHaveBeenCalled()
+  })
+})
+
+describe('key filters', () => {
+  test('the handler is called only for the listed keys', () => {
+    const input = document.createElement('input')
+    const handler = vi.fn()
+
+    addEventListener('keydown.enter.esc', handler, input)
+    for (const key of ['a', 'Enter', 'Escape', 'Tab']) {
+      input.dispatchEvent(new KeyboardEvent('keydown', { key }))
+    }
+
+    expect(handler).toHaveBeenCalledTimes(2)
+    expect(handler.mock.calls.map(([event]) => event.key)).toEqual([
+      'Enter',
+      'Escape',
+    ])
+  })
+
+  test('the filtered events are removed under their key', () => {
+    const input = document.createElement('input')
+    const handler = vi.fn()
+
+    const listeners = {
+      'keyup.space': addEventListener('keyup.space', handler, input),
+    }
+    removeEventListeners(listeners, input)
+    input.dispatchEvent(new KeyboardEvent('keyup', { key: ' ' }))
+
+    expect(handler).not.toHaveBeenCalled()
+  })
+
+  test("once isn't consumed by the filtered events", () => {
+    const input = document.createElement('input')
+    const handler = vi.fn()
+
+    addEventListener('keydown.enter', { handler, once: true }, input)
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }))
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }))
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }))
+
+    expect(handler).toHaveBeenCalledOnce()
+  })
+})
+
 function makeButton() {
   const button = document.createElement('button')
   button.textContent = 'Click me'
@@ -1,5 +1,13 @@
 import { test, expect } from 'vitest'
-import { h, hString, hFragment, DOM_TYPES, extractChildren } from '../h'
+import {
+  h,
+  hString,
+  hFragment,
+  hSlot,
+  hSlotContent,
+  DOM_TYPES,
+  extractChildren,
+} from '../h'
 
 test('create a string vNode', () => {
   const vNode = hString('test')
@@ -107,6 +115,53 @@ test('hFragment() maps strings to text vNodes', () => {
   })
 })
 
+test('create a default slot vNode', () => {
+  expect(hSlot()).toEqual({
+    type: DOM_TYPES.SLOT,
+    name: 'default',
+    props: {},
+    children: [],
+  })
+  expect(hSlot(['Hello'])).toEqual({
+    type: DOM_TYPES.SLOT,
+    name: 'default',
+    props: {},
+    children: ['Hello'],
+  })
+})
+
+test('create a named slot vNode', () => {
+  expect(hSlot('header', ['Hello'])).toEqual({
+    type: DOM_TYPES.SLOT,
+    name: 'header',
+    props: {},
+    children: ['Hello'],
+  })
+})
+
+test('create a slot vNode with props', () => {
+  expect(hSlot('row', { props: { id: 1 } })).toEqual({
+    type: DOM_TYPES.SLOT,
+    name: 'row',
+    props: { id: 1 },
+    children: [],
+  })
+  expect(hSlot({ props: { id: 1 }, children: ['Hello'] })).toEqual({
+    type: DOM_TYPES.SLOT,
+    name: 'default',
+    props: { id: 1 },
+    children: ['Hello'],
+  })
+})
+
+test('create the content of a named slot', () => {
+  expect(hSlotContent('header', ['Hello'])).toEqual({
+    type: DOM_TYPES.FRAGMENT,
+    slot: 'header',
+    children: [{ type: DOM_TYPES.TEXT, value: 'Hello' }],
+  })
+})
+
 test('extract children from a tree with fragments', () => {
   const vNode = h('div', {}, [
     'A',
@@ -0,0 +1,279 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import { createApp } from '../app'
+import { defineComponent } from '../component'
+import { h, hFragment, hString } from '../h'
+import { hydrateDOM } from '../hydrate-dom'
+import { patchDOM } from '../patch-dom'
+import { renderToString } from '../render-to-string'
+import { nextTick } from '../scheduler'
+import { singleHtmlLine } from './utils'
+
+const Counter = defineComponent({
+  state() {
+    return { count: 0 }
+  },
+  render() {
+    return h('div', {}, [
+      h('span', {}, [`Count: ${this.state.count}`]),
+      h('button', { on: { click: this.increment } }, ['+']),
+    ])
+  },
+  increment() {
+    this.updateState({ count: this.state.count + 1 })
+  },
+})
+
+let warnSpy
+
+beforeEach(() => {
+  warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  warnSpy.mockRestore()
+  document.body.innerHTML = ''
+})
+
+test('reuses the existing DOM nodes', () => {
+  const vdom = h('div', { id: 'app' }, [h('p', {}, ['Hello'])])
+  document.body.innerHTML = renderToString(vdom)
+  const div = document.body.firstChild
+  const p = div.firstChild
+
+  hydrateDOM(vdom, document.body)
+
+  expect(vdom.el).toBe(div)
+  expect(vdom.children[0].el).toBe(p)
+  expect(vdom.children[0].children[0].el).toBe(p.firstChild)
+  expect(warnSpy).not.toHaveBeenCalled()
+})
+
+test('adds the event listeners to the existing elements', () => {
+  const onClick = vi.fn()
+  const vdom = h('button', { on: { click: onClick } }, ['Click'])
+  document.body.innerHTML = renderToString(vdom)
+
+  hydrateDOM(vdom, document.body)
+  document.querySelector('button').click()
+
+  expect(onClick).toHaveBeenCalledOnce()
+  expect(vdom.listeners.click).toBeTypeOf('function')
+})
+
+test('splits the adjacent text nodes merged in the markup', () => {
+  const vdom = h('p', {}, ['Hello, ', 'world', '!'])
+  document.body.innerHTML = renderToString(vdom)
+
+  hydrateDOM(vdom, document.body)
+
+  const textNodes = Array.from(document.querySelector('p').childNodes)
+  expect(textNodes.map((node) => node.nodeValue)).toEqual([
+    'Hello, ',
+    'world',
+    '!',
+  ])
+  expect(vdom.children.map((child) => child.el)).toEqual(textNodes)
+  expect(warnSpy).not.toHaveBeenCalled()
+})
+
+test('hydrates fragments', () => {
+  const vdom = hFragment([h('span', {}, ['A']), hString('B')])
+  document.body.innerHTML = renderToString(vdom)
+
+  hydrateDOM(vdom, document.body)
+
+  expect(vdom.el).toBe(document.body)
+  expect(vdom.children[0].el).toBe(document.querySelector('span'))
+  expect(vdom.children[1].el).toBe(document.body.lastChild)
+})
+
+test('keeps the content of a <textarea> rendered from its value', () => {
+  const vdom = h('textarea', { value: 'Hello' })
+  document.body.innerHTML = renderToString(vdom)
+  const textarea = document.querySelector('textarea')
+
+  hydrateDOM(vdom, document.body)
+
+  expect(vdom.el).toBe(textarea)
+  expect(textarea.value).toBe('Hello')
+  expect(textarea.textContent).toBe('Hello')
+  expect(warnSpy).not.toHaveBeenCalled()
+})
+
+test('the hydrated vdom can be patched', () => {
+  const oldVdom = h('ul', {}, [h('li', {}, ['A'])])
+  document.body.innerHTML = renderToString(oldVdom)
+  hydrateDOM(oldVdom, document.body)
+
+  const newVdom = h('ul', {}, [h('li', {}, ['A']), h('li', {}, ['B'])])
+  patchDOM(oldVdom, newVdom, document.body)
+
+  expect(document.body.innerHTML).toBe('<ul><li>A</li><li>B</li></ul>')
+})
+
+describe('components', () => {
+  test('the component is interactive after hydration', async () => {
+    const vdom = h(Counter)
+    document.body.innerHTML = renderToString(vdom)
+    const span = document.querySelector('span')
+
+    hydrateDOM(vdom, document.body)
+    document.querySelector('button').click()
+    await nextTick()
+
+    expect(document.querySelector('span')).toBe(span)
+    expect(span.textContent).toBe('Count: 1')
+  })
+
+  test('the onMounted() hook is called', async () => {
+    const onMounted = vi.fn()
+    const Component = defineComponent({
+      onMounted,
+      render() {
+        return h('p', {}, ['Hi'])
+      },
+    })
+    const vdom = h(Component)
+    document.body.innerHTML = renderToString(vdom)
+
+    hydrateDOM(vdom, document.body)
+    expect(onMounted).not.toHaveBeenCalled()
+
+    await nextTick()
+    expect(onMounted).toHaveBeenCalledOnce()
+  })
+
+  test('components emitting events to their parent', async () => {
+    const Child = defineComponent({
+      render() {
+        return h('button', { on: { click: () => this.emit('add', 5) } }, [
+          'Add',
+        ])
+      },
+    })
+    const Parent = defineComponent({
+      state() {
+        return { total: 0 }
+      },
+      render() {
+        return hFragment([
+          h('p', {}, [`Total: ${this.state.total}`]),
+          h(Child, { on: { add: this.add } }),
+        ])
+      },
+      add(amount) {
+        this.updateState({ total: this.state.total + amount })
+      },
+    })
+    const vdom = h(Parent)
+    document.body.innerHTML = renderToString(vdom)
+
+    hydrateDOM(vdom, document.body)
+    document.querySelector('button').click()
+    await nextTick()
+
+    expect(document.body.innerHTML).toBe(
+      '<p>Total: 5</p><button>Add</button>'
+    )
+  })
+})
+
+describe('mismatches', () => {
+  test('different text is reported and patched', () => {
+    document.body.innerHTML = '<div><p>Hello</p></div>'
+    const vdom = h('div', {}, [h('p', {}, ['Bye'])])
+
+    hydrateDOM(vdom, document.body)
+
+    expect(document.body.innerHTML).toBe('<div><p>Bye</p></div>')
+    expect(warnSpy).toHaveBeenCalledWith(
+      '[hydration] Mismatch in Root at "Root > div > p > text": expected text "Bye", found "Hello"'
+    )
+  })
+
+  test('a different element is reported and replaced', () => {
+    document.body.innerHTML = '<ul><li>A</li><span>B</span></ul>'
+    const vdom = h('ul', {}, [h('li', {}, ['A']), h('li', {}, ['B'])])
+
+    hydrateDOM(vdom, document.body)
+
+    expect(document.body.innerHTML).toBe('<ul><li>A</li><li>B</li></ul>')
+    expect(vdom.children[1].el).toBe(document.querySelectorAll('li')[1])
+    expect(warnSpy).toHaveBeenCalledWith(
+      '[hydration] Mismatch in Root at "Root > ul > li[1]": expected <li>, found <span>'
+    )
+  })
+
+  test('missing nodes are mounted', () => {
+    document.body.innerHTML = '<ul><li>A</li></ul>'
+    const vdom = h('ul', {}, [h('li', {}, ['A']), h('li', {}, ['B'])])
+
+    hydrateDOM(vdom, document.body)
+
+    expect(document.body.innerHTML).toBe('<ul><li>A</li><li>B</li></ul>')
+    expect(warnSpy).toHaveBeenCalledOnce()
+  })
+
+  test('extra nodes are reported and removed', () => {
+    document.body.innerHTML = '<ul><li>A</li><li>B</li></ul>'
+    const vdom = h('ul', {}, [h('li', {}, ['A'])])
+
+    hydrateDOM(vdom, document.body)
+
+    expect(document.body.innerHTML).toBe('<ul><li>A</li></ul>')
+    expect(warnSpy).toHaveBeenCalledWith(
+      '[hydration] Mismatch in Root at "Root > ul": unexpected <li>'
+    )
+  })
+
+  test('the mismatches are reported with the component', () => {
+    const Greeting = defineComponent({
+      render() {
+        return h('p', {}, [`Hello, ${this.props.name}`])
+      },
+    })
+    document.body.innerHTML = '<p>Hello, server</p>'
+
+    hydrateDOM(h(Greeting, { name: 'client' }), document.body)
+
+    expect(document.body.innerHTML).toBe('<p>Hello, client</p>')
+    expect(warnSpy).toHaveBeenCalledWith(
+      '[hydration] Mismatch in Component at "Component > p > text": expected text "Hello, client", found "Hello, server"'
+    )
+  })
+})
+
+describe('app.hydrate()', () => {
+  test('hydrates the server-rendered application', async () => {
+    document.body.innerHTML = renderToString(Counter)
+    const button = document.querySelector('button')
+    const app = createApp(Counter)
+
+    app.hydrate(document.body)
+    button.click()
+    await nextTick()
+
+    expect(document.querySelector('button')).toBe(button)
+    expect(document.body.innerHTML).toBe(
+      singleHtmlLine`
+      <div>
+        <span>Count: 1</span>
+        <button>+</button>
+      </div>`
+    )
+    expect(warnSpy).not.toHaveBeenCalled()
+
+    app.unmount()
+    expect(document.body.innerHTML).toBe('')
+  })
+
+  test("can't hydrate a mounted application", () => {
+    const app = createApp(Counter)
+    app.mount(document.body)
+
+    expect(() => app.hydrate(document.body)).toThrow(
+      'The application is already mounted'
+    )
+    app.unmount()
+  })
+})
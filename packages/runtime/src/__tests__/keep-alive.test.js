@@ -0,0 +1,363 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest'
+import { defineComponent } from '../component'
+import { destroyDOM } from '../destroy-dom'
+import { DOM_TYPES, h, hFragment, hKeepAlive } from '../h'
+import { mountDOM } from '../mount-dom'
+import { patchDOM } from '../patch-dom'
+import { renderToString } from '../render-to-string'
+import { nextTick } from '../scheduler'
+
+let calls
+
+beforeEach(() => {
+  document.body.innerHTML = ''
+  calls = []
+})
+
+function defineTab(name) {
+  return defineComponent({
+    name,
+    state() {
+      return { count: 0 }
+    },
+    onMounted() {
+      calls.push(`${name} mounted`)
+    },
+    onActivated() {
+      calls.push(`${name} activated`)
+    },
+    onDeactivated() {
+      calls.push(`${name} deactivated`)
+    },
+    onUnmounted() {
+      calls.push(`${name} unmounted`)
+    },
+    render() {
+      const label = this.props.label ?? name
+      return h('p', {}, [`${label}: ${this.state.count}`])
+    },
+  })
+}
+
+const TabA = defineTab('TabA')
+const TabB = defineTab('TabB')
+const TabC = defineTab('TabC')
+
+/**
+ * Mounts a keep-alive and returns a function that switches its child.
+ */
+function mountKeepAlive(options, child) {
+  let vdom = hKeepAlive(options, child)
+  mountDOM(vdom, document.body)
+
+  return (newChild) => {
+    const newVdom = hKeepAlive(options, newChild)
+    patchDOM(vdom, newVdom, document.body)
+    vdom = newVdom
+
+    return vdom
+  }
+}
+
+test('hKeepAlive() creates a keep-alive virtual node', () => {
+  const child = h(TabA)
+
+  expect(hKeepAlive({ max: 2 }, child)).toEqual({
+    type: DOM_TYPES.KEEP_ALIVE,
+    options: { max: 2 },
+    children: [child],
+  })
+  expect(hKeepAlive({}, null).children).toEqual([])
+  expect(() => hKeepAlive({}, h('p'))).toThrow(
+    '[vdom] hKeepAlive() expects a component as its child'
+  )
+  expect(() => hKeepAlive({ max: 0 }, child)).toThrow(
+    '[vdom] hKeepAlive() expects a max of at least 1'
+  )
+  expect(hKeepAlive({ max: 1 }, child).options).toEqual({ max: 1 })
+})
+
+describe('switching components', () => {
+  test('the inactive component keeps its state and DOM', async () => {
+    const tabA = h(TabA)
+    const switchTo = mountKeepAlive({}, tabA)
+    const p = document.querySelector('p')
+    await tabA.component.updateState({ count: 3 })
+
+    switchTo(h(TabB))
+    expect(document.body.innerHTML).toBe('<p>TabB: 0</p>')
+
+    const vdom = switchTo(h(TabA))
+    expect(document.body.innerHTML).toBe('<p>TabA: 3</p>')
+    expect(document.querySelector('p')).toBe(p)
+    expect(vdom.children[0].component).toBe(tabA.component)
+  })
+
+  test('the component is inserted where the previous one was', () => {
+    const switchTo = (child) =>
+      h('div', {}, [h('h1'), hKeepAlive({}, child), h('footer')])
+    const oldVdom = switchTo(h(TabA))
+    mountDOM(oldVdom, document.body)
+
+    const newVdom = switchTo(h(TabB))
+    patchDOM(oldVdom, newVdom, document.body)
+    patchDOM(newVdom, switchTo(h(TabA)), document.body)
+
+    expect(document.body.innerHTML).toBe(
+      '<div><h1></h1><p>TabA: 0</p><footer></footer></div>'
+    )
+  })
+
+  test('the reactivated component is patched with the new props', async () => {
+    const switchTo = mountKeepAlive({}, h(TabA))
+    switchTo(h(TabB))
+
+    switchTo(h(TabA, { label: 'First' }))
+    await nextTick()
+
+    expect(document.body.innerHTML).toBe('<p>First: 0</p>')
+  })
+
+  test('the inactive component is patched outside of the document', async () => {
+    const tabA = h(TabA)
+    const switchTo = mountKeepAlive({}, tabA)
+    switchTo(h(TabB))
+
+    await tabA.component.updateState({ count: 1 })
+    expect(document.body.innerHTML).toBe('<p>TabB: 0</p>')
+
+    switchTo(h(TabA))
+    expect(document.body.innerHTML).toBe('<p>TabA: 1</p>')
+  })
+
+  test('the components with a different key are cached separately', async () => {
+    const switchTo = mountKeepAlive({}, h(TabA, { key: 1 }))
+    const vdom = switchTo(h(TabA, { key: 2 }))
+    await vdom.children[0].component.updateState({ count: 2 })
+
+    switchTo(h(TabA, { key: 1 }))
+    expect(document.body.innerHTML).toBe('<p>TabA: 0</p>')
+
+    switchTo(h(TabA, { key: 2 }))
+    expect(document.body.innerHTML).toBe('<p>TabA: 2</p>')
+  })
+
+  test('the siblings are mounted after all the nodes of the component', () => {
+    const Pair = defineComponent({
+      render() {
+        return hFragment([h('span', {}, ['A']), h('span', {}, ['B'])])
+      },
+    })
+    document.body.innerHTML = '<h1></h1><footer></footer>'
+
+    mountDOM(hFragment([hKeepAlive({}, h(Pair)), h('p')]), document.body, 1)
+
+    expect(document.body.innerHTML).toBe(
+      '<h1></h1><span>A</span><span>B</span><p></p><footer></footer>'
+    )
+  })
+
+  test('an empty text node marks the position without a child', () => {
+    const switchTo = mountKeepAlive({}, null)
+    expect(document.body.childNodes.length).toBe(1)
+
+    switchTo(h(TabA))
+    expect(document.body.innerHTML).toBe('<p>TabA: 0</p>')
+
+    switchTo(null)
+    expect(document.body.innerHTML).toBe('')
+    expect(document.body.childNodes.length).toBe(1)
+
+    switchTo(h(TabA))
+    expect(document.body.innerHTML).toBe('<p>TabA: 0</p>')
+  })
+
+  test('a component rendering a fragment is moved with its nodes', () => {
+    const Items = defineComponent({
+      render() {
+        return hFragment([
+          h('li', {}, ['One']),
+          h(TabA),
+          h('li', {}, ['Two']),
+        ])
+      },
+    })
+    const switchTo = mountKeepAlive({}, h(Items))
+
+    switchTo(h(TabB))
+    expect(document.body.innerHTML).toBe('<p>TabB: 0</p>')
+
+    switchTo(h(Items))
+    expect(document.body.innerHTML).toBe(
+      '<li>One</li><p>TabA: 0</p><li>Two</li>'
+    )
+  })
+})
+
+describe('activation hooks', () => {
+  test('onActivated() is called after onMounted()', async () => {
+    mountKeepAlive({}, h(TabA))
+    await nextTick()
+
+    expect(calls).toEqual(['TabA mounted', 'TabA activated'])
+  })
+
+  test('onDeactivated() and onActivated() are called when switching', async () => {
+    const switchTo = mountKeepAlive({}, h(TabA))
+    await nextTick()
+    calls = []
+
+    switchTo(h(TabB))
+    await nextTick()
+    switchTo(h(TabA))
+    await nextTick()
+
+    expect(calls).toEqual([
+      'TabA deactivated',
+      'TabB mounted',
+      'TabB activated',
+      'TabB deactivated',
+      'TabA activated',
+    ])
+  })
+
+  test('the hooks of the descendants are called before their parent', async () => {
+    const Parent = defineComponent({
+      onActivated() {
+        calls.push('Parent activated')
+      },
+      onDeactivated() {
+        calls.push('Parent deactivated')
+      },
+      render() {
+        return h('div', {}, [h(TabA), h(TabB)])
+      },
+    })
+    const switchTo = mountKeepAlive({}, h(Parent))
+    await nextTick()
+    calls = []
+
+    switchTo(null)
+    await nextTick()
+
+    expect(calls).toEqual([
+      'TabA deactivated',
+      'TabB deactivated',
+      'Parent deactivated',
+    ])
+  })
+
+  test('the components that are not cached are unmounted', async () => {
+    const switchTo = mountKeepAlive({ exclude: 'TabA' }, h(TabA))
+    await nextTick()
+
+    switchTo(h(TabB))
+    await nextTick()
+
+    expect(calls).toEqual([
+      'TabA mounted',
+      'TabA unmounted',
+      'TabB mounted',
+      'TabB activated',
+    ])
+  })
+})
+
+describe('cache options', () => {
+  test('the least recently active component is evicted', async () => {
+    const tabA = h(TabA)
+    const switchTo = mountKeepAlive({ max: 2 }, tabA)
+    await tabA.component.updateState({ count: 1 })
+    calls = []
+
+    switchTo(h(TabB))
+    switchTo(h(TabC))
+    await nextTick()
+
+    expect(calls).toContain('TabA unmounted')
+    expect(calls).not.toContain('TabB unmounted')
+    expect(tabA.component.isMounted).toBe(false)
+
+    switchTo(h(TabA))
+    expect(document.body.innerHTML).toBe('<p>TabA: 0</p>')
+  })
+
+  test('with a max of 1, only the active component is cached', async () => {
+    const switchTo = mountKeepAlive({ max: 1 }, h(TabA))
+    switchTo(h(TabB))
+    await nextTick()
+
+    expect(calls).toContain('TabA unmounted')
+    expect(calls).not.toContain('TabB unmounted')
+    expect(document.body.innerHTML).toBe('<p>TabB: 0</p>')
+  })
+
+  test('switching back to a component makes it the most recent', async () => {
+    const switchTo = mountKeepAlive({ max: 2 }, h(TabA))
+    switchTo(h(TabB))
+    switchTo(h(TabA))
+    calls = []
+
+    switchTo(h(TabC))
+    await nextTick()
+
+    expect(calls).toContain('TabB unmounted')
+    expect(calls).not.toContain('TabA unmounted')
+  })
+
+  test('only the included components are cached', async () => {
+    const switchTo = mountKeepAlive(
+      { include: [/^TabA$/, 'TabC'] },
+      h(TabB)
+    )
+    switchTo(h(TabA))
+    switchTo(h(TabC))
+    await nextTick()
+
+    expect(calls).toContain('TabB unmounted')
+    expect(calls).not.toContain('TabA unmounted')
+  })
+
+  test('destroying the keep-alive unmounts the cached components', async () => {
+    const switchTo = mountKeepAlive({}, h(TabA))
+    const vdom = switchTo(h(TabB))
+    await nextTick()
+    calls = []
+
+    destroyDOM(vdom)
+    await nextTick()
+
+    expect(document.body.innerHTML).toBe('')
+    expect(calls).toEqual(['TabB unmounted', 'TabA unmounted'])
+  })
+})
+
+test('the keep-alive is rendered as its child', () => {
+  expect(renderToString(hKeepAlive({}, h(TabA)))).toBe('<p>TabA: 0</p>')
+})
+
+test('the errors thrown by the activation hooks are captured', async () => {
+  const onErrorCaptured = vi.fn()
+  const Broken = defineComponent({
+    onActivated() {
+      throw new Error('Broken')
+    },
+    render() {
+      return h('p')
+    },
+  })
+  const App = defineComponent({
+    onErrorCaptured,
+    render() {
+      return hKeepAlive({}, h(Broken))
+    },
+  })
+  new App().mount(document.body)
+  await nextTick()
+
+  expect(onErrorCaptured).toHaveBeenCalledWith(
+    new Error('Broken'),
+    expect.anything(),
+    'onActivated'
+  )
+})
@@ -0,0 +1,355 @@
+import { beforeEach, describe, expect, test } from 'vitest'
+import { defineComponent } from '../component'
+import { h } from '../h'
+import { nextTick } from '../scheduler'
+
+beforeEach(() => {
+  document.body.innerHTML = ''
+})
+
+function mountForm(state, render, options = {}) {
+  const Form = defineComponent({
+    state: () => state,
+    render,
+    ...options,
+  })
+  const form = new Form()
+  form.mount(document.body)
+
+  return form
+}
+
+function type(el, value, eventName = 'input') {
+  el.value = value
+  el.dispatchEvent(new Event(eventName))
+}
+
+/**
+ * Types the text one key at a time, letting the component re-render after
+ * each key, like it does when the user types.
+ */
+async function typeKeys(el, text) {
+  for (let i = 1; i <= text.length; i++) {
+    type(el, el.value + text[i - 1])
+    await nextTick()
+  }
+}
+
+describe('text inputs', () => {
+  test('the value is bound to the state', async () => {
+    const form = mountForm({ email: 'ada@example.com' }, () =>
+      h('input', { type: 'email', model: 'email' })
+    )
+    const input = document.querySelector('input')
+
+    expect(input.value).toBe('ada@example.com')
+
+    type(input, 'grace@example.com')
+    expect(form.state.email).toBe('grace@example.com')
+
+    await form.updateState({ email: 'alan@example.com' })
+    expect(input.value).toBe('alan@example.com')
+  })
+
+  test('the value can be nested in the state', () => {
+    const address = { city: 'Paris', zip: '75001' }
+    const form = mountForm({ address }, () =>
+      h('input', { model: 'address.city' })
+    )
+
+    type(document.querySelector('input'), 'Lyon')
+
+    expect(form.state.address).toEqual({ city: 'Lyon', zip: '75001' })
+    expect(address.city).toBe('Paris')
+  })
+
+  test('a textarea is bound to the state', () => {
+    const form = mountForm({ bio: 'Hi' }, () =>
+      h('textarea', { model: 'bio' })
+    )
+    const textarea = document.querySelector('textarea')
+
+    expect(textarea.value).toBe('Hi')
+
+    type(textarea, 'Hello')
+    expect(form.state.bio).toBe('Hello')
+  })
+
+  test('with the lazy modifier, the state is updated on change', () => {
+    const form = mountForm({ name: '' }, () =>
+      h('input', { model: { path: 'name', lazy: true } })
+    )
+    const input = document.querySelector('input')
+
+    type(input, 'Ada')
+    expect(form.state.name).toBe('')
+
+    type(input, 'Ada', 'change')
+    expect(form.state.name).toBe('Ada')
+  })
+
+  test('with the number and trim modifiers, the value is converted', () => {
+    const form = mountForm({ age: 0, name: '' }, () =>
+      h('div', {}, [
+        h('input', { id: 'age', model: { path: 'age', number: true } }),
+        h('input', { id: 'name', model: { path: 'name', trim: true } }),
+      ])
+    )
+
+    type(document.querySelector('#age'), '36')
+    type(document.querySelector('#name'), '  Ada ')
+    expect(form.state).toEqual({ age: 36, name: 'Ada' })
+
+    type(document.querySelector('#age'), 'abc')
+    expect(form.state.age).toBe('abc')
+  })
+
+  test('with the trim modifier, the typed spaces are kept', async () => {
+    const form = mountForm({ name: '' }, () =>
+      h('input', { model: { path: 'name', trim: true } })
+    )
+    const input = document.querySelector('input')
+
+    await typeKeys(input, 'a b')
+
+    expect(input.value).toBe('a b')
+    expect(form.state.name).toBe('a b')
+  })
+
+  test('with the number modifier, the typed decimals are kept', async () => {
+    const form = mountForm({ price: 0 }, () =>
+      h('input', { model: { path: 'price', number: true } })
+    )
+    const input = document.querySelector('input')
+    input.value = ''
+
+    await typeKeys(input, '1.5')
+
+    expect(input.value).toBe('1.5')
+    expect(form.state.price).toBe(1.5)
+  })
+
+  test('the value is rewritten when the state changes', async () => {
+    const form = mountForm({ name: 'Ada' }, () =>
+      h('input', { model: { path: 'name', trim: true } })
+    )
+    const input = document.querySelector('input')
+    type(input, 'Ada ')
+
+    await form.updateState({ name: 'Grace' })
+
+    expect(input.value).toBe('Grace')
+  })
+
+  test('the listeners in the on prop are called after the update', () => {
+    const values = []
+    const form = mountForm(
+      { name: '' },
+      function () {
+        return h('input', {
+          model: 'name',
+          on: { input: this.onInput },
+        })
+      },
+      {
+        onInput() {
+          values.push(this.state.name)
+        },
+      }
+    )
+
+    type(document.querySelector('input'), 'Ada')
+
+    expect(values).toEqual(['Ada'])
+    expect(form.state.name).toBe('Ada')
+  })
+
+  test('the model is bound in a reactive state', async () => {
+    const form = mountForm(
+      { user: { name: 'Ada' } },
+      function () {
+        return h('p', {}, [
+          h('input', { model: 'user.name' }),
+          this.state.user.name,
+        ])
+      },
+      { reactive: true }
+    )
+
+    type(document.querySelector('input'), 'Grace')
+    await nextTick()
+
+    expect(form.state.user.name).toBe('Grace')
+    expect(document.querySelector('p').textContent).toBe('Grace')
+  })
+})
+
+describe('checkboxes', () => {
+  test('a checkbox is bound to a boolean', () => {
+    const form = mountForm({ accepted: true }, () =>
+      h('input', { type: 'checkbox', model: 'accepted' })
+    )
+    const checkbox = document.querySelector('input')
+
+    expect(checkbox.checked).toBe(true)
+
+    checkbox.click()
+    expect(form.state.accepted).toBe(false)
+  })
+
+  test('checkboxes bound to an array add and remove their values', async () => {
+    const form = mountForm({ colors: ['red'] }, () =>
+      h(
+        'div',
+        {},
+        ['red', 'green', 'blue'].map((color) =>
+          h('input', { type: 'checkbox', value: color, model: 'colors' })
+        )
+      )
+    )
+    const [red, green, blue] = document.querySelectorAll('input')
+
+    expect([red.checked, green.checked, blue.checked]).toEqual([
+      true,
+      false,
+      false,
+    ])
+
+    blue.click()
+    red.click()
+    expect(form.state.colors).toEqual(['blue'])
+
+    await nextTick()
+    expect([red.checked, green.checked, blue.checked]).toEqual([
+      false,
+      false,
+      true,
+    ])
+  })
+})
+
+test('radio buttons are checked when their value is the bound value', async () => {
+  const form = mountForm({ size: 2 }, () =>
+    h(
+      'div',
+      {},
+      [1, 2, 3].map((size) =>
+        h('input', {
+          type: 'radio',
+          name: 'size',
+          value: size,
+          model: { path: 'size', number: true },
+        })
+      )
+    )
+  )
+  const radios = document.querySelectorAll('input')
+
+  expect(Array.from(radios, (radio) => radio.checked)).toEqual([
+    false,
+    true,
+    false,
+  ])
+
+  radios[2].click()
+  expect(form.state.size).toBe(3)
+
+  await nextTick()
+  expect(Array.from(radios, (radio) => radio.checked)).toEqual([
+    false,
+    false,
+    true,
+  ])
+})
+
+describe('selects', () => {
+  test('the selected option is bound to the state', async () => {
+    const form = mountForm({ country: 'fr' }, () =>
+      h('select', { model: 'country' }, [
+        h('option', { value: 'es' }, ['Spain']),
+        h('option', { value: 'fr' }, ['France']),
+      ])
+    )
+    const select = document.querySelector('select')
+
+    expect(select.value).toBe('fr')
+
+    select.value = 'es'
+    select.dispatchEvent(new Event('change'))
+    expect(form.state.country).toBe('es')
+
+    await form.updateState({ country: 'fr' })
+    expect(select.value).toBe('fr')
+  })
+
+  test('the options without value are matched by their text', () => {
+    mountForm({ fruit: 'Pear' }, () =>
+      h('select', { model: 'fruit' }, [
+        h('option', {}, ['Apple']),
+        h('option', {}, ['Pear']),
+      ])
+    )
+
+    expect(document.querySelector('select').value).toBe('Pear')
+  })
+
+  test('the selected options of a multiple select are bound to an array', () => {
+    const form = mountForm({ tags: ['b'] }, () =>
+      h('select', { multiple: true, model: 'tags' }, [
+        h('option', { value: 'a' }, ['A']),
+        h('option', { value: 'b' }, ['B']),
+        h('option', { value: 'c' }, ['C']),
+      ])
+    )
+    const select = document.querySelector('select')
+    const [a, b, c] = select.options
+
+    expect([a.selected, b.selected, c.selected]).toEqual([
+      false,
+      true,
+      false,
+    ])
+
+    c.selected = true
+    select.dispatchEvent(new Event('change'))
+    expect(form.state.tags).toEqual(['b', 'c'])
+  })
+})
+
+describe('components', () => {
+  const NameInput = defineComponent({
+    render() {
+      return h('input', {
+        value: this.props.modelValue,
+        on: {
+          input: (event) =>
+            this.emit('update:modelValue', event.target.value),
+        },
+      })
+    },
+  })
+
+  test('the value is passed as the modelValue prop', () => {
+    mountForm({ name: 'Ada' }, () => h(NameInput, { model: 'name' }))
+
+    expect(document.querySelector('input').value).toBe('Ada')
+  })
+
+  test('the update:modelValue event updates the state', async () => {
+    const form = mountForm({ name: 'Ada' }, () =>
+      h(NameInput, { model: { path: 'name', trim: true } })
+    )
+
+    type(document.querySelector('input'), ' Grace ')
+    expect(form.state.name).toBe('Grace')
+  })
+})
+
+test('the model prop throws in other elements', () => {
+  const Form = defineComponent({
+    state: () => ({ name: '' }),
+    render: () => h('div', { model: 'name' }),
+  })
+
+  expect(() => new Form().render()).toThrow(/model prop can only be used/)
+})
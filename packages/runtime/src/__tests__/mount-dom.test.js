@@ -1,4 +1,4 @@
-import { beforeEach, expect, test, vi } from 'vitest'
+import { beforeEach, describe, expect, test, vi } from 'vitest'
 import { defineComponent } from '../component'
 import { h, hFragment, hString } from '../h'
 import { mountDOM } from '../mount-dom'
@@ -394,6 +394,57 @@ test.each([
   }
 )
 
+describe('namespaces', () => {
+  const SVG_NAMESPACE = 'http://www.w3.org/2000/svg'
+  const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML'
+
+  test('the elements inside an <svg> are SVG elements', () => {
+    const vdom = h('svg', { viewBox: '0 0 10 10' }, [
+      h('g', {}, [h('circle', { cx: 5, cy: 5, r: 4 })]),
+    ])
+    mountDOM(vdom, document.body)
+
+    const circle = document.querySelector('circle')
+    expect(circle.namespaceURI).toBe(SVG_NAMESPACE)
+    expect(circle).toBeInstanceOf(SVGElement)
+    expect(document.body.innerHTML).toBe(
+      '<svg viewBox="0 0 10 10"><g><circle cx="5" cy="5" r="4"></circle></g></svg>'
+    )
+  })
+
+  test('the children of a <foreignObject> are HTML elements', () => {
+    const vdom = h('svg', {}, [
+      h('foreignObject', {}, [h('p', {}, ['Hello'])]),
+    ])
+    mountDOM(vdom, document.body)
+
+    expect(document.querySelector('svg foreignObject').namespaceURI).toBe(
+      SVG_NAMESPACE
+    )
+    expect(document.querySelector('p')).toBeInstanceOf(HTMLParagraphElement)
+  })
+
+  test('the elements inside a <math> are MathML elements', () => {
+    const vdom = h('math', {}, [h('mi', {}, ['x'])])
+    mountDOM(vdom, document.body)
+
+    expect(document.querySelector('mi').namespaceURI).toBe(MATHML_NAMESPACE)
+  })
+
+  test('components mounted inside an <svg> create SVG elements', () => {
+    const Dot = defineComponent({
+      render() {
+        return h('circle', { r: this.props.r })
+      },
+    })
+    mountDOM(h('svg', {}, [h(Dot, { r: 2 })]), document.body)
+
+    expect(document.querySelector('circle').namespaceURI).toBe(
+      SVG_NAMESPACE
+    )
+  })
+})
+
 test('when onMounted() in a component throws an error, the DOM still renders correctly', async () => {
   const consoleErrorMock = vi.fn()
   vi.stubGlobal('console', { error: consoleErrorMock })
@@ -428,6 +479,6 @@ test('when onMounted() in a component throws an error, the DOM still renders cor
     '<p>good</p><p>problem</p><p>good</p><p>good</p>'
   )
   expect(consoleErrorMock).toBeCalledWith(
-    expect.stringMatching(/scheduler/)
+    expect.stringMatching(/\[onMounted\] Unhandled error/)
   )
 })
@@ -3,6 +3,7 @@ import { defineComponent } from '../component'
 import { h, hFragment, hString } from '../h'
 import { mountDOM } from '../mount-dom'
 import { patchDOM } from '../patch-dom'
+import { nextTick } from '../scheduler'
 import { singleHtmlLine } from './utils'
 
 beforeEach(() => {
@@ -149,6 +150,53 @@ describe('patch attributes', () => {
 
     expect(document.body.innerHTML).toEqual('<div id="bar"></div>')
   })
+
+  test('update the attributes of SVG elements', async () => {
+    const oldVdom = h('svg', { viewBox: '0 0 10 10' }, [
+      h('use', { 'xlink:href': '#a', 'stroke-width': 1 }),
+    ])
+    const newVdom = h('svg', { viewBox: '0 0 20 20' }, [
+      h('use', { 'xlink:href': '#b' }),
+    ])
+
+    await patch(oldVdom, newVdom)
+
+    const use = document.querySelector('use')
+    expect(document.querySelector('svg').getAttribute('viewBox')).toBe(
+      '0 0 20 20'
+    )
+    expect(use.getAttribute('xlink:href')).toBe('#b')
+    expect(use.hasAttribute('stroke-width')).toBe(false)
+  })
+
+  test('elements added inside an <svg> are SVG elements', async () => {
+    const oldVdom = h('svg', {}, [])
+    const newVdom = h('svg', {}, [h('rect', { width: 4 })])
+
+    await patch(oldVdom, newVdom)
+
+    expect(document.querySelector('rect')).toBeInstanceOf(SVGElement)
+  })
+
+  test('the value and checked properties changed by the user are restored', async () => {
+    const oldVdom = h('div', {}, [
+      h('input', { value: 'foo' }),
+      h('input', { type: 'checkbox', checked: true }),
+    ])
+    const newVdom = h('div', {}, [
+      h('input', { value: 'foo' }),
+      h('input', { type: 'checkbox', checked: true }),
+    ])
+    mountDOM(oldVdom, document.body)
+
+    const [text, checkbox] = document.querySelectorAll('input')
+    text.value = 'bar'
+    checkbox.checked = false
+    patchDOM(oldVdom, newVdom, document.body)
+
+    expect(text.value).toBe('foo')
+    expect(checkbox.checked).toBe(true)
+  })
 })
 
 describe('patch class', () => {
@@ -322,6 +370,44 @@ describe('patch event handlers', () => {
     expect(oldHandler).not.toHaveBeenCalled()
     expect(newVdom.listeners).toStrictEqual({})
   })
+
+  test('unchanged event handlers are kept', async () => {
+    const handler = vi.fn()
+    const oldVdom = h('button', { on: { click: handler } })
+    const newVdom = h('button', { on: { click: handler } })
+
+    await patch(oldVdom, newVdom)
+
+    expect(newVdom.listeners.click).toBe(oldVdom.listeners.click)
+  })
+
+  test('handlers with equal options are kept', async () => {
+    const handler = vi.fn()
+    const oldVdom = h('a', { on: { click: { handler, prevent: true } } })
+    const newVdom = h('a', { on: { click: { handler, prevent: true } } })
+
+    await patch(oldVdom, newVdom)
+
+    expect(newVdom.listeners.click).toBe(oldVdom.listeners.click)
+  })
+
+  test('handlers are added again when their options change', async () => {
+    const handler = vi.fn()
+    const oldVdom = h('button', { on: { click: { handler, once: true } } })
+    const newVdom = h('button', { on: { click: { handler, stop: true } } })
+
+    await patch(oldVdom, newVdom)
+
+    const button = document.body.querySelector('button')
+    const parentHandler = vi.fn()
+    document.body.addEventListener('click', parentHandler)
+    button.click()
+    button.click()
+    document.body.removeEventListener('click', parentHandler)
+
+    expect(handler).toHaveBeenCalledTimes(2)
+    expect(parentHandler).not.toHaveBeenCalled()
+  })
 })
 
 describe('patch children', () => {
@@ -750,6 +836,21 @@ describe('patch component with props', () => {
 
     expect(newVdom.component).toBe(oldVdom.component)
   })
+
+  test('the el is the element rendered by the deferred patch', async () => {
+    const Tagged = defineComponent({
+      render() {
+        return h(this.props.tag, {}, ['Hi'])
+      },
+    })
+    const oldVdom = h(Tagged, { tag: 'p' })
+    const newVdom = h(Tagged, { tag: 'h1' })
+
+    await patch(oldVdom, newVdom)
+    await nextTick()
+
+    expect(newVdom.el).toBe(document.querySelector('h1'))
+  })
 })
 
 describe('patch keyed component list', () => {
@@ -791,6 +892,7 @@ describe('patch keyed component list', () => {
 
     // Change the internal state of the first component.
     document.querySelector('#A').click()
+    await nextTick()
     expect(document.body.innerHTML).toBe(
       singleHtmlLine`
       <span id="A" class="highlighted">A</span>
@@ -834,6 +936,7 @@ describe('patch keyed component list', () => {
     // Change the internal state of the two components
     document.querySelector('#A').click()
     document.querySelector('#B').click()
+    await nextTick()
     expect(document.body.innerHTML).toBe(
       singleHtmlLine`
       <span id="A" class="highlighted">A</span>
@@ -867,6 +970,7 @@ describe('patch keyed component list', () => {
 
     // Change the internal state of the middle component
     document.querySelector('#B').click()
+    await nextTick()
     expect(document.body.innerHTML).toBe(
       singleHtmlLine`
       <span id="A">A</span>
@@ -900,6 +1004,7 @@ describe('patch keyed component list', () => {
     // Change the internal state of two components
     document.querySelector('#A').click()
     document.querySelector('#B').click()
+    await nextTick()
     expect(document.body.innerHTML).toBe(
       singleHtmlLine`
       <span id="A" class="highlighted">A</span>
@@ -1050,10 +1155,11 @@ test('patch component where the top-level element changes between renders', asyn
   expect(document.body.innerHTML).toBe('<div>A</div>')
   expect(oldVdom.el).toBeInstanceOf(HTMLDivElement)
 
-  await patchDOM(oldVdom, newVdom, document.body)
+  patchDOM(oldVdom, newVdom, document.body)
+  await nextTick()
 
   expect(document.body.innerHTML).toBe('<span>B</span>')
-  expect(newVdom.el).toBeInstanceOf(HTMLSpanElement)
+  expect(newVdom.component.firstElement).toBeInstanceOf(HTMLSpanElement)
 })
 
 async function patch(oldVdom, newVdom, hostComponent = null) {
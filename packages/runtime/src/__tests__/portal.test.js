@@ -0,0 +1,178 @@
+import { afterEach, beforeEach, expect, test, vi } from 'vitest'
+import { defineComponent } from '../component'
+import { DOM_TYPES, h, hFragment, hPortal } from '../h'
+import { hydrateDOM } from '../hydrate-dom'
+import { mountDOM } from '../mount-dom'
+import { patchDOM } from '../patch-dom'
+import { renderToString } from '../render-to-string'
+import { destroyDOM } from '../destroy-dom'
+
+let app, modals
+
+beforeEach(() => {
+  document.body.innerHTML = '<main id="app"></main><div id="modals"></div>'
+  app = document.querySelector('#app')
+  modals = document.querySelector('#modals')
+})
+
+afterEach(() => {
+  document.body.innerHTML = ''
+})
+
+test('hPortal() creates a portal virtual node', () => {
+  expect(hPortal('#modals', ['Hi'])).toEqual({
+    type: DOM_TYPES.PORTAL,
+    target: '#modals',
+    children: [{ type: DOM_TYPES.TEXT, value: 'Hi' }],
+  })
+})
+
+test('the children are mounted into the target element', () => {
+  const vdom = h('div', {}, [
+    h('p', {}, ['Page']),
+    hPortal('#modals', [h('dialog', {}, ['Modal'])]),
+  ])
+  mountDOM(vdom, app)
+
+  expect(app.innerHTML).toBe('<div><p>Page</p></div>')
+  expect(modals.innerHTML).toBe('<dialog>Modal</dialog>')
+})
+
+test('the target can be an element', () => {
+  mountDOM(hPortal(modals, [h('span', {}, ['Tip'])]), app)
+
+  expect(modals.innerHTML).toBe('<span>Tip</span>')
+})
+
+test("mounting fails if the target doesn't exist", () => {
+  expect(() => mountDOM(hPortal('#nowhere', []), app)).toThrow(
+    /Portal target not found: #nowhere/
+  )
+})
+
+test('the children are patched in place, next to the other content of the target', () => {
+  modals.innerHTML = '<p>Before</p>'
+  const oldVdom = hPortal('#modals', [
+    h('li', { key: 'a' }, ['A']),
+    h('li', { key: 'b' }, ['B']),
+  ])
+  const newVdom = hPortal('#modals', [
+    h('li', { key: 'c' }, ['C']),
+    h('li', { key: 'b' }, ['B']),
+    h('li', { key: 'a' }, ['A']),
+  ])
+  mountDOM(oldVdom, app)
+  modals.append(document.createElement('hr'))
+
+  patchDOM(oldVdom, newVdom, app)
+
+  expect(modals.innerHTML).toBe(
+    '<p>Before</p><li>C</li><li>B</li><li>A</li><hr>'
+  )
+})
+
+test('changing the target moves the children', () => {
+  const oldVdom = h('div', {}, [hPortal('#modals', ['Moved'])])
+  const newVdom = h('div', {}, [hPortal('#app', ['Moved'])])
+  mountDOM(oldVdom, document.body)
+
+  patchDOM(oldVdom, newVdom, document.body)
+
+  expect(modals.innerHTML).toBe('')
+  expect(app.innerHTML).toBe('Moved')
+})
+
+test('a portal replaced by another node keeps its position', () => {
+  const oldVdom = h('div', {}, [
+    h('span', {}, ['A']),
+    hPortal('#modals', ['Modal']),
+    h('span', {}, ['B']),
+  ])
+  const newVdom = h('div', {}, [
+    h('span', {}, ['A']),
+    h('p', {}, ['Inline']),
+    h('span', {}, ['B']),
+  ])
+  mountDOM(oldVdom, app)
+
+  patchDOM(oldVdom, newVdom, app)
+
+  expect(app.innerHTML).toBe(
+    '<div><span>A</span><p>Inline</p><span>B</span></div>'
+  )
+  expect(modals.innerHTML).toBe('')
+})
+
+test('destroying a portal removes its children from the target', () => {
+  const vdom = hFragment([hPortal('#modals', [h('dialog')])])
+  mountDOM(vdom, app)
+
+  destroyDOM(vdom)
+
+  expect(modals.childNodes).toHaveLength(0)
+  expect(app.childNodes).toHaveLength(0)
+})
+
+test('the children stay in the component tree', async () => {
+  const onClose = vi.fn()
+  const Modal = defineComponent({
+    render() {
+      return h('dialog', {}, [
+        `Theme: ${this.inject('theme')}`,
+        h('button', { on: { click: () => this.emit('close') } }, ['x']),
+      ])
+    },
+  })
+  const Page = defineComponent({
+    state() {
+      return { open: true }
+    },
+    render() {
+      this.provide('theme', 'dark')
+
+      return hFragment([
+        h('h1', {}, ['Page']),
+        this.state.open
+          ? hPortal('#modals', [h(Modal, { on: { close: this.close } })])
+          : null,
+      ])
+    },
+    close() {
+      onClose()
+      this.updateState({ open: false })
+    },
+  })
+  const vdom = h(Page)
+  mountDOM(vdom, app)
+
+  expect(modals.innerHTML).toBe(
+    '<dialog>Theme: dark<button>x</button></dialog>'
+  )
+
+  modals.querySelector('button').click()
+  await vdom.component.updateState({})
+
+  expect(onClose).toHaveBeenCalledOnce()
+  expect(modals.innerHTML).toBe('')
+
+  vdom.component.unmount()
+  expect(document.body.innerHTML).toBe(
+    '<main id="app"></main><div id="modals"></div>'
+  )
+})
+
+test("portals aren't rendered on the server, and are mounted when hydrating", () => {
+  const vdom = h('div', {}, [
+    h('p', {}, ['Page']),
+    hPortal('#modals', ['Modal']),
+    h('p', {}, ['Footer']),
+  ])
+  app.innerHTML = renderToString(vdom)
+
+  expect(app.innerHTML).toBe('<div><p>Page</p><p>Footer</p></div>')
+
+  hydrateDOM(vdom, app)
+
+  expect(app.innerHTML).toBe('<div><p>Page</p><p>Footer</p></div>')
+  expect(modals.innerHTML).toBe('Modal')
+})
@@ -0,0 +1,165 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import { createApp } from '../app'
+import { defineComponent } from '../component'
+import { h, hFragment } from '../h'
+import { mountDOM } from '../mount-dom'
+import { nextTick } from '../scheduler'
+
+const ThemedButton = defineComponent({
+  render() {
+    const theme = this.inject('theme')
+    return h('button', { class: theme }, ['Click'])
+  },
+})
+
+const Toolbar = defineComponent({
+  render() {
+    return h('nav', {}, [h(ThemedButton)])
+  },
+})
+
+const ThemeProvider = defineComponent({
+  state() {
+    return { theme: 'dark' }
+  },
+  render() {
+    this.provide('theme', this.state.theme)
+    return h(Toolbar)
+  },
+})
+
+let warnSpy
+
+beforeEach(() => {
+  warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  warnSpy.mockRestore()
+  document.body.innerHTML = ''
+})
+
+test('descendants inject the value provided by an ancestor', () => {
+  mountDOM(h(ThemeProvider), document.body)
+
+  expect(document.body.innerHTML).toBe(
+    '<nav><button class="dark">Click</button></nav>'
+  )
+})
+
+test('the closest ancestor providing the key wins', () => {
+  const Inner = defineComponent({
+    render() {
+      this.provide('theme', 'light')
+      return h(ThemedButton)
+    },
+  })
+  const Outer = defineComponent({
+    render() {
+      this.provide('theme', 'dark')
+      return hFragment([h(ThemedButton), h(Inner)])
+    },
+  })
+
+  mountDOM(h(Outer), document.body)
+
+  expect(document.body.innerHTML).toBe(
+    '<button class="dark">Click</button><button class="light">Click</button>'
+  )
+})
+
+test('symbols can be used as keys', () => {
+  const key = Symbol('user')
+  const Child = defineComponent({
+    render() {
+      return h('span', {}, [this.inject(key).name])
+    },
+  })
+  const Parent = defineComponent({
+    render() {
+      this.provide(key, { name: 'Ada' })
+      return h(Child)
+    },
+  })
+
+  mountDOM(h(Parent), document.body)
+
+  expect(document.body.innerHTML).toBe('<span>Ada</span>')
+})
+
+test('descendants re-render when the provided value changes', async () => {
+  const vdom = h(ThemeProvider)
+  mountDOM(vdom, document.body)
+  const button = document.querySelector('button')
+
+  await vdom.component.updateState({ theme: 'light' })
+
+  expect(document.querySelector('button')).toBe(button)
+  expect(button.className).toBe('light')
+})
+
+describe('when the key is not provided', () => {
+  test('returns the default value', () => {
+    const Comp = defineComponent({
+      render() {
+        return h('span', {}, [this.inject('theme', 'default')])
+      },
+    })
+
+    mountDOM(h(Comp), document.body)
+
+    expect(document.body.innerHTML).toBe('<span>default</span>')
+    expect(warnSpy).not.toHaveBeenCalled()
+  })
+
+  test('warns if there is no default value', () => {
+    mountDOM(h(Toolbar), document.body)
+
+    expect(warnSpy).toHaveBeenCalledWith(
+      '[inject] No value provided for "theme" in Component'
+    )
+  })
+})
+
+describe('values provided by the application', () => {
+  let app
+
+  beforeEach(() => {
+    app = createApp(Toolbar)
+    app.provide('theme', 'blue')
+  })
+
+  afterEach(async () => {
+    await nextTick()
+    app.unmount()
+  })
+
+  test('components inject the values provided by the application', () => {
+    app.mount(document.body)
+
+    expect(document.body.innerHTML).toBe(
+      '<nav><button class="blue">Click</button></nav>'
+    )
+  })
+
+  test('components re-render when the application provides a new value', async () => {
+    app.mount(document.body)
+    app.provide('theme', 'red')
+    await nextTick()
+
+    expect(document.body.innerHTML).toBe(
+      '<nav><button class="red">Click</button></nav>'
+    )
+  })
+})
+
+test('unmounted components are not re-rendered', () => {
+  const vdom = h(ThemeProvider)
+  mountDOM(vdom, document.body)
+  const provider = vdom.component
+  const toolbar = provider.vdom.component
+
+  toolbar.unmount()
+
+  expect(() => provider.updateState({ theme: 'light' })).not.toThrow()
+})
@@ -0,0 +1,152 @@
+import { describe, expect, test, vi } from 'vitest'
+import { reactive, toRaw } from '../reactivity'
+
+describe('objects and arrays', () => {
+  test('setting a property calls onChange()', () => {
+    const onChange = vi.fn()
+    const state = reactive({ count: 0 }, onChange)
+
+    state.count++
+
+    expect(state.count).toBe(1)
+    expect(onChange).toHaveBeenCalledOnce()
+  })
+
+  test('setting the same value does not call onChange()', () => {
+    const onChange = vi.fn()
+    const state = reactive({ count: 0 }, onChange)
+
+    state.count = 0
+
+    expect(onChange).not.toHaveBeenCalled()
+  })
+
+  test('deleting a property calls onChange()', () => {
+    const onChange = vi.fn()
+    const state = reactive({ count: 0 }, onChange)
+
+    delete state.count
+    delete state.missing
+
+    expect(state).toEqual({})
+    expect(onChange).toHaveBeenCalledOnce()
+  })
+
+  test('nested objects are tracked', () => {
+    const onChange = vi.fn()
+    const state = reactive(
+      { user: { address: { city: 'Lyon' } } },
+      onChange
+    )
+
+    state.user.address.city = 'Oslo'
+
+    expect(onChange).toHaveBeenCalledOnce()
+  })
+
+  test('array mutations call onChange()', () => {
+    const onChange = vi.fn()
+    const state = reactive({ todos: ['a'] }, onChange)
+
+    state.todos.push('b')
+    state.todos.splice(0, 1)
+    state.todos.length = 0
+
+    expect(toRaw(state.todos)).toEqual([])
+    expect(onChange).toHaveBeenCalled()
+  })
+
+  test('nested proxies keep their identity', () => {
+    const state = reactive({ user: { name: 'Ada' } }, () => {})
+
+    expect(state.user).toBe(state.user)
+  })
+
+  test('assigned proxies are stored as the original objects', () => {
+    const raw = { a: { b: 1 } }
+    const state = reactive(raw, () => {})
+
+    state.c = state.a
+
+    expect(raw.c).toBe(raw.a)
+  })
+
+  test('other objects are not wrapped', () => {
+    const date = new Date()
+    const state = reactive({ date }, () => {})
+
+    expect(state.date).toBe(date)
+  })
+})
+
+describe('maps and sets', () => {
+  test('adding and deleting from a set calls onChange()', () => {
+    const onChange = vi.fn()
+    const state = reactive({ languages: new Set() }, onChange)
+
+    state.languages.add('en')
+    state.languages.add('en')
+
+    expect(state.languages.has('en')).toBe(true)
+    expect(state.languages.size).toBe(1)
+    expect(onChange).toHaveBeenCalledOnce()
+
+    state.languages.delete('en')
+    expect(onChange).toHaveBeenCalledTimes(2)
+  })
+
+  test('setting a map entry calls onChange()', () => {
+    const onChange = vi.fn()
+    const state = reactive({ prices: new Map([['apple', 1]]) }, onChange)
+
+    state.prices.set('apple', 1)
+    expect(onChange).not.toHaveBeenCalled()
+
+    state.prices.set('apple', 2).set('pear', 3)
+    expect(onChange).toHaveBeenCalledTimes(2)
+
+    state.prices.clear()
+    expect(onChange).toHaveBeenCalledTimes(3)
+  })
+
+  test('the values read from a map are tracked', () => {
+    const onChange = vi.fn()
+    const state = reactive(
+      { users: new Map([[1, { name: 'Ada' }]]) },
+      onChange
+    )
+
+    state.users.get(1).name = 'Grace'
+
+    expect(onChange).toHaveBeenCalledOnce()
+  })
+
+  test('the objects in a set and the keys of a map are found by their proxy', () => {
+    const onChange = vi.fn()
+    const state = reactive(
+      {
+        items: [{ id: 1 }, { id: 2 }],
+        selected: new Set(),
+        notes: new Map(),
+      },
+      onChange
+    )
+    const [first, second] = state.items
+
+    state.selected.add(first)
+    state.notes.set(first, 'First')
+
+    expect(state.selected.size).toBe(1)
+    expect(state.selected.has(first)).toBe(true)
+    expect(state.selected.has(second)).toBe(false)
+    expect(state.notes.has(first)).toBe(true)
+    expect(state.notes.get(first)).toBe('First')
+
+    state.selected.delete(first)
+    state.notes.delete(first)
+
+    expect(state.selected.size).toBe(0)
+    expect(state.notes.size).toBe(0)
+    expect(onChange).toHaveBeenCalledTimes(4)
+  })
+})
@@ -0,0 +1,175 @@
+import { afterEach, expect, test } from 'vitest'
+import { defineComponent } from '../component'
+import { h } from '../h'
+import { mountDOM } from '../mount-dom'
+import { flushSync, nextTick } from '../scheduler'
+
+afterEach(() => {
+  document.body.innerHTML = ''
+})
+
+test('refs to elements are saved in the host component', () => {
+  const Form = defineComponent({
+    render() {
+      return h('form', { ref: 'form' }, [h('input', { ref: 'input' })])
+    },
+  })
+
+  const vdom = h(Form)
+  mountDOM(vdom, document.body)
+  const { refs } = vdom.component
+
+  expect(refs.form).toBe(document.querySelector('form'))
+  expect(refs.input).toBe(document.querySelector('input'))
+})
+
+test('the ref prop is not set as an attribute', async () => {
+  const Comp = defineComponent({
+    state() {
+      return { value: 'a' }
+    },
+    render() {
+      return h('input', { ref: 'input', value: this.state.value })
+    },
+  })
+
+  const vdom = h(Comp)
+  mountDOM(vdom, document.body)
+  await vdom.component.updateState({ value: 'b' })
+
+  expect(document.body.innerHTML).toBe('<input>')
+})
+
+test('refs are available in the onMounted() hook', async () => {
+  let focused = null
+  const Comp = defineComponent({
+    onMounted() {
+      this.refs.input.focus()
+      focused = document.activeElement
+    },
+    render() {
+      return h('input', { ref: 'input' })
+    },
+  })
+
+  mountDOM(h(Comp), document.body)
+  await nextTick()
+
+  expect(focused).toBe(document.querySelector('input'))
+})
+
+test('refs to components are the component instances', () => {
+  const Child = defineComponent({
+    render() {
+      return h('p', {}, ['Child'])
+    },
+  })
+  const Parent = defineComponent({
+    render() {
+      return h('div', {}, [h(Child, { ref: 'child' })])
+    },
+  })
+
+  const vdom = h(Parent)
+  mountDOM(vdom, document.body)
+  const childVdom = vdom.component.vdom.children[0]
+
+  expect(vdom.component.refs.child).toBe(childVdom.component)
+  expect(childVdom.component.props).toEqual({})
+})
+
+test("the refs in child components aren't collected by the parent", () => {
+  const Child = defineComponent({
+    render() {
+      return h('p', { ref: 'paragraph' }, ['Child'])
+    },
+  })
+  const Parent = defineComponent({
+    render() {
+      return h('div', {}, [h(Child)])
+    },
+  })
+
+  const vdom = h(Parent)
+  mountDOM(vdom, document.body)
+  const child = vdom.component.vdom.children[0].component
+
+  expect(vdom.component.refs).toEqual({})
+  expect(child.refs.paragraph).toBe(document.querySelector('p'))
+})
+
+test('refs ending with [] are collected into an array', () => {
+  const List = defineComponent({
+    render() {
+      return h(
+        'ul',
+        {},
+        this.props.items.map((item) =>
+          h('li', { key: item, ref: 'items[]' }, [item])
+        )
+      )
+    },
+  })
+
+  const vdom = h(List, { items: ['A', 'B', 'C'] })
+  mountDOM(vdom, document.body)
+
+  expect(vdom.component.refs.items).toEqual(
+    Array.from(document.querySelectorAll('li'))
+  )
+})
+
+test('refs are kept in sync when the nodes are replaced or moved', () => {
+  const Comp = defineComponent({
+    state() {
+      return { items: ['A', 'B', 'C'], editing: false }
+    },
+    render() {
+      const { items, editing } = this.state
+
+      return h('div', {}, [
+        editing
+          ? h('input', { ref: 'field' })
+          : h('span', { ref: 'field' }),
+        h(
+          'ul',
+          {},
+          items.map((item) =>
+            h('li', { key: item, ref: 'items[]' }, [item])
+          )
+        ),
+      ])
+    },
+  })
+
+  const vdom = h(Comp)
+  mountDOM(vdom, document.body)
+  const component = vdom.component
+
+  flushSync(() =>
+    component.updateState({ items: ['C', 'A'], editing: true })
+  )
+
+  expect(component.refs.field).toBe(document.querySelector('input'))
+  expect(component.refs.items).toEqual(
+    Array.from(document.querySelectorAll('li'))
+  )
+  expect(component.refs.items.map((li) => li.textContent)).toEqual([
+    'C',
+    'A',
+  ])
+})
+
+test('refs are cleared when the component is unmounted', () => {
+  const Comp = defineComponent({
+    render() {
+      return h('input', { ref: 'input' })
+    },
+  })
+
+  const vdom = h(Comp)
+  mountDOM(vdom, document.body)
+  vdom.component.unmount()
+
+  expect(vdom.component.refs).toEqual({})
+})
@@ -0,0 +1,146 @@
+// @vitest-environment node
+import { expect, test } from 'vitest'
+import { defineComponent } from '../component'
+import { h, hFragment, hSlot, hString } from '../h'
+import { renderToString } from '../render-to-string'
+import { singleHtmlLine } from './utils'
+
+test('runs without a DOM', () => {
+  expect(typeof document).toBe('undefined')
+  expect(renderToString(h('p', {}, ['Hi']))).toBe('<p>Hi</p>')
+})
+
+test('text nodes', () => {
+  expect(renderToString(hString('Hello'))).toBe('Hello')
+})
+
+test('fragments', () => {
+  const vdom = hFragment([h('span', {}, ['A']), 'B', h('span', {}, ['C'])])
+
+  expect(renderToString(vdom)).toBe('<span>A</span>B<span>C</span>')
+})
+
+test('void elements have no closing tag', () => {
+  const vdom = h('div', {}, [h('input', { type: 'text' }), h('br')])
+
+  expect(renderToString(vdom)).toBe('<div><input type="text"><br></div>')
+})
+
+test('text is escaped', () => {
+  const vdom = h('p', {}, ['<script>alert("x") & more</script>'])
+
+  expect(renderToString(vdom)).toBe(
+    '<p>&lt;script&gt;alert("x") &amp; more&lt;/script&gt;</p>'
+  )
+})
+
+test('attribute values are escaped', () => {
+  const vdom = h('a', { title: '"quoted" <b> & more', href: '/a?b=1&c=2' })
+
+  expect(renderToString(vdom)).toBe(
+    '<a title="&quot;quoted&quot; &lt;b&gt; &amp; more" href="/a?b=1&amp;c=2"></a>'
+  )
+})
+
+test('class as a string or an array', () => {
+  expect(renderToString(h('div', { class: 'foo bar' }))).toBe(
+    '<div class="foo bar"></div>'
+  )
+  expect(renderToString(h('div', { class: ['foo', 'bar', 'foo'] }))).toBe(
+    '<div class="foo bar"></div>'
+  )
+})
+
+test('style properties are converted into CSS', () => {
+  const vdom = h('div', { style: { color: 'red', fontSize: '12px' } })
+
+  expect(renderToString(vdom)).toBe(
+    '<div style="color: red; font-size: 12px;"></div>'
+  )
+})
+
+test('boolean, null, key and event props', () => {
+  const vdom = h('button', {
+    disabled: true,
+    hidden: false,
+    title: null,
+    key: 'btn',
+    on: { click: () => {} },
+    'data-id': 42,
+  })
+
+  expect(renderToString(vdom)).toBe(
+    '<button disabled data-id="42"></button>'
+  )
+})
+
+test('properties are serialized with their attribute name', () => {
+  const vdom = h('label', { htmlFor: 'name', className: 'label' })
+
+  expect(renderToString(vdom)).toBe(
+    '<label for="name" class="label"></label>'
+  )
+})
+
+test('the value of a textarea is its content', () => {
+  const vdom = h('textarea', { value: 'a < b', rows: 3 })
+
+  expect(renderToString(vdom)).toBe(
+    '<textarea rows="3">a &lt; b</textarea>'
+  )
+})
+
+test('components render their initial state with their props', () => {
+  const onMounted = () => {
+    throw new Error('onMounted should not be called')
+  }
+  const Counter = defineComponent({
+    state({ initial }) {
+      return { count: initial }
+    },
+    onMounted,
+    render() {
+      return h('p', {}, [`${this.props.label}: ${this.state.count}`])
+    },
+  })
+
+  expect(renderToString(Counter, { label: 'Count', initial: 5 })).toBe(
+    '<p>Count: 5</p>'
+  )
+})
+
+test('nested components and slots', () => {
+  const Card = defineComponent({
+    render() {
+      return h('section', { class: 'card' }, [
+        h('h2', {}, [this.props.title]),
+        hSlot(['Empty']),
+      ])
+    },
+  })
+  const List = defineComponent({
+    render() {
+      return hFragment(
+        this.props.items.map((item) =>
+          h(Card, { title: item, key: item }, [
+            h('p', {}, [`About ${item}`]),
+          ])
+        )
+      )
+    },
+  })
+  const App = defineComponent({
+    render() {
+      return h('main', {}, [h(List, { items: ['A', 'B'] }), h(Card)])
+    },
+  })
+
+  expect(renderToString(App)).toBe(
+    singleHtmlLine`
+      <main>
+        <section class="card"><h2>A</h2><p>About A</p></section>
+        <section class="card"><h2>B</h2><p>About B</p></section>
+        <section class="card"><h2></h2>Empty</section>
+      </main>`
+  )
+})
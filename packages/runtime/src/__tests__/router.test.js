@@ -0,0 +1,331 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import { createApp } from '../app'
+import { defineComponent } from '../component'
+import { h, hFragment } from '../h'
+import { makeRouteMatchers, parsePath } from '../route-matchers'
+import { createRouter } from '../router'
+import { RouterLink, RouterOutlet } from '../router-components'
+import { nextTick } from '../scheduler'
+import { singleHtmlLine } from './utils'
+
+const Home = defineComponent({
+  render() {
+    return h('p', {}, ['Home'])
+  },
+})
+
+const User = defineComponent({
+  render() {
+    const { params, query } = this.props
+    return h('p', {}, [
+      `User ${params.id}${query.tab ? ` (${query.tab})` : ''}`,
+    ])
+  },
+})
+
+const Settings = defineComponent({
+  render() {
+    return h('section', {}, [h('h2', {}, ['Settings']), h(RouterOutlet)])
+  },
+})
+
+const Profile = defineComponent({
+  render() {
+    return h('p', {}, ['Profile'])
+  },
+})
+
+const NotFound = defineComponent({
+  render() {
+    return h('p', {}, ['Not found'])
+  },
+})
+
+const App = defineComponent({
+  render() {
+    return hFragment([
+      h(RouterLink, { to: '/users/1' }, ['User 1']),
+      h(RouterOutlet),
+    ])
+  },
+})
+
+const routes = [
+  { path: '/', component: Home },
+  { path: '/users/:id', component: User },
+  {
+    path: '/settings',
+    component: Settings,
+    children: [{ path: 'profile', component: Profile }],
+  },
+  { path: '/old-home', redirect: '/' },
+  { path: '*', component: NotFound },
+]
+
+beforeEach(() => {
+  window.history.replaceState({}, '', '/')
+})
+
+afterEach(() => {
+  document.body.innerHTML = ''
+})
+
+describe('route matchers', () => {
+  test('match static paths', () => {
+    const [matcher] = makeRouteMatchers([{ path: '/about' }])
+
+    expect(matcher.matches('/about')).toBe(true)
+    expect(matcher.matches('/about/')).toBe(true)
+    expect(matcher.matches('/about/team')).toBe(false)
+  })
+
+  test('extract params', () => {
+    const [matcher] = makeRouteMatchers([
+      { path: '/users/:id/posts/:postId' },
+    ])
+
+    expect(matcher.matches('/users/1/posts/2')).toBe(true)
+    expect(matcher.extractParams('/users/1/posts/2')).toEqual({
+      id: '1',
+      postId: '2',
+    })
+  })
+
+  test('params are decoded, unless they are malformed', () => {
+    const [matcher] = makeRouteMatchers([{ path: '/users/:id' }])
+
+    expect(matcher.extractParams('/users/Ad%C3%A9le')).toEqual({
+      id: 'Adéle',
+    })
+    expect(matcher.extractParams('/users/%E0%A4%A')).toEqual({
+      id: '%E0%A4%A',
+    })
+  })
+
+  test('nested routes are flattened, children first', () => {
+    const parent = { path: '/settings', children: [{ path: 'profile' }] }
+    const matchers = makeRouteMatchers([parent])
+
+    expect(matchers.map(({ path }) => path)).toEqual([
+      '/settings/profile',
+      '/settings',
+    ])
+    expect(matchers[0].matched).toEqual([parent, parent.children[0]])
+  })
+
+  test('parse the query string', () => {
+    expect(parsePath('/users?tab=posts&page=2')).toEqual({
+      pathname: '/users',
+      search: '?tab=posts&page=2',
+      query: { tab: 'posts', page: '2' },
+    })
+  })
+})
+
+describe('history mode', () => {
+  let router
+  let app
+
+  beforeEach(() => {
+    router = createRouter({ routes })
+    app = createApp(App, {}, { router })
+  })
+
+  afterEach(() => {
+    app.unmount()
+  })
+
+  test('renders the route matching the current location', () => {
+    app.mount(document.body)
+
+    expect(document.body.innerHTML).toBe(
+      singleHtmlLine`
+        <a href="/users/1">User 1</a>
+        <div data-router-outlet=""><p>Home</p></div>`
+    )
+  })
+
+  test('navigates to a route with params and query', async () => {
+    app.mount(document.body)
+    await router.navigateTo('/users/42?tab=posts')
+    await nextTick()
+
+    expect(window.location.pathname).toBe('/users/42')
+    expect(router.params).toEqual({ id: '42' })
+    expect(router.query).toEqual({ tab: 'posts' })
+    expect(document.querySelector('p').textContent).toBe('User 42 (posts)')
+  })
+
+  test('navigates when a link is clicked', async () => {
+    app.mount(document.body)
+    document.querySelector('a').click()
+    await nextTick()
+
+    expect(window.location.pathname).toBe('/users/1')
+    expect(document.querySelector('p').textContent).toBe('User 1')
+  })
+
+  test('renders nested routes in nested outlets', async () => {
+    app.mount(document.body)
+    await router.navigateTo('/settings/profile')
+    await nextTick()
+
+    expect(document.querySelector('section').innerHTML).toBe(
+      singleHtmlLine`
+        <h2>Settings</h2>
+        <div data-router-outlet=""><p>Profile</p></div>`
+    )
+  })
+
+  test('renders the catch-all route when no route matches', async () => {
+    app.mount(document.body)
+    await router.navigateTo('/does/not/exist')
+    await nextTick()
+
+    expect(document.querySelector('p').textContent).toBe('Not found')
+  })
+
+  test('follows redirects', async () => {
+    app.mount(document.body)
+    await router.navigateTo('/old-home')
+
+    expect(window.location.pathname).toBe('/')
+  })
+
+  test('reacts to the browser going back', async () => {
+    app.mount(document.body)
+    await router.navigateTo('/users/7')
+    window.history.replaceState({}, '', '/')
+    window.dispatchEvent(new PopStateEvent('popstate'))
+    await nextTick()
+
+    expect(document.querySelector('p').textContent).toBe('Home')
+  })
+})
+
+describe('hash mode', () => {
+  test('reads and writes the path in the hash', async () => {
+    const router = createRouter({ routes, mode: 'hash' })
+    const app = createApp(App, {}, { router })
+
+    window.history.replaceState({}, '', '/#/users/3')
+    app.mount(document.body)
+
+    expect(document.querySelector('p').textContent).toBe('User 3')
+    expect(document.querySelector('a').getAttribute('href')).toBe(
+      '#/users/1'
+    )
+
+    await router.navigateTo('/settings')
+    expect(window.location.hash).toBe('#/settings')
+
+    app.unmount()
+  })
+})
+
+describe('navigation guards', () => {
+  test('a guard returning false cancels the navigation', async () => {
+    const router = createRouter({ routes })
+    await router.init()
+    router.beforeEach((to) => to.pathname !== '/settings')
+
+    expect(await router.navigateTo('/settings')).toBe(false)
+    expect(router.current.pathname).toBe('/')
+
+    router.destroy()
+  })
+
+  test('a guard returning a path redirects the navigation', async () => {
+    const beforeEnter = vi.fn(async () => '/')
+    const router = createRouter({
+      routes: [{ path: '/admin', component: Home, beforeEnter }, ...routes],
+    })
+    await router.init()
+    await router.navigateTo('/admin')
+
+    expect(beforeEnter).toHaveBeenCalledOnce()
+    expect(router.current.pathname).toBe('/')
+
+    router.destroy()
+  })
+
+  test('a navigation is dropped when a newer one starts', async () => {
+    let resolveGuard
+    const beforeEnter = () =>
+      new Promise((resolve) => {
+        resolveGuard = resolve
+      })
+    const router = createRouter({
+      routes: [{ path: '/admin', component: Home, beforeEnter }, ...routes],
+    })
+    await router.init()
+
+    const slowNavigation = router.navigateTo('/admin')
+    await router.navigateTo('/users/1')
+    resolveGuard(true)
+
+    expect(await slowNavigation).toBe(false)
+    expect(router.current.pathname).toBe('/users/1')
+    expect(window.location.pathname).toBe('/users/1')
+
+    router.destroy()
+  })
+
+  test('redirect loops are stopped', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const router = createRouter({
+      routes: [
+        { path: '/a', component: Home, beforeEnter: () => '/b' },
+        { path: '/b', component: Home, beforeEnter: () => '/a' },
+        ...routes,
+      ],
+    })
+    await router.init()
+
+    expect(await router.navigateTo('/a')).toBe(false)
+    expect(router.current.pathname).toBe('/')
+    expect(warnSpy).toHaveBeenCalledWith(
+      '[router] Too many redirects when navigating to "/a"'
+    )
+
+    warnSpy.mockRestore()
+    router.destroy()
+  })
+
+  test('the rejected navigations of the links are captured', async () => {
+    const onError = vi.fn()
+    const router = createRouter({ routes })
+    const app = createApp(App, {}, { router, onError })
+    app.mount(document.body)
+    router.beforeEach(() => {
+      throw new Error('Guard failed')
+    })
+
+    document.querySelector('a').click()
+    await nextTick()
+
+    expect(onError).toHaveBeenCalledWith(
+      new Error('Guard failed'),
+      expect.anything(),
+      'event handler'
+    )
+    expect(router.current.pathname).toBe('/')
+
+    app.unmount()
+  })
+
+  test('subscribers are notified after the navigation', async () => {
+    const router = createRouter({ routes })
+    const handler = vi.fn()
+    await router.init()
+    router.subscribe(handler)
+    await router.navigateTo('/users/1')
+
+    expect(handler).toHaveBeenCalledWith({
+      from: expect.objectContaining({ pathname: '/' }),
+      to: expect.objectContaining({ pathname: '/users/1' }),
+    })
+
+    router.destroy()
+  })
+})
@@ -1,5 +1,10 @@
-import { expect, test, vi } from 'vitest'
-import { enqueueJob, nextTick } from '../scheduler'
+import { describe, expect, test, vi } from 'vitest'
+import {
+  enqueueJob,
+  enqueueUpdate,
+  flushSync,
+  nextTick,
+} from '../scheduler'
 
 test('Enqueued jobs run after nextTick', async () => {
   const job = vi.fn()
@@ -50,3 +55,44 @@ test('Asynchronous jobs enqueue more jobs', async () => {
 
   expect(order).toEqual([1, 3, 2])
 })
+
+describe('Component updates', () => {
+  const parent = { parentComponent: null }
+  const child = { parentComponent: parent }
+  const grandchild = { parentComponent: child }
+
+  test('are run once per component, parents first', async () => {
+    const order = []
+    enqueueUpdate(grandchild, () => order.push('grandchild'))
+    enqueueUpdate(child, () => order.push('child'))
+    enqueueUpdate(parent, () => order.push('parent'))
+    enqueueUpdate(child, () => order.push('child again'))
+
+    expect(order).toEqual([])
+
+    await nextTick()
+    expect(order).toEqual(['parent', 'child', 'grandchild'])
+  })
+
+  test('the updates enqueued while flushing run in the same flush', async () => {
+    const order = []
+    const flushed = enqueueUpdate(parent, () => {
+      order.push('parent')
+      enqueueUpdate(child, () => order.push('child'))
+    })
+
+    await flushed
+    expect(order).toEqual(['parent', 'child'])
+  })
+
+  test('flushSync() runs the pending updates right away', async () => {
+    const update = vi.fn()
+    const flushed = flushSync(() => enqueueUpdate(parent, update))
+
+    expect(update).toHaveBeenCalledOnce()
+    await expect(flushed).resolves.toBeUndefined()
+
+    await nextTick()
+    expect(update).toHaveBeenCalledOnce()
+  })
+})
@@ -1,6 +1,6 @@
 import { test, expect } from 'vitest'
-import { fillSlots } from '../slots'
-import { h, hFragment, hSlot } from '../h'
+import { fillSlots, groupSlotContent } from '../slots'
+import { h, hFragment, hSlot, hSlotContent } from '../h'
 
 test('remove the slot if no content or default content', () => {
   const vdom = h('div', {}, [hSlot()])
@@ -37,3 +37,67 @@ test('ignores slots whose parent is a component (they are handled by the compone
 
   expect(vdom.children).toEqual([h(Comp, {}, [content])])
 })
+
+test('named slots get the content targeted at their name', () => {
+  const header = h('h1', {}, ['Title'])
+  const body = h('p', {}, ['Body'])
+  const vdom = h('div', {}, [hSlot('header'), hSlot()])
+
+  fillSlots(vdom, [hSlotContent('header', [header]), body])
+
+  expect(vdom.children).toEqual([hFragment([header]), hFragment([body])])
+})
+
+test('named slots without content use their own default content', () => {
+  const body = h('p', {}, ['Body'])
+  const vdom = h('div', {}, [
+    hSlot('header', [h('h1', {}, ['Untitled'])]),
+    hSlot('footer'),
+    hSlot(),
+  ])
+
+  fillSlots(vdom, [body])
+
+  expect(vdom.children).toEqual([
+    hFragment([h('h1', {}, ['Untitled'])]),
+    hFragment([body]),
+  ])
+})
+
+test('groups the external content by slot name', () => {
+  const a = h('span', {}, ['A'])
+  const b = h('span', {}, ['B'])
+  const c = h('span', {}, ['C'])
+
+  expect(
+    groupSlotContent([
+      a,
+      hSlotContent('header', [b]),
+      hSlotContent('header', [c]),
+    ])
+  ).toEqual({ default: [a], header: [b, c] })
+})
+
+test('scoped slots call the content function with the slot props', () => {
+  const vdom = h('ul', {}, [
+    hSlot('item', { props: { name: 'A' } }),
+    hSlot('item', { props: { name: 'B' } }),
+  ])
+
+  fillSlots(vdom, [hSlotContent('item', ({ name }) => h('li', {}, [name]))])
+
+  expect(vdom.children).toEqual([
+    hFragment([h('li', {}, ['A'])]),
+    hFragment([h('li', {}, ['B'])]),
+  ])
+})
+
+test('scoped slots without content use the default content', () => {
+  const vdom = h('ul', {}, [
+    hSlot('item', { props: { name: 'A' }, children: ['Empty'] }),
+  ])
+
+  fillSlots(vdom, [])
+
+  expect(vdom.children).toEqual([hFragment(['Empty'])])
+})
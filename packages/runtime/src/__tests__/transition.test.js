@@ -0,0 +1,394 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import { defineComponent } from '../component'
+import { destroyDOM } from '../destroy-dom'
+import {
+  DOM_TYPES,
+  h,
+  hFragment,
+  hTransition,
+  hTransitionGroup,
+} from '../h'
+import { mountDOM } from '../mount-dom'
+import { patchDOM } from '../patch-dom'
+import { renderToString } from '../render-to-string'
+
+beforeEach(() => {
+  vi.useFakeTimers()
+  document.body.innerHTML = ''
+})
+
+afterEach(() => {
+  vi.runOnlyPendingTimers()
+  vi.useRealTimers()
+  vi.restoreAllMocks()
+})
+
+function classesOf(selector) {
+  return Array.from(document.querySelector(selector).classList)
+}
+
+test('hTransition() creates a transition virtual node', () => {
+  expect(hTransition({ name: 'fade' }, 'Hi')).toEqual({
+    type: DOM_TYPES.TRANSITION,
+    options: { name: 'fade' },
+    children: [{ type: DOM_TYPES.TEXT, value: 'Hi' }],
+  })
+  expect(hTransition({ name: 'fade' }, null).children).toEqual([])
+})
+
+describe('enter transition', () => {
+  test('the child does not transition when the transition is mounted', () => {
+    mountDOM(hTransition({ name: 'fade' }, h('p')), document.body)
+
+    expect(document.body.innerHTML).toBe('<p></p>')
+  })
+
+  test('with the appear option, the child transitions when mounted', () => {
+    mountDOM(
+      hTransition({ name: 'fade', appear: true, duration: 300 }, h('p')),
+      document.body
+    )
+
+    expect(classesOf('p')).toEqual(['fade-enter-from', 'fade-enter-active'])
+
+    vi.advanceTimersToNextTimer()
+    expect(classesOf('p')).toEqual(['fade-enter-active', 'fade-enter-to'])
+
+    vi.advanceTimersByTime(300)
+    expect(classesOf('p')).toEqual([])
+  })
+
+  test('the child transitions when it appears', () => {
+    const oldVdom = hTransition({ name: 'fade', duration: 300 }, null)
+    const newVdom = hTransition({ name: 'fade', duration: 300 }, h('p'))
+    mountDOM(oldVdom, document.body)
+
+    patchDOM(oldVdom, newVdom, document.body)
+
+    expect(document.body.innerHTML).toBe(
+      '<p class="fade-enter-from fade-enter-active"></p>'
+    )
+
+    vi.advanceTimersByTime(400)
+    expect(document.body.innerHTML).toBe('<p class=""></p>')
+  })
+})
+
+describe('leave transition', () => {
+  test('the removal of the child is deferred until the transition ends', () => {
+    const oldVdom = hTransition({ name: 'fade', duration: 300 }, h('p'))
+    const newVdom = hTransition({ name: 'fade', duration: 300 }, null)
+    mountDOM(oldVdom, document.body)
+
+    patchDOM(oldVdom, newVdom, document.body)
+
+    expect(classesOf('p')).toEqual(['fade-leave-from', 'fade-leave-active'])
+
+    vi.advanceTimersToNextTimer()
+    expect(classesOf('p')).toEqual(['fade-leave-active', 'fade-leave-to'])
+
+    vi.advanceTimersByTime(299)
+    expect(document.querySelector('p')).not.toBeNull()
+
+    vi.advanceTimersByTime(1)
+    expect(document.querySelector('p')).toBeNull()
+  })
+
+  test('the transition ends when the transitionend event fires', () => {
+    vi.spyOn(window, 'getComputedStyle').mockReturnValue({
+      transitionDuration: '0.5s',
+      transitionDelay: '0s',
+      animationDuration: '0s',
+      animationDelay: '0s',
+    })
+    const oldVdom = hTransition({ name: 'fade' }, h('p'))
+    mountDOM(oldVdom, document.body)
+    patchDOM(oldVdom, hTransition({ name: 'fade' }, null), document.body)
+
+    vi.advanceTimersToNextTimer()
+    const p = document.querySelector('p')
+    p.dispatchEvent(new Event('transitionend'))
+
+    expect(p.isConnected).toBe(false)
+  })
+
+  test('the transition ends after the CSS duration if no event fires', () => {
+    vi.spyOn(window, 'getComputedStyle').mockReturnValue({
+      transitionDuration: '0s',
+      transitionDelay: '0s',
+      animationDuration: '200ms, 0.1s',
+      animationDelay: '100ms',
+    })
+    const oldVdom = hTransition({ name: 'fade' }, h('p'))
+    mountDOM(oldVdom, document.body)
+    patchDOM(oldVdom, hTransition({ name: 'fade' }, null), document.body)
+
+    vi.advanceTimersToNextTimer()
+    vi.advanceTimersByTime(300)
+    expect(document.querySelector('p')).not.toBeNull()
+
+    vi.advanceTimersByTime(1)
+    expect(document.querySelector('p')).toBeNull()
+  })
+
+  test('the child leaves when the transition is destroyed', () => {
+    const vdom = hTransition({ name: 'fade', duration: 300 }, h('p'))
+    mountDOM(vdom, document.body)
+
+    destroyDOM(vdom)
+    expect(classesOf('p')).toEqual(['fade-leave-from', 'fade-leave-active'])
+
+    vi.runAllTimers()
+    expect(document.body.innerHTML).toBe('')
+  })
+
+  test('a component is unmounted when its transition ends', () => {
+    const onUnmounted = vi.fn()
+    const Modal = defineComponent({
+      onUnmounted,
+      render() {
+        return h('dialog', {}, ['Hi'])
+      },
+    })
+    const oldVdom = hTransition({ name: 'fade', duration: 300 }, h(Modal))
+    mountDOM(oldVdom, document.body)
+    const modal = oldVdom.children[0].component
+
+    patchDOM(oldVdom, hTransition({ name: 'fade' }, null), document.body)
+    expect(classesOf('dialog')).toContain('fade-leave-active')
+    expect(modal.isMounted).toBe(true)
+
+    vi.runAllTimers()
+    expect(document.querySelector('dialog')).toBeNull()
+    expect(modal.isMounted).toBe(false)
+  })
+})
+
+describe('interrupted transitions', () => {
+  test('a child that appears while leaving enters again', () => {
+    const shown = () => hTransition({ name: 'fade', duration: 300 }, h('p'))
+    const hidden = () => hTransition({ name: 'fade', duration: 300 }, null)
+    const first = shown()
+    mountDOM(first, document.body)
+    const p = document.querySelector('p')
+
+    const second = hidden()
+    patchDOM(first, second, document.body)
+    vi.advanceTimersByTime(100)
+
+    const third = shown()
+    patchDOM(second, third, document.body)
+
+    expect(document.querySelector('p')).toBe(p)
+    expect(document.body.childNodes.length).toBe(1)
+    expect(classesOf('p')).toEqual(['fade-enter-from', 'fade-enter-active'])
+
+    vi.runAllTimers()
+    expect(document.querySelector('p')).toBe(p)
+    expect(classesOf('p')).toEqual([])
+  })
+
+  test('a different child replaces the leaving one right away', () => {
+    const first = hTransition({ duration: 300 }, h('p', { key: 'a' }))
+    mountDOM(first, document.body)
+
+    const second = hTransition({ duration: 300 }, null)
+    patchDOM(first, second, document.body)
+
+    const third = hTransition({ duration: 300 }, h('p', { key: 'b' }))
+    patchDOM(second, third, document.body)
+
+    expect(document.body.innerHTML).toBe(
+      '<p class="transition-enter-from transition-enter-active"></p>'
+    )
+  })
+
+  test('switching children runs both transitions', () => {
+    const first = hTransition({ duration: 300 }, h('p', { key: 'a' }))
+    mountDOM(first, document.body)
+
+    const second = hTransition({ duration: 300 }, h('p', { key: 'b' }))
+    patchDOM(first, second, document.body)
+
+    const [entering, leaving] = document.querySelectorAll('p')
+    expect(entering.className).toBe(
+      'transition-enter-from transition-enter-active'
+    )
+    expect(leaving.className).toBe(
+      'transition-leave-from transition-leave-active'
+    )
+
+    vi.runAllTimers()
+    expect(document.body.innerHTML).toBe('<p class=""></p>')
+  })
+})
+
+test('the child is patched without transitions', () => {
+  const oldVdom = hTransition({ duration: 300 }, h('p', {}, ['A']))
+  const newVdom = hTransition({ duration: 300 }, h('p', {}, ['B']))
+  mountDOM(oldVdom, document.body)
+
+  patchDOM(oldVdom, newVdom, document.body)
+
+  expect(document.body.innerHTML).toBe('<p>B</p>')
+})
+
+test('the siblings are mounted after all the nodes of the child', () => {
+  const Pair = defineComponent({
+    render() {
+      return hFragment([h('span', {}, ['A']), h('span', {}, ['B'])])
+    },
+  })
+  document.body.innerHTML = '<h1></h1><footer></footer>'
+
+  mountDOM(hFragment([hTransition({}, h(Pair)), h('p')]), document.body, 1)
+
+  expect(document.body.innerHTML).toBe(
+    '<h1></h1><span>A</span><span>B</span><p></p><footer></footer>'
+  )
+})
+
+test('the transition is rendered as its child', () => {
+  expect(renderToString(h('div', {}, [hTransition({}, h('p'))]))).toBe(
+    '<div><p></p></div>'
+  )
+})
+
+describe('transition groups', () => {
+  const list = (keys) =>
+    hTransitionGroup(
+      { name: 'list', duration: 300 },
+      h(
+        'ul',
+        {},
+        keys.map((key) => h('li', { key }, [key]))
+      )
+    )
+
+  function text() {
+    return Array.from(document.querySelectorAll('li'))
+      .map((li) => li.textContent)
+      .join('')
+  }
+
+  beforeEach(() => {
+    // Each element is 10px below its previous sibling.
+    vi.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(
+      function () {
+        const index = Array.from(this.parentNode.children).indexOf(this)
+        return { top: index * 10, left: 0 }
+      }
+    )
+  })
+
+  test('hTransitionGroup() adds the options to the element', () => {
+    expect(list(['a']).transitionGroup).toEqual({
+      name: 'list',
+      duration: 300,
+    })
+    expect(() => hTransitionGroup({}, 'a')).toThrow(
+      '[vdom] hTransitionGroup() expects an element as its vNode'
+    )
+  })
+
+  test('the added children enter', () => {
+    const oldVdom = list(['a', 'c'])
+    mountDOM(oldVdom, document.body)
+
+    patchDOM(oldVdom, list(['a', 'b', 'c']), document.body)
+
+    expect(text()).toBe('abc')
+    expect(classesOf('li:nth-child(2)')).toEqual([
+      'list-enter-from',
+      'list-enter-active',
+    ])
+  })
+
+  test('the removed children leave before they are destroyed', () => {
+    const oldVdom = list(['a', 'b', 'c'])
+    mountDOM(oldVdom, document.body)
+
+    patchDOM(oldVdom, list(['a', 'c']), document.body)
+
+    expect(text()).toBe('abc')
+    expect(classesOf('li:nth-child(2)')).toContain('list-leave-active')
+
+    vi.advanceTimersToNextTimer()
+    vi.advanceTimersByTime(300)
+    expect(text()).toBe('ac')
+  })
+
+  test('the children are added in place while others leave', () => {
+    const first = list(['a', 'b', 'c'])
+    mountDOM(first, document.body)
+
+    const second = list(['a', 'c'])
+    patchDOM(first, second, document.body)
+    patchDOM(second, list(['a', 'c', 'd']), document.body)
+
+    expect(text()).toBe('abcd')
+
+    vi.runAllTimers()
+    expect(text()).toBe('acd')
+  })
+
+  test('the moved children transition from their previous position', () => {
+    const oldVdom = list(['a', 'b', 'c'])
+    mountDOM(oldVdom, document.body)
+    const [a, b, c] = document.querySelectorAll('li')
+    const observer = new MutationObserver(() => {})
+    observer.observe(document.body, {
+      subtree: true,
+      attributeFilter: ['style'],
+      attributeOldValue: true,
+    })
+
+    patchDOM(oldVdom, list(['c', 'a', 'b']), document.body)
+
+    // The styles of the inverted elements, before the transition starts.
+    const transforms = observer
+      .takeRecords()
+      .filter(({ oldValue }) => oldValue?.includes('transform'))
+      .map(({ target, oldValue }) => [target.textContent, oldValue])
+    expect(transforms).toContainEqual([
+      'a',
+      'transition-duration: 0s; transform: translate(0px, -10px);',
+    ])
+    expect(transforms).toContainEqual([
+      'b',
+      'transition-duration: 0s; transform: translate(0px, -10px);',
+    ])
+    expect(transforms).toContainEqual([
+      'c',
+      'transition-duration: 0s; transform: translate(0px, 20px);',
+    ])
+    expect(text()).toBe('cab')
+    expect(a.classList.contains('list-move')).toBe(true)
+    expect(c.style.transform).toBe('')
+
+    vi.advanceTimersByTime(300)
+    expect(b.classList.contains('list-move')).toBe(false)
+  })
+
+  test('the children that did not move do not transition', () => {
+    const oldVdom = list(['a', 'b'])
+    mountDOM(oldVdom, document.body)
+
+    patchDOM(oldVdom, list(['a', 'b']), document.body)
+
+    expect(document.querySelector('.list-move')).toBeNull()
+  })
+
+  test('with the appear option, the children enter when mounted', () => {
+    const vdom = hTransitionGroup(
+      { appear: true },
+      h('ul', {}, [h('li'), 'text'])
+    )
+    mountDOM(vdom, document.body)
+
+    expect(classesOf('li')).toEqual([
+      'transition-enter-from',
+      'transition-enter-active',
+    ])
+  })
+})
@@ -0,0 +1,172 @@
+import { afterEach, beforeEach, expect, test, vi } from 'vitest'
+import { defineComponent } from '../component'
+import { h } from '../h'
+import { flushSync, nextTick } from '../scheduler'
+
+let errorSpy
+
+beforeEach(() => {
+  errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  errorSpy.mockRestore()
+  document.body.innerHTML = ''
+})
+
+function definePager(watch, options = {}) {
+  return defineComponent({
+    state() {
+      return { page: 1, filters: { tags: ['js'] } }
+    },
+    render() {
+      return h('p', {}, [`Page ${this.state.page}`])
+    },
+    watch,
+    ...options,
+  })
+}
+
+test('the handler is called after the patch that changes the value', async () => {
+  const onPage = vi.fn(function () {
+    this.seenHtml = document.body.innerHTML
+  })
+  const Pager = definePager({ 'state.page': onPage })
+  const pager = new Pager()
+  pager.mount(document.body)
+
+  pager.updateState({ page: 2 })
+  expect(onPage).not.toHaveBeenCalled()
+
+  await nextTick()
+  expect(onPage).toHaveBeenCalledWith(2, 1)
+  expect(pager.seenHtml).toBe('<p>Page 2</p>')
+})
+
+test("the handler isn't called when the value doesn't change", async () => {
+  const onPage = vi.fn()
+  const Pager = definePager({ 'state.page': onPage })
+  const pager = new Pager()
+  pager.mount(document.body)
+
+  pager.updateState({ filters: { tags: [] } })
+  await nextTick()
+
+  expect(onPage).not.toHaveBeenCalled()
+})
+
+test('props and computed values can be watched', async () => {
+  const onSize = vi.fn()
+  const onFirstIndex = vi.fn()
+  const Pager = definePager(
+    { 'props.size': onSize, firstIndex: onFirstIndex },
+    {
+      computed: {
+        firstIndex() {
+          return (this.state.page - 1) * this.props.size
+        },
+      },
+    }
+  )
+  const pager = new Pager({ size: 10 })
+  pager.mount(document.body)
+
+  pager.updateProps({ size: 20 })
+  pager.updateState({ page: 3 })
+  await nextTick()
+
+  expect(onSize).toHaveBeenCalledWith(20, 10)
+  expect(onFirstIndex).toHaveBeenCalledWith(40, 0)
+})
+
+test('immediate watchers are called with the initial value', async () => {
+  const onPage = vi.fn()
+  const Pager = definePager({
+    'state.page': { handler: onPage, immediate: true },
+  })
+  new Pager().mount(document.body)
+
+  await nextTick()
+
+  expect(onPage).toHaveBeenCalledWith(1, undefined)
+})
+
+test('deep watchers detect the mutations of a reactive state', async () => {
+  const onFilters = vi.fn()
+  const onFiltersShallow = vi.fn()
+  const Pager = definePager(
+    {
+      'state.filters': { handler: onFilters, deep: true },
+      'state.filters.tags': onFiltersShallow,
+    },
+    { reactive: true }
+  )
+  const pager = new Pager()
+  pager.mount(document.body)
+
+  pager.state.filters.tags.push('css')
+  await nextTick()
+  await nextTick()
+
+  expect(onFilters).toHaveBeenCalledWith(
+    { tags: ['js', 'css'] },
+    { tags: ['js'] }
+  )
+  expect(onFiltersShallow).not.toHaveBeenCalled()
+})
+
+test('deep watchers copy the values that can be cloned and keep the rest', async () => {
+  const onFilters = vi.fn()
+  const format = (tag) => `#${tag}`
+  const Pager = defineComponent({
+    state() {
+      return { filters: { tags: ['js'], format, el: document.body } }
+    },
+    render() {
+      return h('p', {}, [this.state.filters.tags.map(format).join(' ')])
+    },
+    watch: { 'state.filters': { handler: onFilters, deep: true } },
+    reactive: true,
+  })
+  const pager = new Pager()
+  pager.mount(document.body)
+
+  pager.state.filters.tags.push('css')
+  await nextTick()
+  await nextTick()
+
+  expect(onFilters).toHaveBeenCalledWith(
+    { tags: ['js', 'css'], format, el: document.body },
+    { tags: ['js'], format, el: document.body }
+  )
+})
+
+test('the watchers are stopped when the component is unmounted', async () => {
+  const onPage = vi.fn()
+  const Pager = definePager({ 'state.page': onPage })
+  const pager = new Pager()
+  pager.mount(document.body)
+
+  flushSync(() => pager.updateState({ page: 2 }))
+  pager.unmount()
+  await nextTick()
+
+  expect(onPage).not.toHaveBeenCalled()
+})
+
+test('errors thrown by the handlers are captured', async () => {
+  const Pager = definePager({
+    'state.page'() {
+      throw new Error('watch failed')
+    },
+  })
+  const pager = new Pager()
+  pager.mount(document.body)
+
+  await pager.updateState({ page: 2 })
+  await nextTick()
+
+  expect(errorSpy).toHaveBeenCalledWith(
+    '[watcher] Unhandled error in Component: Error: watch failed'
+  )
+})
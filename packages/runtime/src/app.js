@@ -1,13 +1,27 @@
 import { mountDOM } from './mount-dom'
 import { destroyDOM } from './destroy-dom'
+import { EventDelegator } from './event-delegation'
+import { hydrateDOM } from './hydrate-dom'
 import { h } from './h'
+import { Provides } from './provides'
 
 /**
  * @typedef Application
  * @type {object}
  *
  * @property {(parentEl: HTMLElement) => void} mount - Mounts the application into the DOM.
+ * @property {(parentEl: HTMLElement) => void} hydrate - Hydrates the server-rendered markup of the application.
  * @property {function} unmount - Unmounts the application from the DOM.
+ * @property {(key: (string|symbol), value: Any) => void} provide - Provides a value to all the components of the application.
+ */
+
+/**
+ * @typedef ApplicationOptions
+ * @type {object}
+ *
+ * @property {import('./router').Router} [router] - The router of the application.
+ * @property {(error: Error, component: import('./component').Component, info: string) => void} [onError] - Handles the errors thrown by the components that no component handled with `onErrorCaptured()`.
+ * @property {boolean} [delegateEvents] - Whether to add one listener per event type to the parent element, instead of one per element and event. Use it for views with many elements listening to events, like large lists.
  */
 
 /**
@@ -15,16 +29,34 @@ import { h } from './h'
  * When the application is mounted, the root component is instantiated with the given props
  * and mounted into the DOM.
  *
+ * The application context, shared by all components through `this.appContext`, includes
+ * the router passed in the options, if any, and the values provided with
+ * `app.provide()`, which all the components can `inject()`.
+ *
+ * With the `delegateEvents` option, the event listeners of the elements that bubble,
+ * like `click` or `input`, are delegated to the parent element where the application is
+ * mounted (see `EventDelegator`). The listeners behave the same way: they're called
+ * from the `event.target` up, bound to their host component, and `event.stopPropagation()`
+ * stops calling them.
+ *
  * @param {import('./component').Component} RootComponent the top-level component of the application's view tree
  * @param {Object.<string, Any>} props the top-level component's props
+ * @param {ApplicationOptions} [options] the application options
  *
  * @returns {Application} the app object
  */
-export function createApp(RootComponent, props = {}) {
+export function createApp(RootComponent, props = {}, options = {}) {
   let parentEl = null
   let isMounted = false
   let vdom = null
 
+  const context = {
+    router: options.router ?? null,
+    provides: new Provides(),
+    onError: options.onError ?? null,
+    eventDelegator: options.delegateEvents ? new EventDelegator() : null,
+  }
+
   function reset() {
     parentEl = null
     isMounted = false
@@ -37,19 +69,53 @@ export function createApp(RootComponent, props = {}) {
         throw new Error('The application is already mounted')
       }
 
+      // Resolving the initial route before mounting makes the first render
+      // show the matched route.
+      context.router?.init()
+
       parentEl = _parentEl
+      context.eventDelegator?.addRoot(parentEl)
       vdom = h(RootComponent, props)
-      mountDOM(vdom, parentEl)
+      // The application acts as the host of the root component, passing
+      // down the application context.
+      mountDOM(vdom, parentEl, null, { appContext: context })
 
       isMounted = true
     },
 
+    /**
+     * Hydrates the markup rendered by `renderToString()` inside the parent
+     * element: the existing DOM nodes are reused, and the event listeners are
+     * added to them. If the markup doesn't match, a warning is displayed and
+     * the DOM is patched.
+     */
+    hydrate(_parentEl) {
+      if (isMounted) {
+        throw new Error('The application is already mounted')
+      }
+
+      context.router?.init()
+
+      parentEl = _parentEl
+      context.eventDelegator?.addRoot(parentEl)
+      vdom = h(RootComponent, props)
+      hydrateDOM(vdom, parentEl, { appContext: context })
+
+      isMounted = true
+    },
+
+    provide(key, value) {
+      context.provides.set(key, value)
+    },
+
     unmount() {
       if (!isMounted) {
         throw new Error('The application is not mounted')
       }
 
       destroyDOM(vdom)
+      context.router?.destroy()
+      context.eventDelegator?.destroy()
       reset()
     },
   }
@@ -0,0 +1,145 @@
+import { defineComponent } from './component'
+import { h, hString } from './h'
+
+/**
+ * @typedef AsyncComponentOptions
+ * @type {object}
+ * @property {import('./component').Component} [loading] - The component rendered while the component loads.
+ * @property {import('./component').Component} [error] - The component rendered if the component fails to load. It receives the `error` as a prop.
+ * @property {number} [delay] - The milliseconds to wait before rendering the loading component, to avoid flashing it when the component loads fast. Defaults to 200.
+ * @property {number} [timeout] - The milliseconds after which the loading fails if the component hasn't loaded. There's no timeout by default.
+ */
+
+/**
+ * Defines a component that's loaded when it's first mounted, typically with a
+ * dynamic `import()`, so its code isn't part of the main bundle:
+ *
+ * ```js
+ * const Heavy = defineAsyncComponent(() => import('./heavy.js'), {
+ *   loading: Spinner,
+ *   error: LoadError,
+ * })
+ * ```
+ *
+ * The loader function returns a promise resolving to the component, or to a
+ * module whose default export is the component. Once loaded, the component is
+ * rendered with the props, events and children passed to the async component.
+ * The loaded component is cached, so the next instances render it right away.
+ *
+ * While the component loads, an empty text node keeps its position in the DOM,
+ * replaced by the loading component after the delay. If the loader rejects or
+ * times out, the error component is rendered, and the next instance to be
+ * mounted tries loading the component again.
+ *
+ * @param {() => Promise<(import('./component').Component|{default: import('./component').Component})>} loader the function that loads the component
+ * @param {AsyncComponentOptions} [options]
+ * @returns {import('./component').Component} the async component
+ */
+export function defineAsyncComponent(
+  loader,
+  { loading = null, error = null, delay = 200, timeout = null } = {}
+) {
+  let resolvedComponent = null
+  let pendingLoad = null
+
+  function load() {
+    pendingLoad ??= loader().then(
+      (loaded) => {
+        resolvedComponent = loaded?.default ?? loaded
+        return resolvedComponent
+      },
+      (reason) => {
+        pendingLoad = null
+        throw reason
+      }
+    )
+
+    return pendingLoad
+  }
+
+  return defineComponent({
+    state() {
+      return { error: null, showLoading: delay === 0 }
+    },
+
+    onMounted() {
+      if (resolvedComponent) {
+        return
+      }
+
+      if (delay > 0) {
+        this.delayTimer = setTimeout(() => {
+          this.updateIfMounted({ showLoading: true })
+        }, delay)
+      }
+
+      if (timeout != null) {
+        this.timeoutTimer = setTimeout(() => {
+          this.fail(
+            new Error(`Async component timed out after ${timeout}ms`)
+          )
+        }, timeout)
+      }
+
+      return load().then(
+        () => {
+          this.clearTimers()
+          this.updateIfMounted({})
+        },
+        (reason) => this.fail(reason)
+      )
+    },
+
+    onUnmounted() {
+      this.clearTimers()
+    },
+
+    render() {
+      if (resolvedComponent && !this.state.error) {
+        return h(
+          resolvedComponent,
+          { ...this.props, on: this.forwardedEvents() },
+          this.externalContent
+        )
+      }
+
+      if (this.state.error) {
+        return error ? h(error, { error: this.state.error }) : hString('')
+      }
+
+      return this.state.showLoading && loading ? h(loading) : hString('')
+    },
+
+    /**
+     * The loaded component emits its events to the async component, which
+     * emits them to its parent.
+     */
+    forwardedEvents() {
+      return Object.fromEntries(
+        Object.keys(this.eventHandlers).map((eventName) => [
+          eventName,
+          (payload) => this.emit(eventName, payload),
+        ])
+      )
+    },
+
+    fail(reason) {
+      this.clearTimers()
+
+      if (!this.state.error) {
+        this.updateIfMounted({ error: reason })
+      }
+    },
+
+    clearTimers() {
+      clearTimeout(this.delayTimer)
+      clearTimeout(this.timeoutTimer)
+    },
+
+    updateIfMounted(state) {
+      if (this.isMounted) {
+        this.updateState(state)
+      }
+    },
+  })
+}
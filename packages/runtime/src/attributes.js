@@ -3,6 +3,8 @@
 // https://html.spec.whatwg.org/multipage/common-dom-interfaces.html#reflecting-content-attributes-in-idl-attributes
 // https://developer.mozilla.org/en-US/docs/Glossary/IDL
 
+import { attributeNamespace, HTML_NAMESPACE } from './namespaces'
+
 /**
  * Sets the attributes of an element.
  *
@@ -36,14 +38,23 @@ export function setAttributes(el, attrs) {
 /**
  * Sets the attribute on the element.
  *
+ * The attributes of HTML elements are set as properties. SVG and MathML
+ * elements don't reflect most of their attributes, like `viewBox` or
+ * `stroke-width`, so they're set as attributes. Prefixed attributes, like
+ * `xlink:href`, are set in their namespace.
+ *
  * @param {Element} el The element to add the attribute to
  * @param {string} name The name of the attribute
  * @param {(string|number|null)} value The value of the attribute
  */
 export function setAttribute(el, name, value) {
+  const namespace = attributeNamespace(name)
+
   if (value == null) {
     removeAttribute(el, name)
-  } else if (name.startsWith('data-')) {
+  } else if (namespace) {
+    el.setAttributeNS(namespace, name, value)
+  } else if (name.startsWith('data-') || !isHtmlElement(el)) {
     el.setAttribute(name, value)
   } else {
     el[name] = value
@@ -57,6 +68,18 @@ export function setAttribute(el, name, value) {
  * @param {string} name name of the attribute
  */
 export function removeAttribute(el, name) {
+  const namespace = attributeNamespace(name)
+
+  if (namespace) {
+    el.removeAttributeNS(namespace, name.split(':')[1])
+    return
+  }
+
+  if (!isHtmlElement(el)) {
+    el.removeAttribute(name)
+    return
+  }
+
   try {
     el[name] = null
   } catch {
@@ -77,6 +100,15 @@ export function removeStyle(el, name) {
 }
 
 function setClass(el, className) {
+  // The `className` of SVG elements is read-only.
+  if (!isHtmlElement(el)) {
+    el.setAttribute(
+      'class',
+      Array.isArray(className) ? className.join(' ') : className
+    )
+    return
+  }
+
   el.className = ''
 
   if (typeof className === 'string') {
@@ -87,3 +119,7 @@ function setClass(el, className) {
     el.classList.add(...className)
   }
 }
+
+function isHtmlElement(el) {
+  return el.namespaceURI === HTML_NAMESPACE
+}
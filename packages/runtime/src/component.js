@@ -1,50 +1,147 @@
 import equal from 'fast-deep-equal'
 import { destroyDOM } from './destroy-dom'
 import { Dispatcher } from './dispatcher'
+import { ComputedValues } from './computed'
+import { resolveProps, validateProps } from './declared-props'
+import { captureError, ERROR_SOURCES } from './error-handling'
 import {
+  DEFAULT_SLOT_NAME,
   DOM_TYPES,
   didCreateSlot,
   extractChildren,
+  hFragment,
   resetDidCreateSlot,
 } from './h'
+import { hydrateNode } from './hydrate-dom'
+import { resolveModels } from './model'
 import { mountDOM } from './mount-dom'
 import { patchDOM } from './patch-dom'
+import { enqueueJob, enqueueUpdate } from './scheduler'
+import { Provides } from './provides'
+import { reactive as makeReactive, toRaw } from './reactivity'
+import { collectRefs } from './refs'
 import { hasOwnProperty } from './utils/objects'
-import { fillSlots } from './slots'
+import { fillSlots, groupSlotContent } from './slots'
+import { Watchers } from './watchers'
 
 const emptyFn = () => {}
+const INSTANCE_PROPERTIES = ['props', 'attrs', 'state', 'refs']
 
 /**
  * @typedef Component
  * @type {object}
  * @property {function} mount - Mounts the component into the DOM.
+ * @property {function} hydrate - Hydrates the component's server-rendered markup.
  * @property {function} unmount - Unmounts the component from the DOM.
  * @property {function} patch - Updates the component's virtual DOM tree and patches the DOM to reflect the changes.
  * @property {function} updateProps - Updates all or part of the component's props.
- * @property {function} updateState - Updates all or part of the component's state and patches the DOM.
+ * @property {function} updateState - Updates all or part of the component's state and schedules a patch of the DOM.
  */
 
 /**
  * @typedef DefineComponentArgs
  * @type {object}
  * @property {function} render - The component's render function returning the virtual DOM tree representing the component in its current state.
+ * @property {string} [name] - The component's name, used in the warnings.
+ * @property {Object<string, (null|Function|Function[]|import('./declared-props').PropOptions)>} [props] - The props the component accepts, with their types, defaults and validators.
  * @property {(props: Object?) => Object} state - The component's state function returning the component's initial state.
+ * @property {boolean} [reactive] - Whether the state is reactive: mutating it, or the objects inside it, re-renders the component.
+ * @property {Object<string, Function>} [computed] - The component's computed values, read as properties of the component and cached until the state or props they read change.
+ * @property {Object<string, (Function|import('./watchers').WatchOptions)>} [watch] - The handlers called after a patch when the watched value (`'state.page'`, `'props.id'` or a computed value) changes.
+ * @property {Object<string, (null|Function|EmitOptions)>} [emits] - The events the component emits, with the validators of their payloads.
+ * @property {() => void} [onBeforeMount] - Called before the component is rendered and mounted.
  * @property {() => Promise<void>} onMounted - The component's onMounted lifecycle hook.
+ * @property {() => void} [onBeforeUpdate] - Called before the component is rendered again and its DOM patched.
+ * @property {() => Promise<void>} [onUpdated] - Called after the component's DOM has been patched.
+ * @property {() => void} [onBeforeUnmount] - Called before the component's DOM is removed, while it's still in the document.
  * @property {() => Promise<void>} onUnmounted - The component's onUnmounted lifecycle hook.
+ * @property {() => Promise<void>} [onActivated] - Called when the component, kept alive by `hKeepAlive()`, is mounted and when its DOM is inserted back into the document.
+ * @property {() => Promise<void>} [onDeactivated] - Called when the component, kept alive by `hKeepAlive()`, is switched and its DOM detached from the document.
+ * @property {(error: Error, component: Component, info: string) => void} onErrorCaptured - Handles the errors thrown by the component's descendants. Throw to propagate the error further.
  * @property {Object<string, Function>} methods - The component's methods.
  */
 
+/**
+ * @typedef EmitOptions
+ * @type {object}
+ * @property {(payload: Any) => boolean} [validator] - Returns whether the payload of the event is valid.
+ * @property {boolean} [optional] - Whether the parent component may not listen to the event, so emitting it without handlers doesn't warn.
+ */
+
 /**
  * Defines a component that can be instantiated and mounted into the DOM.
  *
+ * The component's state is updated with `updateState()`, which patches the DOM
+ * in the next tick: all the updates made in the same tick are patched at once,
+ * and the returned promise resolves when the DOM reflects them. Use
+ * `flushSync()` to patch the DOM right away. When the component is defined with
+ * `reactive: true`, the state can also be mutated directly, including the
+ * arrays, objects, maps and sets inside it (`this.state.languages.add('en')`).
+ * Mutating an object passed down as a prop doesn't re-render the child
+ * component, as its props are still equal.
+ *
+ * The values derived from the state and props can be defined as `computed`
+ * getters, which are read like properties (`this.total`) and computed again
+ * only when the state or props keys they read change. The `watch` handlers are
+ * called with the new and old values in the tick after the patch that changed
+ * the watched value.
+ *
+ * The lifecycle hooks are called in this order:
+ *
+ * - `onBeforeMount()`, before the component renders, so before its children's
+ *   `onBeforeMount()`. Then `onMounted()`, in the next tick, after its children's.
+ * - `onBeforeUpdate()`, before the component renders again, with the DOM not
+ *   patched yet. Then `onUpdated()`, in the next tick, when the DOM of all the
+ *   components updated together has been patched. As the parents are patched
+ *   first, their hooks are called before their children's.
+ * - `onBeforeUnmount()`, before the DOM is removed, so before its children's.
+ *   Then `onUnmounted()`, in the next tick, after its children's.
+ * - `onActivated()` and `onDeactivated()`, in the next tick, after its
+ *   children's, when the component is kept alive by `hKeepAlive()` (or is a
+ *   descendant of a kept alive component) and it's inserted into, or detached
+ *   from, the document. `onActivated()` is also called after `onMounted()`.
+ *
+ * The `onBefore*()` hooks are called synchronously: the component doesn't wait
+ * for the promises they return. The errors they throw, or their rejected
+ * promises, are captured like the other hooks' (see `captureError()`).
+ *
+ * The props the component accepts can be declared in `props`, with their type
+ * (`Number`, `String`, `Array`, a class...) or their options:
+ * `props: { page: { type: Number, required: true }, colspan: { type: Number, default: 1 } }`.
+ * The defaults are applied before the state is created, and the props are
+ * validated when the component is mounted and when they're updated, warning
+ * about the invalid ones. The props that aren't declared are saved in
+ * `this.attrs`, so the component can forward them to its children.
+ *
+ * The events the component emits can be declared in `emits`, with a function
+ * validating their payload, or `null` to skip the validation:
+ * `emits: { langsChanged: (langs) => Array.isArray(langs) }`. A component
+ * declaring its events warns when it emits an undeclared event or an invalid
+ * payload, and when the parent component listens to an undeclared event.
+ * The events declared as `{ optional: true }` don't warn when emitted without
+ * a listener.
+ *
  * @param {DefineComponentArgs} definitionArguments
  * @returns {Component}
  */
 export function defineComponent({
   render,
+  name = null,
+  props: propDeclarations = null,
   state,
+  onBeforeMount = emptyFn,
   onMounted = emptyFn,
+  onBeforeUpdate = emptyFn,
+  onUpdated = emptyFn,
+  onBeforeUnmount = emptyFn,
   onUnmounted = emptyFn,
+  onActivated = emptyFn,
+  onDeactivated = emptyFn,
+  onErrorCaptured = null,
+  reactive = false,
+  computed = {},
+  watch = {},
+  emits = null,
   ...methods
 }) {
   class Component {
@@ -55,6 +152,12 @@ export function defineComponent({
     #parentComponent = null
     #dispatcher = new Dispatcher()
     #subscriptions = []
+    #appContext = null
+    #provides = new Provides()
+    #injections = new Map()
+    #computed = null
+    #watchers = null
+    #hasStateError = false
 
     /**
      * @type {import('./h').VNode[]}
@@ -72,28 +175,278 @@ export function defineComponent({
      * @param {Component} parentComponent the component that created this component
      */
     constructor(props = {}, eventHandlers = {}, parentComponent = null) {
-      this.props = props
-      this.state = state ? state(props) : {}
+      const { props: ownProps, attrs } = this.#resolveProps(props)
+      this.props = ownProps
+      this.attrs = attrs
+      this.state = this.#createState()
+
+      this.#computed = new ComputedValues(
+        this,
+        computed,
+        Object.keys(methods)
+      )
+      this.#watchers = new Watchers(this, watch)
+
+      if (reactive) {
+        this.state = makeReactive(this.state, () => {
+          this.#computed.invalidate()
+          if (this.#isMounted) this.#schedulePatch()
+        })
+      }
+
+      for (const name in computed) {
+        Object.defineProperty(this, name, {
+          get: () => this.#computed.get(name),
+          enumerable: true,
+        })
+      }
+
+      this.refs = {}
       this.#eventHandlers = eventHandlers
       this.#parentComponent = parentComponent
+
+      if (emits) {
+        this.#warnUndeclaredHandlers()
+      }
+    }
+
+    /**
+     * Creates the initial state. If the `state()` function throws, the error
+     * is captured and the component is mounted empty, like when it fails to
+     * render.
+     */
+    #createState() {
+      if (!state) {
+        return {}
+      }
+
+      try {
+        return state(this.props)
+      } catch (error) {
+        this.#hasStateError = true
+        captureError(error, this, ERROR_SOURCES.STATE)
+
+        return {}
+      }
+    }
+
+    /**
+     * Separates the declared props, with their defaults, from the attributes.
+     * When the component doesn't declare its props, all of them are props.
+     */
+    #resolveProps(props) {
+      return propDeclarations
+        ? resolveProps(propDeclarations, props)
+        : { props, attrs: {} }
+    }
+
+    #validateProps() {
+      if (propDeclarations) {
+        validateProps(propDeclarations, this.props, this.constructor.name)
+      }
+    }
+
+    #warnUndeclaredHandlers() {
+      for (const eventName in this.#eventHandlers) {
+        if (!hasOwnProperty(emits, eventName)) {
+          console.warn(
+            `[emit] A handler for "${eventName}" was passed to ${this.constructor.name}, which doesn't declare the event in its emits`
+          )
+        }
+      }
+    }
+
+    onBeforeMount() {
+      return this.#callHook(onBeforeMount, ERROR_SOURCES.ON_BEFORE_MOUNT)
     }
 
     onMounted() {
-      return Promise.resolve(onMounted.call(this))
+      return this.#callHook(onMounted, ERROR_SOURCES.ON_MOUNTED)
+    }
+
+    onBeforeUpdate() {
+      return this.#callHook(onBeforeUpdate, ERROR_SOURCES.ON_BEFORE_UPDATE)
+    }
+
+    onUpdated() {
+      return this.#callHook(onUpdated, ERROR_SOURCES.ON_UPDATED)
+    }
+
+    onBeforeUnmount() {
+      return this.#callHook(
+        onBeforeUnmount,
+        ERROR_SOURCES.ON_BEFORE_UNMOUNT
+      )
     }
 
     onUnmounted() {
-      return Promise.resolve(onUnmounted.call(this))
+      return this.#callHook(onUnmounted, ERROR_SOURCES.ON_UNMOUNTED)
+    }
+
+    onActivated() {
+      return this.#callHook(onActivated, ERROR_SOURCES.ON_ACTIVATED)
+    }
+
+    onDeactivated() {
+      return this.#callHook(onDeactivated, ERROR_SOURCES.ON_DEACTIVATED)
+    }
+
+    /**
+     * Called when a descendant component throws an error while rendering, in a
+     * lifecycle hook or in an event handler. Components without the hook
+     * rethrow the error, so it propagates to their parent component.
+     *
+     * @param {Error} error the thrown error
+     * @param {Component} component the component that threw the error
+     * @param {string} info where the error was thrown
+     */
+    onErrorCaptured(error, component, info) {
+      if (!onErrorCaptured) {
+        throw error
+      }
+
+      onErrorCaptured.call(this, error, component, info)
+    }
+
+    /**
+     * Calls a lifecycle hook, capturing the errors it throws or the rejection of
+     * the promise it returns.
+     */
+    #callHook(hook, info) {
+      try {
+        return Promise.resolve(hook.call(this)).catch((error) =>
+          captureError(error, this, info)
+        )
+      } catch (error) {
+        captureError(error, this, info)
+        return Promise.resolve()
+      }
     }
 
     get parentComponent() {
       return this.#parentComponent
     }
 
+    get isMounted() {
+      return this.#isMounted
+    }
+
+    /**
+     * The event handlers passed by the parent component, keyed by event name.
+     *
+     * @type {Object.<string, Function>}
+     */
+    get eventHandlers() {
+      return this.#eventHandlers
+    }
+
+    /**
+     * The views passed to the component as children, to be inserted in its slots.
+     *
+     * @type {import('./h').VNode[]}
+     */
+    get externalContent() {
+      return this.#children
+    }
+
     get vdom() {
       return this.#vdom
     }
 
+    /**
+     * The context shared by all the components in the application, like the router.
+     * Components mounted outside of an application get an empty context.
+     *
+     * @type {Object.<string, Any>}
+     */
+    get appContext() {
+      return this.#appContext
+    }
+
+    /**
+     * Sets the application context. It's called right after the component is
+     * instantiated, before it's mounted.
+     *
+     * @param {Object.<string, Any>} appContext the application context
+     */
+    setAppContext(appContext) {
+      this.#appContext = appContext
+    }
+
+    /**
+     * The values this component provides to its descendants.
+     *
+     * @type {Provides}
+     */
+    get provides() {
+      return this.#provides
+    }
+
+    /**
+     * Provides a value to all the descendants of the component, which can get
+     * it with `inject()`, without passing it down as props. When the value
+     * changes, the descendants that injected it are re-rendered.
+     *
+     * Call it in `render()`, before the children are rendered, or in a method
+     * to change the provided value.
+     *
+     * @param {(string|symbol)} key the key identifying the value
+     * @param {Any} value the value to provide
+     */
+    provide(key, value) {
+      this.#provides.set(key, value)
+    }
+
+    /**
+     * Returns the value provided for the key by the closest ancestor component,
+     * or by the application. When the provided value changes, the component is
+     * re-rendered.
+     *
+     * If no value is provided for the key, the default value is returned. A
+     * warning is displayed if there's no default value either.
+     *
+     * @param {(string|symbol)} key the key identifying the value
+     * @param {Any} [defaultValue] the value to return if no value is provided
+     * @returns {Any} the provided value
+     */
+    inject(key, defaultValue) {
+      const provides = this.#findProvides(key)
+
+      if (provides == null) {
+        if (arguments.length < 2) {
+          console.warn(
+            `[inject] No value provided for "${String(key)}" in ${this.constructor.name}`
+          )
+        }
+
+        return defaultValue
+      }
+
+      if (!this.#injections.has(key)) {
+        const unsubscribe = provides.subscribe(key, () => {
+          if (this.#isMounted) this.#schedulePatch()
+        })
+        this.#injections.set(key, unsubscribe)
+      }
+
+      return provides.get(key)
+    }
+
+    #findProvides(key) {
+      let ancestor = this.#parentComponent
+
+      while (ancestor) {
+        if (ancestor.provides?.has(key)) {
+          return ancestor.provides
+        }
+
+        ancestor = ancestor.parentComponent
+      }
+
+      const appProvides = this.#appContext?.provides
+      return appProvides?.has(key) ? appProvides : null
+    }
+
     /**
      * Returns the component's mounted element or elements, if the component is a fragment.
      * If the component is not mounted, returns an empty array.
@@ -138,31 +491,79 @@ export function defineComponent({
     }
 
     /**
-     * Updates all or part of the component's props and patches the DOM to reflect the changes.
-     * This method shouldn't be called from within the component's code, as a component
+     * Moves the component's DOM nodes into the host element, before the reference
+     * node, or at the end if it's `null`. The components at the top level of the
+     * component's fragment share its host element, so they're moved too. Used by
+     * `hKeepAlive()` to detach the inactive components from the document.
+     *
+     * @param {HTMLElement} hostEl the element into which the component is moved
+     * @param {(Node|null)} [refNode] the node before which the component is moved
+     */
+    moveBefore(hostEl, refNode = null) {
+      if (!this.#isMounted) {
+        throw new Error('Component is not mounted')
+      }
+
+      const nodes =
+        this.#vdom.type === DOM_TYPES.FRAGMENT
+          ? extractChildren(this.#vdom)
+          : [this.#vdom]
+
+      for (const node of nodes) {
+        if (node.type === DOM_TYPES.COMPONENT) {
+          node.component.moveBefore(hostEl, refNode)
+        } else {
+          hostEl.insertBefore(node.el, refNode)
+        }
+      }
+
+      this.#hostEl = hostEl
+    }
+
+    /**
+     * Updates all or part of the component's props and schedules a patch of the DOM to reflect
+     * the changes. This method shouldn't be called from within the component's code, as a component
      * shouldn't update its own props. Instead, the parent component should update the props
      * of its child components.
      *
+     * The undeclared props are merged with the existing attributes instead.
+     *
      * @param {Object.<string, Any>} props the new props to be merged with the existing props
+     * @returns {Promise<void>} a promise that resolves when the DOM reflects the changes
      */
     updateProps(props) {
-      const newProps = { ...this.props, ...props }
-      if (equal(this.props, newProps)) {
-        return
+      const { props: newProps, attrs: newAttrs } = this.#resolveProps({
+        ...this.props,
+        ...this.attrs,
+        ...props,
+      })
+      if (equal(this.props, newProps) && equal(this.attrs, newAttrs)) {
+        return Promise.resolve()
       }
 
       this.props = newProps
-      this.#patch()
+      this.attrs = newAttrs
+      this.#validateProps()
+
+      return this.#schedulePatch()
     }
 
     /**
-     * Updates all or part of the component's state and patches the DOM to reflect the changes.
+     * Updates all or part of the component's state and schedules a patch of the DOM to reflect
+     * the changes. All the updates made in the same tick are patched at once.
      *
      * @param {Object.<string, Any>} state the new state to be merged with the existing state
+     * @returns {Promise<void>} a promise that resolves when the DOM reflects the changes
      */
     updateState(state) {
-      this.state = { ...this.state, ...state }
-      this.#patch()
+      if (reactive) {
+        // Assigning to the original object doesn't schedule another patch.
+        Object.assign(toRaw(this.state), state)
+      } else {
+        this.state = { ...this.state, ...state }
+      }
+
+      return this.#schedulePatch()
     }
 
     /**
@@ -179,15 +580,35 @@ export function defineComponent({
       this.#children = children
     }
 
+    /**
+     * Returns whether external content was passed for the slot with the given
+     * name. Use it inside `render()` to render the markup that wraps a slot
+     * only when the slot has content.
+     *
+     * @param {string} [name] the name of the slot, omit it for the default slot
+     * @returns {boolean} whether the slot has external content
+     */
+    hasSlot(name = DEFAULT_SLOT_NAME) {
+      const content = groupSlotContent(this.#children)[name] ?? []
+      return content.length > 0
+    }
+
     /**
      * Fills in the slots of the component's virtual DOM tree with the passed
-     * in children, and returns the resulting virtual DOM tree.
+     * in children, and returns the resulting virtual DOM tree. The `model`
+     * props in the tree are bound to the component's state (see `resolveModels()`).
      *
      * @returns {import('./h').VNode} the virtual DOM tree representing the component in its current state
      */
     render() {
       const vdom = render.call(this)
 
+      // Before filling the slots, as the content of the slots is bound to the
+      // state of the component that rendered it.
+      if (vdom) {
+        resolveModels(vdom, this)
+      }
+
       if (didCreateSlot()) {
         fillSlots(vdom, this.#children)
         resetDidCreateSlot()
@@ -197,9 +618,31 @@ export function defineComponent({
     }
 
     /**
-     * Mounts the component into the parent HTML element and wires the event handlers.
-     * Then calls the `onMounted()` lifecycle method and returns a promise that resolves
-     * when the `onMounted()` method resolves.
+     * Renders the component, capturing the error if the render function throws,
+     * in which case `null` is returned. A component whose state couldn't be
+     * created isn't rendered.
+     *
+     * @returns {(import('./h').VNode|null)} the rendered virtual DOM tree
+     */
+    #renderSafely() {
+      if (this.#hasStateError) {
+        return null
+      }
+
+      try {
+        return this.render()
+      } catch (error) {
+        resetDidCreateSlot()
+        captureError(error, this, ERROR_SOURCES.RENDER)
+
+        return null
+      }
+    }
+
+    /**
+     * Calls the `onBeforeMount()` lifecycle method, mounts the component into the
+     * parent HTML element and wires the event handlers. The `onMounted()` lifecycle
+     * method is called by `mountDOM()`, in the next tick.
      *
      * @param {HTMLElement} hostEl the element into which the component should be mounted
      * @param {[number]} index the index in the parent element at which the component should be mounted
@@ -209,14 +652,49 @@ export function defineComponent({
         throw new Error('Component is already mounted')
       }
 
-      this.#vdom = this.render()
+      this.#validateProps()
+      this.onBeforeMount()
+
+      // A component that fails to render is mounted empty.
+      this.#vdom = this.#renderSafely() ?? hFragment([])
       mountDOM(this.#vdom, hostEl, index, this)
+      this.refs = collectRefs(this.#vdom)
       this.#wireEventHandlers()
+      this.#watchers.start()
 
       this.#isMounted = true
       this.#hostEl = hostEl
     }
 
+    /**
+     * Hydrates the server-rendered markup of the component, starting at the
+     * `domNode` inside the parent HTML element, and wires the event handlers.
+     * The existing DOM nodes are reused instead of creating new ones.
+     *
+     * @param {HTMLElement} hostEl the element containing the component's markup
+     * @param {(Node|null)} domNode the first DOM node of the component's markup
+     * @returns {(Node|null)} the DOM node after the component's markup
+     */
+    hydrate(hostEl, domNode) {
+      if (this.#isMounted) {
+        throw new Error('Component is already mounted')
+      }
+
+      this.#validateProps()
+      this.onBeforeMount()
+
+      this.#vdom = this.#renderSafely() ?? hFragment([])
+      const next = hydrateNode(this.#vdom, hostEl, domNode, this)
+      this.refs = collectRefs(this.#vdom)
+      this.#wireEventHandlers()
+      this.#watchers.start()
+
+      this.#isMounted = true
+      this.#hostEl = hostEl
+
+      return next
+    }
+
     #wireEventHandlers() {
       this.#subscriptions = Object.entries(this.#eventHandlers).map(
         ([eventName, handler]) => this.#wireEventHandler(eventName, handler)
@@ -225,48 +703,122 @@ export function defineComponent({
 
     #wireEventHandler(eventName, handler) {
       return this.#dispatcher.subscribe(eventName, (payload) => {
-        if (this.#parentComponent) {
-          handler.call(this.#parentComponent, payload)
-        } else {
-          handler(payload)
+        try {
+          if (this.#parentComponent) {
+            handler.call(this.#parentComponent, payload)
+          } else {
+            handler(payload)
+          }
+        } catch (error) {
+          captureError(error, this, ERROR_SOURCES.EMIT_HANDLER)
         }
       })
     }
 
     /**
-     * Unmounts the component from the DOM and calls the `onUnmounted()` lifecycle method.
+     * Calls the `onBeforeUnmount()` lifecycle method and unmounts the component
+     * from the DOM. The `onUnmounted()` lifecycle method is called by `destroyDOM()`.
      */
     unmount() {
       if (!this.#isMounted) {
         throw new Error('Component is not mounted')
       }
 
+      this.onBeforeUnmount()
       destroyDOM(this.#vdom)
       this.#subscriptions.forEach((unsubscribe) => unsubscribe())
+      this.#injections.forEach((unsubscribe) => unsubscribe())
+      this.#watchers.stop()
 
       this.#vdom = null
+      this.refs = {}
       this.#isMounted = false
       this.#hostEl = null
       this.#subscriptions = []
+      this.#injections.clear()
     }
 
     /**
      * Emits an event to the parent component.
      *
+     * If the component declares its `emits`, the event name and payload are
+     * validated, and a warning is displayed if they aren't valid. The event is
+     * emitted anyway.
+     *
      * @param {string} eventName The name of the event to emit
      * @param {Any} [payload] The payload to pass to the event handler
      */
     emit(eventName, payload) {
+      if (emits) {
+        const { validator = null, optional = false } = emitOptions(
+          emits,
+          eventName
+        )
+
+        if (!hasOwnProperty(emits, eventName)) {
+          console.warn(
+            `[emit] ${this.constructor.name} emitted "${eventName}", which isn't declared in its emits`
+          )
+        } else if (validator && !validator(payload)) {
+          console.warn(
+            `[emit] Invalid payload for the "${eventName}" event of ${this.constructor.name}`
+          )
+        }
+
+        if (optional && !this.#dispatcher.hasHandlers(eventName)) {
+          return
+        }
+      }
+
       this.#dispatcher.dispatch(eventName, payload)
     }
 
+    /**
+     * Patches the component in the next tick. All the changes to the props and
+     * state that happen in the same tick are patched at once.
+     */
+    #schedulePatch() {
+      if (!this.#isMounted) {
+        throw new Error('Component is not mounted')
+      }
+
+      return enqueueUpdate(this, () => {
+        // The component can be unmounted by its parent's patch.
+        if (!this.#isMounted) {
+          return
+        }
+
+        try {
+          this.#patch()
+        } catch (error) {
+          captureError(error, this, ERROR_SOURCES.PATCH)
+        }
+      })
+    }
+
     #patch() {
       if (!this.#isMounted) {
         throw new Error('Component is not mounted')
       }
 
-      const vdom = this.render()
+      this.onBeforeUpdate()
+
+      // A component that fails to render keeps its current view.
+      const vdom = this.#renderSafely()
+      if (vdom == null) {
+        return
+      }
+
       this.#vdom = patchDOM(this.#vdom, vdom, this.#hostEl, this)
+      this.refs = collectRefs(this.#vdom)
+      this.#watchers.check()
+
+      // The children patched in the same flush are patched before the job runs.
+      enqueueJob(() => {
+        if (this.#isMounted) {
+          return this.onUpdated()
+        }
+      })
     }
   }
 
@@ -280,5 +832,37 @@ export function defineComponent({
     Component.prototype[methodName] = methods[methodName]
   }
 
+  for (const name in computed) {
+    if (name in Component.prototype || INSTANCE_PROPERTIES.includes(name)) {
+      throw new Error(
+        `Computed value "${name}" already exists in the component. Can't override existing properties.`
+      )
+    }
+  }
+
+  if (name) {
+    Object.defineProperty(Component, 'name', { value: name })
+  }
+
   return Component
 }
+
+/**
+ * Returns the options of a declared event, which can be declared with a
+ * validator function, the options object, or `null`.
+ *
+ * @param {Object<string, (null|Function|EmitOptions)>} emits the declared events
+ * @param {string} eventName the name of the event
+ * @returns {EmitOptions} the options of the event
+ */
+function emitOptions(emits, eventName) {
+  const declaration = hasOwnProperty(emits, eventName)
+    ? emits[eventName]
+    : null
+
+  if (typeof declaration === 'function') {
+    return { validator: declaration }
+  }
+
+  return declaration ?? {}
+}
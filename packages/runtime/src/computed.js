@@ -0,0 +1,122 @@
+/**
+ * The dependencies of the computed value being evaluated. Computed values that
+ * read other computed values add their dependencies to this list too.
+ */
+let activeDeps = null
+
+/**
+ * The computed values of a component, defined as getter functions that derive
+ * a value from the component's state and props.
+ *
+ * Each value is cached, together with the state and props keys the getter read
+ * while computing it. The value is computed again only when one of those keys
+ * has changed, or when `invalidate()` is called—the mutations of a reactive
+ * state don't change the top-level keys, so they invalidate all the values.
+ */
+export class ComputedValues {
+  #component = null
+  #getters = {}
+  #methodNames = null
+  #cache = new Map()
+
+  /**
+   * @param {import('./component').Component} component the component the values belong to
+   * @param {Object.<string, Function>} getters the functions computing each value
+   * @param {string[]} methodNames the names of the component's methods, which are called with the tracking `this`
+   */
+  constructor(component, getters, methodNames) {
+    this.#component = component
+    this.#getters = getters
+    this.#methodNames = new Set(methodNames)
+  }
+
+  /**
+   * Returns the computed value, computing it if the cached value is outdated.
+   *
+   * @param {string} name the name of the computed value
+   * @returns {Any} the computed value
+   */
+  get(name) {
+    const cached = this.#cache.get(name)
+
+    if (cached && isFresh(cached.deps)) {
+      activeDeps?.push(...cached.deps)
+      return cached.value
+    }
+
+    const outerDeps = activeDeps
+    const deps = []
+    activeDeps = deps
+
+    try {
+      const value = this.#getters[name].call(this.#tracker())
+      this.#cache.set(name, { value, deps })
+
+      return value
+    } finally {
+      activeDeps = outerDeps
+      activeDeps?.push(...deps)
+    }
+  }
+
+  /**
+   * Discards all the cached values.
+   */
+  invalidate() {
+    this.#cache.clear()
+  }
+
+  /**
+   * Returns a proxy of the component that records the state and props keys
+   * read through it. The methods of the component are called with the proxy
+   * as `this`, so their reads are recorded too. The built-in methods use
+   * private fields, so they're bound to the component.
+   */
+  #tracker() {
+    const component = this.#component
+    const methodNames = this.#methodNames
+
+    return new Proxy(component, {
+      get(target, key, receiver) {
+        if (key === 'state' || key === 'props' || key === 'attrs') {
+          return trackReads(() => target[key])
+        }
+
+        const value = Reflect.get(target, key)
+
+        if (typeof value !== 'function') {
+          return value
+        }
+
+        return value.bind(methodNames.has(key) ? receiver : target)
+      },
+    })
+  }
+}
+
+function trackReads(readObject) {
+  return new Proxy(readObject(), {
+    get(target, key, receiver) {
+      track(() => Reflect.get(readObject(), key))
+      return Reflect.get(target, key, receiver)
+    },
+
+    has(target, key) {
+      track(() => Reflect.has(readObject(), key))
+      return Reflect.has(target, key)
+    },
+
+    ownKeys(target) {
+      track(readObject)
+      return Reflect.ownKeys(target)
+    },
+  })
+}
+
+function track(read) {
+  activeDeps?.push({ read, value: read() })
+}
+
+function isFresh(deps) {
+  return deps.every(({ read, value }) => Object.is(read(), value))
+}
@@ -0,0 +1,132 @@
+import { hasOwnProperty } from './utils/objects'
+
+/**
+ * @typedef PropOptions
+ * @type {object}
+ * @property {(Function|Function[])} [type] - The constructor, or constructors, of the prop's value, like `Number`, `Array` or a class.
+ * @property {boolean} [required] - Whether the prop must be passed.
+ * @property {Any} [default] - The value of the prop when it isn't passed. Objects and arrays are created by a function, like `() => []`, so each component gets its own.
+ * @property {(value: Any) => boolean} [validator] - Returns whether the value of the prop is valid.
+ */
+
+/**
+ * The types whose values aren't instances of their constructor.
+ */
+const PRIMITIVE_TYPES = new Map([
+  [String, 'string'],
+  [Number, 'number'],
+  [Boolean, 'boolean'],
+  [Symbol, 'symbol'],
+  [BigInt, 'bigint'],
+])
+
+/**
+ * Separates the declared props from the rest, the attributes, which the
+ * component can forward to its children. The declared props that aren't
+ * passed get their default value.
+ *
+ * @param {Object.<string, (null|Function|Function[]|PropOptions)>} declarations the declared props
+ * @param {Object.<string, Any>} passedProps the props passed to the component
+ * @returns {{props: Object.<string, Any>, attrs: Object.<string, Any>}} the declared props and the attributes
+ */
+export function resolveProps(declarations, passedProps) {
+  const props = {}
+  const attrs = {}
+
+  for (const [name, value] of Object.entries(passedProps)) {
+    if (hasOwnProperty(declarations, name)) {
+      props[name] = value
+    } else {
+      attrs[name] = value
+    }
+  }
+
+  for (const name in declarations) {
+    const options = propOptions(declarations[name])
+
+    if (props[name] === undefined && hasOwnProperty(options, 'default')) {
+      props[name] = defaultValue(options)
+    }
+  }
+
+  return { props, attrs }
+}
+
+/**
+ * Validates the declared props, displaying a warning for each prop that is
+ * missing, has the wrong type or is rejected by its validator.
+ *
+ * @param {Object.<string, (null|Function|Function[]|PropOptions)>} declarations the declared props
+ * @param {Object.<string, Any>} props the props of the component
+ * @param {string} componentName the name of the component, for the warnings
+ */
+export function validateProps(declarations, props, componentName) {
+  for (const name in declarations) {
+    const error = propError(propOptions(declarations[name]), props[name])
+
+    if (error) {
+      console.warn(
+        `[props] Invalid prop "${name}" in ${componentName}: ${error}`
+      )
+    }
+  }
+}
+
+function propError({ type, required = false, validator }, value) {
+  if (value == null) {
+    return required ? 'the prop is required' : null
+  }
+
+  const types = type == null ? [] : [type].flat()
+
+  if (types.length > 0 && !types.some((type) => isOfType(value, type))) {
+    const names = types.map((type) => type.name).join(' or ')
+    return `expected ${names}, got ${describeType(value)}`
+  }
+
+  if (validator && !validator(value)) {
+    return 'the validator rejected the value'
+  }
+
+  return null
+}
+
+/**
+ * A prop can be declared with its options, its type (or types), or `null` to
+ * accept any value.
+ */
+function propOptions(declaration) {
+  if (typeof declaration === 'function' || Array.isArray(declaration)) {
+    return { type: declaration }
+  }
+
+  return declaration ?? {}
+}
+
+function defaultValue(options) {
+  const { type, default: value } = options
+  const isFunctionProp = [type].flat().includes(Function)
+
+  return typeof value === 'function' && !isFunctionProp ? value() : value
+}
+
+function isOfType(value, type) {
+  if (PRIMITIVE_TYPES.has(type)) {
+    return typeof value === PRIMITIVE_TYPES.get(type)
+  }
+
+  if (type === Array) {
+    return Array.isArray(value)
+  }
+
+  if (type === Object) {
+    return typeof value === 'object' && !Array.isArray(value)
+  }
+
+  return value instanceof type
+}
+
+function describeType(value) {
+  // The objects without prototype don't have a constructor.
+  return value.constructor?.name ?? 'Object'
+}
@@ -1,6 +1,7 @@
 import { removeEventListeners } from './events'
 import { DOM_TYPES } from './h'
 import { enqueueJob } from './scheduler'
+import { finishTransition, leave, transitionElement } from './transition'
 import { assert } from './utils/assert'
 
 /**
@@ -36,6 +37,21 @@ export function destroyDOM(vdom) {
       break
     }
 
+    case DOM_TYPES.PORTAL: {
+      removePortalNodes(vdom)
+      break
+    }
+
+    case DOM_TYPES.TRANSITION: {
+      removeTransitionNodes(vdom)
+      break
+    }
+
+    case DOM_TYPES.KEEP_ALIVE: {
+      removeKeepAliveNodes(vdom)
+      break
+    }
+
     default: {
       throw new Error(`Can't destroy DOM of type: ${type}`)
     }
@@ -55,7 +71,7 @@ function removeTextNode(vdom) {
 function removeElementNode(vdom) {
   const { el, children, listeners } = vdom
 
-  assert(el instanceof HTMLElement)
+  assert(el instanceof Element)
 
   el.remove()
   children.forEach(destroyDOM)
@@ -70,3 +86,80 @@ function removeFragmentNodes(vdom) {
   const { children } = vdom
   children.forEach(destroyDOM)
 }
+
+/**
+ * Runs the leave transition of a mounted virtual node, and destroys it when the
+ * transition ends. The nodes that can't transition, like text nodes, are
+ * destroyed right away.
+ *
+ * @param {import('./h').VNode} vdom the virtual DOM node to destroy
+ * @param {import('./transition').TransitionOptions} options the options of the transition
+ * @param {() => void} [onDestroyed] called after the node is destroyed
+ */
+export function destroyDOMAfterLeave(
+  vdom,
+  options,
+  onDestroyed = () => {}
+) {
+  const el = transitionElement(vdom)
+
+  function destroy() {
+    destroyDOM(vdom)
+    onDestroyed()
+  }
+
+  if (el == null) {
+    destroy()
+  } else {
+    leave(el, options, destroy)
+  }
+}
+
+function removeTransitionNodes(vdom) {
+  const { el, options, state } = vdom
+  const [child] = vdom.children
+
+  if (state.leaving) {
+    finishTransition(transitionElement(state.leaving))
+  }
+
+  if (child == null) {
+    el.remove()
+  } else {
+    destroyDOMAfterLeave(child, options)
+  }
+
+  delete vdom.state
+}
+
+/**
+ * Destroys the active component of a keep-alive, or its empty text node, and
+ * unmounts the inactive components in its cache.
+ */
+function removeKeepAliveNodes(vdom) {
+  const { el, state } = vdom
+  const [child] = vdom.children
+
+  if (child == null) {
+    el.remove()
+  } else {
+    destroyDOM(child)
+  }
+
+  state.cache.filter((cached) => cached !== child).forEach(destroyDOM)
+
+  delete vdom.state
+}
+
+function removePortalNodes(vdom) {
+  const { el, anchor, children, targetEl, delegator } = vdom
+
+  el.remove()
+  anchor.remove()
+  children.forEach(destroyDOM)
+  delegator?.removeRoot(targetEl)
+
+  delete vdom.targetEl
+  delete vdom.anchor
+  delete vdom.delegator
+}
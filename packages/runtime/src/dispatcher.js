@@ -51,6 +51,16 @@ export class Dispatcher {
     }
   }
 
+  /**
+   * Returns whether the command has any handlers registered.
+   *
+   * @param {string} commandName the name of the command
+   * @returns {boolean}
+   */
+  hasHandlers(commandName) {
+    return this.#subs.get(commandName)?.length > 0
+  }
+
   /**
    * Dispatches a command to all registered handlers and runs all
    * handlers registered to run after each command.
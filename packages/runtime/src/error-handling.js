@@ -0,0 +1,72 @@
+import { enqueueJob } from './scheduler'
+
+/**
+ * Where the captured error was thrown, passed to the error handlers as the
+ * `info` argument.
+ */
+export const ERROR_SOURCES = {
+  STATE: 'state',
+  RENDER: 'render',
+  PATCH: 'patch',
+  ON_BEFORE_MOUNT: 'onBeforeMount',
+  ON_MOUNTED: 'onMounted',
+  ON_BEFORE_UPDATE: 'onBeforeUpdate',
+  ON_UPDATED: 'onUpdated',
+  ON_BEFORE_UNMOUNT: 'onBeforeUnmount',
+  ON_UNMOUNTED: 'onUnmounted',
+  ON_ACTIVATED: 'onActivated',
+  ON_DEACTIVATED: 'onDeactivated',
+  EVENT_HANDLER: 'event handler',
+  EMIT_HANDLER: 'emitted event handler',
+  WATCHER: 'watcher',
+}
+
+/**
+ * Captures an error thrown by a component, so it doesn't break the rendering of
+ * the rest of the application.
+ *
+ * The error propagates up the parent chain of the component: the first
+ * ancestor component with an `onErrorCaptured()` hook handles it, typically
+ * by updating its state to render a fallback view. If the hook throws, the
+ * thrown error keeps propagating to the next ancestor. When no component
+ * handles the error, it's passed to the application's `onError()` handler, or
+ * logged to the console if there's none.
+ *
+ * The hooks are called in the next tick, once the render or patch that was
+ * taking place is complete, so they can safely update the component's state.
+ *
+ * @param {Error} error the thrown error
+ * @param {import('./component').Component} component the component that threw the error
+ * @param {string} info where the error was thrown (see `ERROR_SOURCES`)
+ */
+export function captureError(error, component, info) {
+  enqueueJob(() => propagateError(error, component, info))
+}
+
+function propagateError(error, component, info) {
+  let ancestor = component.parentComponent
+
+  while (ancestor) {
+    // The application, which hosts the root component, has no hook.
+    if (typeof ancestor.onErrorCaptured === 'function') {
+      try {
+        ancestor.onErrorCaptured(error, component, info)
+        return
+      } catch (rethrownError) {
+        error = rethrownError
+      }
+    }
+
+    ancestor = ancestor.parentComponent
+  }
+
+  const appErrorHandler = component.appContext?.onError
+
+  if (appErrorHandler) {
+    appErrorHandler(error, component, info)
+  } else {
+    console.error(
+      `[${info}] Unhandled error in ${component.constructor.name}: ${error}`
+    )
+  }
+}
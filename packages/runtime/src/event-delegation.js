@@ -0,0 +1,196 @@
+/**
+ * The events that bubble, and can be delegated to the application's root
+ * element. The rest of the events, like `focus` or `mouseenter`, are listened
+ * to on the elements themselves.
+ */
+const DELEGATED_EVENTS = new Set([
+  'beforeinput',
+  'change',
+  'click',
+  'contextmenu',
+  'copy',
+  'cut',
+  'dblclick',
+  'drag',
+  'dragend',
+  'dragenter',
+  'dragleave',
+  'dragover',
+  'dragstart',
+  'drop',
+  'focusin',
+  'focusout',
+  'input',
+  'keydown',
+  'keypress',
+  'keyup',
+  'mousedown',
+  'mousemove',
+  'mouseout',
+  'mouseover',
+  'mouseup',
+  'paste',
+  'pointerdown',
+  'pointermove',
+  'pointerout',
+  'pointerover',
+  'pointerup',
+  'submit',
+  'touchend',
+  'touchmove',
+  'touchstart',
+])
+
+/**
+ * Delegates the event listeners of the elements to their root elements: one
+ * listener per event type is added to each root element, and the listeners of
+ * the elements are saved by the delegator. When an event reaches a root, the
+ * listeners of the elements from the `event.target` up are called, as if they
+ * were added to the elements, until one of them stops the propagation.
+ *
+ * The application's root element is a root, and so are the target elements of
+ * the portals, whose children are elsewhere in the document. Several portals
+ * can share a target, so the roots count how many times they were added.
+ */
+export class EventDelegator {
+  #roots = new Map()
+  #eventNames = new Set()
+  #listeners = new WeakMap()
+  #dispatchedEvents = new WeakSet()
+
+  /**
+   * Returns whether a listener with the given options can be delegated. The
+   * listeners in the capture phase, and the passive ones, can't.
+   *
+   * @param {string} eventName the name of the event
+   * @param {{capture: boolean, passive: boolean}} options the options of the listener
+   * @returns {boolean}
+   */
+  canDelegate(eventName, { capture, passive }) {
+    return DELEGATED_EVENTS.has(eventName) && !capture && !passive
+  }
+
+  /**
+   * Starts listening to the delegated events on the root element, unless it's
+   * already a root.
+   *
+   * @param {Element} rootEl the root element
+   */
+  addRoot(rootEl) {
+    const count = this.#roots.get(rootEl) ?? 0
+    this.#roots.set(rootEl, count + 1)
+
+    if (count > 0) {
+      return
+    }
+
+    this.#eventNames.forEach((eventName) =>
+      rootEl.addEventListener(eventName, this.#dispatch)
+    )
+  }
+
+  /**
+   * Releases the root element, added with `addRoot()`. The delegated events
+   * stop being listened to when the root is released as many times as it was
+   * added.
+   *
+   * @param {Element} rootEl the root element
+   */
+  removeRoot(rootEl) {
+    const count = this.#roots.get(rootEl)
+
+    if (count == null) {
+      return
+    }
+
+    if (count > 1) {
+      this.#roots.set(rootEl, count - 1)
+      return
+    }
+
+    this.#roots.delete(rootEl)
+    this.#eventNames.forEach((eventName) =>
+      rootEl.removeEventListener(eventName, this.#dispatch)
+    )
+  }
+
+  /**
+   * Saves the listener of the element's event.
+   *
+   * @param {Element} el the element the listener belongs to
+   * @param {string} eventName the name of the event
+   * @param {(event: Event) => void} listener the listener
+   */
+  add(el, eventName, listener) {
+    if (!this.#listeners.has(el)) {
+      this.#listeners.set(el, new Map())
+    }
+
+    const elListeners = this.#listeners.get(el)
+    if (!elListeners.has(eventName)) {
+      elListeners.set(eventName, new Set())
+    }
+
+    elListeners.get(eventName).add(listener)
+
+    if (!this.#eventNames.has(eventName)) {
+      this.#eventNames.add(eventName)
+      for (const rootEl of this.#roots.keys()) {
+        rootEl.addEventListener(eventName, this.#dispatch)
+      }
+    }
+  }
+
+  /**
+   * Removes the listener of the element's event.
+   *
+   * @param {Element} el the element the listener belongs to
+   * @param {string} eventName the name of the event
+   * @param {(event: Event) => void} listener the listener
+   */
+  remove(el, eventName, listener) {
+    this.#listeners.get(el)?.get(eventName)?.delete(listener)
+  }
+
+  /**
+   * Stops listening to the events on all the root elements.
+   */
+  destroy() {
+    for (const rootEl of this.#roots.keys()) {
+      this.#eventNames.forEach((eventName) =>
+        rootEl.removeEventListener(eventName, this.#dispatch)
+      )
+    }
+
+    this.#roots.clear()
+    this.#eventNames.clear()
+  }
+
+  #dispatch = (event) => {
+    // A portal's target can be inside another root, which the event reaches
+    // after being dispatched.
+    if (this.#dispatchedEvents.has(event)) {
+      return
+    }
+
+    this.#dispatchedEvents.add(event)
+
+    let node = event.target
+
+    while (node != null && !event.cancelBubble) {
+      const listeners = this.#listeners.get(node)?.get(event.type)
+
+      if (listeners?.size > 0) {
+        Object.defineProperty(event, 'currentTarget', {
+          configurable: true,
+          value: node,
+        })
+        Array.from(listeners).forEach((listener) => listener(event))
+      }
+
+      node = node.parentNode
+    }
+
+    delete event.currentTarget
+  }
+}
@@ -1,6 +1,38 @@
+import { captureError, ERROR_SOURCES } from './error-handling'
+
+/**
+ * @typedef ListenerOptions
+ * @type {object}
+ * @property {(event: Event) => void} handler - The event handler.
+ * @property {boolean} [once] - Whether the handler is removed after it's called once.
+ * @property {boolean} [passive] - Whether the handler never calls `preventDefault()`, so the browser can scroll right away.
+ * @property {boolean} [capture] - Whether the handler is called in the capture phase.
+ * @property {boolean} [prevent] - Whether to call `event.preventDefault()` before the handler.
+ * @property {boolean} [stop] - Whether to call `event.stopPropagation()` before the handler.
+ * @property {boolean} [self] - Whether the handler is only called for events dispatched on the element itself, not on its descendants.
+ */
+
+/**
+ * The names used in the key filters that don't match the lowercase `event.key`.
+ */
+const KEY_ALIASES = {
+  esc: 'escape',
+  space: ' ',
+  up: 'arrowup',
+  down: 'arrowdown',
+  left: 'arrowleft',
+  right: 'arrowright',
+}
+
+/**
+ * The event name, capture option and delegator (if the listener is delegated)
+ * of each added listener, needed to remove it.
+ */
+const listenersInfo = new WeakMap()
+
 /**
  * Adds event listeners to an event target and returns an object containing
- * the added listeners.
+ * the added listeners, under the same keys as the passed in listeners.
  *
  * @param {object} listeners The event listeners to add
  * @param {EventTarget} el The element to add the listeners to
@@ -24,31 +56,121 @@ export function addEventListeners(
 
 /**
  * Adds an event listener to an event target and returns the listener.
- * If a host component is passed, the handler execution context is bound to the component.
+ * If a host component is passed, the handler execution context is bound to the component,
+ * and the errors thrown by the handler are captured (see `captureError()`).
+ *
+ * The handler can be passed with options (see `ListenerOptions`), like
+ * `{ handler, passive: true }`. Keyboard events can be filtered by key, adding
+ * the key names after the event name, like `keydown.enter` or `keyup.esc.tab`:
+ * the handler is only called for the listed keys.
+ *
+ * When the application delegates the events (see `createApp()`), the listener
+ * is saved by the application's `EventDelegator` instead of being added to the
+ * element, unless the event doesn't bubble or the listener can't be delegated.
  *
- * @param {string} eventName the name of the event to listen to
- * @param {(event: Event) => void} handler the event handler
+ * @param {string} eventKey the name of the event to listen to, with the optional key filters
+ * @param {((event: Event) => void)|ListenerOptions} definition the event handler, or the handler with options
  * @param {EventTarget} el the element to add the event listener to
  * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
  * @returns {(event: Event) => void} the event handler
  */
 export function addEventListener(
-  eventName,
-  handler,
+  eventKey,
+  definition,
   el,
   hostComponent = null
 ) {
-  function boundHandler() {
-    hostComponent
-      ? handler.apply(hostComponent, arguments)
-      : handler(...arguments)
+  const [eventName, ...keys] = eventKey.split('.')
+  const {
+    handler,
+    once = false,
+    passive = false,
+    capture = false,
+    prevent = false,
+    stop = false,
+    self = false,
+  } = typeof definition === 'function'
+    ? { handler: definition }
+    : definition
+
+  function boundHandler(event) {
+    if (self && event.target !== event.currentTarget) {
+      return
+    }
+
+    if (keys.length > 0 && !keys.some((key) => matchesKey(event, key))) {
+      return
+    }
+
+    if (prevent) event.preventDefault()
+    if (stop) event.stopPropagation()
+
+    // Removed here, instead of with the native `once` option, so the events
+    // ignored by the filters don't remove the listener.
+    if (once) removeEventListener(boundHandler, el)
+
+    return callHandler(handler, arguments, hostComponent)
+  }
+
+  const delegator = hostComponent?.appContext?.eventDelegator
+  const isDelegated =
+    delegator != null &&
+    delegator.canDelegate(eventName, { capture, passive })
+
+  if (isDelegated) {
+    delegator.add(el, eventName, boundHandler)
+  } else {
+    el.addEventListener(eventName, boundHandler, { capture, passive })
   }
 
-  el.addEventListener(eventName, boundHandler)
+  listenersInfo.set(boundHandler, {
+    eventName,
+    capture,
+    delegator: isDelegated ? delegator : null,
+  })
 
   return boundHandler
 }
 
+/**
+ * Removes an event listener, returned by `addEventListener()`, from an event target.
+ *
+ * @param {(event: Event) => void} listener the listener to remove
+ * @param {EventTarget} el the element to remove the event listener from
+ */
+export function removeEventListener(listener, el) {
+  const { eventName, capture, delegator } = listenersInfo.get(listener)
+
+  if (delegator) {
+    delegator.remove(el, eventName, listener)
+  } else {
+    el.removeEventListener(eventName, listener, { capture })
+  }
+}
+
+function matchesKey(event, key) {
+  return event.key?.toLowerCase() === (KEY_ALIASES[key] ?? key)
+}
+
+function callHandler(handler, args, hostComponent) {
+  if (!hostComponent) {
+    return handler(...args)
+  }
+
+  try {
+    const result = handler.apply(hostComponent, args)
+
+    // Async handlers reject the returned promise instead of throwing.
+    if (result instanceof Promise) {
+      result.catch((error) =>
+        captureError(error, hostComponent, ERROR_SOURCES.EVENT_HANDLER)
+      )
+    }
+  } catch (error) {
+    captureError(error, hostComponent, ERROR_SOURCES.EVENT_HANDLER)
+  }
+}
+
 /**
  * Removes the event listeners from an event target.
  *
@@ -56,7 +178,7 @@ export function addEventListener(
  * @param {EventTarget} el the element to remove the event listeners from
  */
 export function removeEventListeners(listeners = {}, el) {
-  Object.entries(listeners).forEach(([eventName, handler]) => {
-    el.removeEventListener(eventName, handler)
+  Object.values(listeners).forEach((listener) => {
+    removeEventListener(listener, el)
   })
 }
@@ -7,13 +7,16 @@ export const DOM_TYPES = {
   FRAGMENT: 'fragment',
   COMPONENT: 'component',
   SLOT: 'slot',
+  PORTAL: 'portal',
+  TRANSITION: 'transition',
+  KEEP_ALIVE: 'keep-alive',
 }
 
 /**
  * A virtual node is an object representing a DOM element.
  * The virtual node can be a text node, an element node or a fragment node.
  * @typedef VNode
- * @type {TextVNode|ElementVNode|FragmentVNode}
+ * @type {TextVNode|ElementVNode|FragmentVNode|PortalVNode|TransitionVNode|KeepAliveVNode}
  */
 
 /**
@@ -25,14 +28,18 @@ export const DOM_TYPES = {
  * @property {VNode[]} children - The children of the element.
  * @property {HTMLElement} [el] - The mounted element.
  * @property {Object.<string,Function>} [listeners] - The event listeners added to the element.
+ * @property {(value: string) => Any} [modelCast] - Casts the value of an element bound with `model`, like its modifiers do, set by `resolveModels()`.
+ * @property {import('./transition').TransitionOptions} [transitionGroup] - The options of the transitions of the children, set by `hTransitionGroup()`.
  */
 
 /**
  * @typedef ElementVNodeProps
  * @type {object}
- * @property {Object.<string,Function>} [on] - The event listeners to add to the element.
+ * @property {Object.<string,(Function|import('./events').ListenerOptions)>} [on] - The event listeners to add to the element, or the listeners with options. Keyboard events can be filtered by key, like `keydown.enter`.
  * @property {(string|string[])} [class] - The class or classes to add to the element.
  * @property {Object.<string,string>} [style] - The CSS properties to add to the element.
+ * @property {string} [ref] - The name under which the host component saves the element in its `refs`.
+ * @property {(string|import('./model').ModelOptions)} [model] - The path of the host component's state value bound to the `<input>`, `<select>` or `<textarea>`, or the path with modifiers.
  */
 
 /**
@@ -41,9 +48,17 @@ export const DOM_TYPES = {
  *
  * The props are added to the element as attributes.
  * There are some special props:
- * - `on`: an object containing event listeners to add to the element
+ * - `on`: an object containing event listeners to add to the element. A listener
+ *   can be passed with options, like `{ handler, prevent: true }` (see `addEventListener()`)
  * - `class`: a string or array of strings to add to the element's class list
  * - `style`: an object containing CSS properties to add to the element's style
+ * - `ref`: the name under which the host component saves the mounted element, or
+ *   the component instance, in its `refs` object. A name ending with `[]`
+ *   collects the elements into an array, like the items of a list.
+ * - `model`: the path of a value in the host component's state, like `'email'`,
+ *   bound to a form element: the element shows the value, and its events update
+ *   it. Passed to a component, the value is its `modelValue` prop, updated when
+ *   it emits `update:modelValue` (see `resolveModels()`).
  *
  * The children are added to the element as child nodes.
  * If a child is a string, it is converted to a text node using `hString()`.
@@ -94,6 +109,182 @@ export function hString(str) {
   return { type: DOM_TYPES.TEXT, value: String(str) }
 }
 
+/**
+ * @typedef PortalVNode
+ * @type {object}
+ * @property {string} type - The type of the virtual node = 'portal'.
+ * @property {(string|Element)} target - The CSS selector of the element, or the element, where the children are mounted.
+ * @property {VNode[]} children - The children of the portal.
+ * @property {Text} [el] - The empty text node that marks the position of the portal in its parent element.
+ * @property {Element} [targetEl] - The element where the children are mounted.
+ * @property {Text} [anchor] - The empty text node in the target element after which the children are mounted.
+ * @property {import('./event-delegation').EventDelegator} [delegator] - The event delegator the target element was added to as a root.
+ */
+
+/**
+ * Creates a portal: a virtual node whose children are mounted into a different
+ * element of the document, like the `<body>`, instead of its parent element.
+ * Use it to render modals or tooltips that need to escape the `overflow` or
+ * `z-index` of their ancestors.
+ *
+ * The children stay in the component tree: their event handlers are bound to
+ * the host component, they can inject the values provided by its ancestors,
+ * and they're unmounted with it.
+ *
+ * If a child is a string, it is converted to a text node using `hString()`.
+ *
+ * @param {(string|Element)} target the CSS selector of the element, or the element, to mount the children into
+ * @param {array} vNodes the children to mount into the target element
+ * @returns {PortalVNode} the virtual node
+ */
+export function hPortal(target, vNodes = []) {
+  assert(
+    typeof target === 'string' || typeof target === 'object',
+    '[vdom] hPortal() expects a CSS selector or an element as target'
+  )
+  assert(
+    Array.isArray(vNodes),
+    '[vdom] hPortal() expects an array of vNodes'
+  )
+
+  return {
+    type: DOM_TYPES.PORTAL,
+    target,
+    children: mapTextNodes(withoutNulls(vNodes)),
+  }
+}
+
+/**
+ * @typedef TransitionVNode
+ * @type {object}
+ * @property {string} type - The type of the virtual node = 'transition'.
+ * @property {import('./transition').TransitionOptions} options - The options of the transition.
+ * @property {VNode[]} children - The child of the transition, or no children when it's hidden.
+ * @property {Node} [el] - The child's first DOM node, or an empty text node that marks the transition's position when it has no child.
+ * @property {{leaving: (VNode|null)}} [state] - The child running its leave transition, shared by the virtual nodes of the transition across patches.
+ */
+
+/**
+ * Wraps a child in a transition: the `*-enter-*` classes are applied to the
+ * child's element when it's mounted, and the `*-leave-*` classes when it's
+ * removed, whose removal is deferred until the transition ends (see `enter()`
+ * and `leave()`). The child of a component is its first element.
+ *
+ * To show and hide the child, pass `null` instead of the child, so the
+ * transition remains in the tree:
+ *
+ * ```js
+ * hTransition({ name: 'fade' }, this.state.isOpen ? h(Modal) : null)
+ * ```
+ *
+ * When the child appears while its leave transition is running, the leave is
+ * cancelled and the same element enters again. A different child replaces the
+ * leaving one right away.
+ *
+ * @param {import('./transition').TransitionOptions} options the options of the transition
+ * @param {(VNode|string|null)} child the child
+ * @returns {TransitionVNode} the virtual node
+ */
+export function hTransition(options = {}, child = null) {
+  assert(
+    typeof options === 'object' && !Array.isArray(options),
+    '[vdom] hTransition() expects an object as options'
+  )
+
+  return {
+    type: DOM_TYPES.TRANSITION,
+    options,
+    children: mapTextNodes(withoutNulls([child])),
+  }
+}
+
+/**
+ * Makes an element a transition group: its children run the `*-enter-*` and
+ * `*-leave-*` transitions when they're added to and removed from the list (see
+ * `hTransition()`), and the `*-move` transition when they change position, like
+ * when the list is sorted (see `move()`). The children need a `key` to be
+ * moved instead of patched in place.
+ *
+ * ```js
+ * hTransitionGroup(
+ *   { name: 'rows' },
+ *   h('tbody', {}, assets.map((asset) => h(AssetRow, { asset, key: asset.id })))
+ * )
+ * ```
+ *
+ * The leaving children keep their place in the list until their transition
+ * ends. Give them `position: absolute` in the `*-leave-active` class, so the
+ * rest of the children move into their place.
+ *
+ * @param {import('./transition').TransitionOptions} options the options of the transitions
+ * @param {ElementVNode} vNode the element whose children transition
+ * @returns {ElementVNode} the virtual node
+ */
+export function hTransitionGroup(options = {}, vNode) {
+  assert(
+    typeof options === 'object' && !Array.isArray(options),
+    '[vdom] hTransitionGroup() expects an object as options'
+  )
+  assert(
+    vNode?.type === DOM_TYPES.ELEMENT,
+    '[vdom] hTransitionGroup() expects an element as its vNode'
+  )
+
+  return { ...vNode, transitionGroup: options }
+}
+
+/**
+ * @typedef KeepAliveVNode
+ * @type {object}
+ * @property {string} type - The type of the virtual node = 'keep-alive'.
+ * @property {import('./keep-alive').KeepAliveOptions} options - The options of the cache.
+ * @property {VNode[]} children - The active component, or no children when there's none.
+ * @property {Node} [el] - The active component's first DOM node, or an empty text node that marks the keep-alive's position when it has no child.
+ * @property {import('./keep-alive').KeepAliveState} [state] - The cached components, shared by the virtual nodes of the keep-alive across patches.
+ */
+
+/**
+ * Keeps the component instances alive when they're switched: instead of being
+ * unmounted, the inactive component's DOM is detached from the document, and
+ * re-inserted when the component is active again, so it keeps its state, its
+ * fetched data and the state of its DOM, like the scroll position.
+ *
+ * ```js
+ * hKeepAlive({ max: 5 }, this.state.tab === 'books' ? h(BooksTab) : h(AuthorsTab))
+ * ```
+ *
+ * The components are cached by constructor and `key`. The `include` and
+ * `exclude` options filter the cached components by name, and the `max` option
+ * limits their number: the least recently active component is unmounted when
+ * it's exceeded. The cached components' `onActivated()` hook is called when
+ * they're mounted and re-inserted, and `onDeactivated()` when they're detached.
+ *
+ * @param {import('./keep-alive').KeepAliveOptions} options the options of the cache
+ * @param {(VNode|null)} child the active component
+ * @returns {KeepAliveVNode} the virtual node
+ */
+export function hKeepAlive(options = {}, child = null) {
+  assert(
+    typeof options === 'object' && !Array.isArray(options),
+    '[vdom] hKeepAlive() expects an object as options'
+  )
+  // The active component is always cached, so the cache can't be smaller.
+  assert(
+    options.max == null || options.max >= 1,
+    '[vdom] hKeepAlive() expects a max of at least 1'
+  )
+  assert(
+    child == null || child.type === DOM_TYPES.COMPONENT,
+    '[vdom] hKeepAlive() expects a component as its child'
+  )
+
+  return {
+    type: DOM_TYPES.KEEP_ALIVE,
+    options,
+    children: withoutNulls([child]),
+  }
+}
+
 /**
  * @typedef FragmentVNode
  * @type {object}
@@ -123,10 +314,25 @@ export function hFragment(vNodes) {
   }
 }
 
+/**
+ * The name of the slot created by `hSlot()` when no name is given. The external
+ * content that isn't targeted at a named slot goes into this slot.
+ */
+export const DEFAULT_SLOT_NAME = 'default'
+
 /**
  * @typedef SlotVNode
  * @type {object}
  * @property {string} type - The type of the virtual node = 'slot'.
+ * @property {string} name - The name of the slot.
+ * @property {Object.<string, Any>} props - The slot props, passed to the slot content functions.
+ * @property {VNode[]} [children] - The default content of the slot.
+ */
+
+/**
+ * @typedef SlotOptions
+ * @type {object}
+ * @property {Object.<string, Any>} [props] - The data passed to the slot content function (see `hSlotContent()`).
  * @property {VNode[]} [children] - The default content of the slot.
  */
 
@@ -171,6 +377,26 @@ export function resetDidCreateSlot() {
  * A slot is a placeholder for external content. It can also have default
  * content in case no external content is provided.
  *
+ * A component can have several slots, identified by their name. The content
+ * targeted at a slot name, using `hSlotContent()`, is inserted in the slots
+ * with that name. The rest of the content is inserted in the default slot,
+ * which is the one created without a name:
+ *
+ * ```js
+ * h('article', {}, [
+ *   h('header', {}, [hSlot('header', ['Untitled'])]),
+ *   hSlot(),
+ * ])
+ * ```
+ *
+ * A slot can pass data to its content, the slot props, when the content is a
+ * function (a scoped slot). The component decides where the slot goes, and the
+ * parent decides how the data is rendered:
+ *
+ * ```js
+ * h('tbody', {}, books.map((book) => hSlot('row', { props: { book } })))
+ * ```
+ *
  * A slot vdom node isn't intended to be mounted, so it'll throw an error
  * if it's passed to `mountDOM()`. Slots are handled by the component, which
  * should replace the slot vdom node with the external content at render time.
@@ -179,13 +405,79 @@ export function resetDidCreateSlot() {
  * For every call to the `hSlot()` function, there should be a call to the
  * `resetDidCreateSlot()` function.
  *
- * @param {VNode[]} [children] the default content of the slot
+ * @param {string} [name] the name of the slot, omit it for the default slot
+ * @param {(VNode[]|SlotOptions)} [options] the default content of the slot, or the slot options
  *
  * @returns {SlotVNode} the virtual node
  */
-export function hSlot(children = []) {
+export function hSlot(name = DEFAULT_SLOT_NAME, options = []) {
+  // hSlot(children) and hSlot({ props }) create a default slot.
+  if (typeof name !== 'string') {
+    options = name
+    name = DEFAULT_SLOT_NAME
+  }
+
+  assert(
+    typeof options === 'object' && options !== null,
+    '[vdom] hSlot() expects an array of children or an object of options'
+  )
+
+  const { props = {}, children = [] } = Array.isArray(options)
+    ? { children: options }
+    : options
+
   hSlotCalled = true
-  return { type: DOM_TYPES.SLOT, children }
+  return { type: DOM_TYPES.SLOT, name, props, children }
+}
+
+/**
+ * @typedef SlotContentVNode
+ * @type {object}
+ * @property {string} type - The type of the virtual node = 'fragment'.
+ * @property {string} slot - The name of the slot the content is targeted at.
+ * @property {VNode[]} children - The content to insert in the slot.
+ * @property {(props: Object.<string, Any>) => (VNode|VNode[])} [render] - The function rendering the content of a scoped slot.
+ */
+
+/**
+ * Creates the content of a named slot, to be passed as a child of a component.
+ * The content replaces the default content of the component's slots with the
+ * given name.
+ *
+ * ```js
+ * h(Card, {}, [
+ *   hSlotContent('header', [h('h2', {}, ['Title'])]),
+ *   h('p', {}, ['Goes into the default slot']),
+ * ])
+ * ```
+ *
+ * The content can also be a function, called for each slot with that name
+ * with the slot props, which returns the content to insert in that slot:
+ *
+ * ```js
+ * h(BooksTable, { books }, [
+ *   hSlotContent('row', ({ book }) => h('tr', {}, [h('td', {}, [book.title])])),
+ * ])
+ * ```
+ *
+ * The content is a fragment, so if it's rendered outside of a component, its
+ * children are rendered in place. The content of a function isn't rendered.
+ *
+ * @param {string} name the name of the slot
+ * @param {(array|function)} children the content to insert in the slot, or the function returning it
+ * @returns {SlotContentVNode} the virtual node
+ */
+export function hSlotContent(name, children = []) {
+  assert(
+    typeof name === 'string',
+    '[vdom] hSlotContent() expects a string as the slot name (1st argument)'
+  )
+
+  if (typeof children === 'function') {
+    return { ...hFragment([]), slot: name, render: children }
+  }
+
+  return { ...hFragment(children), slot: name }
 }
 
 /**
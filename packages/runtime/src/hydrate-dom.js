@@ -0,0 +1,362 @@
+import { setAttributes } from './attributes'
+import { addEventListeners } from './events'
+import { DOM_TYPES } from './h'
+import {
+  addToCache,
+  createKeepAliveState,
+  enqueueActivatedHooks,
+  shouldCache,
+} from './keep-alive'
+import { mountDOM } from './mount-dom'
+import { enqueueJob } from './scheduler'
+import { extractPropsAndEvents } from './utils/props'
+
+/**
+ * Hydrates the server-rendered markup inside `parentEl` with a virtual DOM tree:
+ * instead of creating the DOM nodes, the existing ones are reused. The vdom tree
+ * is modified to include the DOM nodes and event listeners, the same way
+ * `mountDOM()` does, so it can be patched afterwards.
+ *
+ * When the markup doesn't match the virtual DOM, a warning is displayed with
+ * the component and the path to the mismatching node, and the DOM is patched
+ * to match the virtual DOM.
+ *
+ * @param {import('./h').VNode} vdom the virtual DOM node to hydrate
+ * @param {HTMLElement} parentEl the element containing the server-rendered markup
+ * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
+ */
+export function hydrateDOM(vdom, parentEl, hostComponent = null) {
+  if (parentEl == null) {
+    throw new Error('[hydrateDOM] Parent element is null')
+  }
+
+  const next = hydrateNode(
+    vdom,
+    parentEl,
+    parentEl.firstChild,
+    hostComponent
+  )
+  removeExtraNodes(next, hostComponent, [componentName(hostComponent)])
+}
+
+/**
+ * Hydrates a virtual DOM node with the DOM node `domNode`, which is a child of
+ * `parentEl`, and returns the next DOM node to hydrate. That's the node after
+ * the ones that were hydrated, which can be several for fragments and
+ * components.
+ *
+ * @param {import('./h').VNode} vdom the virtual DOM node to hydrate
+ * @param {HTMLElement} parentEl the parent of the DOM node
+ * @param {(Node|null)} domNode the DOM node to hydrate, or `null` if there are no more nodes
+ * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
+ * @returns {(Node|null)} the next DOM node to hydrate
+ */
+export function hydrateNode(vdom, parentEl, domNode, hostComponent = null) {
+  const path = [componentName(hostComponent)]
+  return hydrate(vdom, parentEl, domNode, hostComponent, path, null)
+}
+
+/**
+ * @param {string[]} path the path to the parent node, used in the mismatch warnings
+ * @param {(number|null)} index the index of the node among its siblings, if it has any
+ */
+function hydrate(vdom, parentEl, domNode, hostComponent, path, index) {
+  domNode = skipComments(domNode)
+
+  switch (vdom.type) {
+    case DOM_TYPES.TEXT: {
+      const textPath = [...path, segment('text', index)]
+      return hydrateTextNode(
+        vdom,
+        parentEl,
+        domNode,
+        hostComponent,
+        textPath
+      )
+    }
+
+    case DOM_TYPES.ELEMENT: {
+      const elementPath = [...path, segment(vdom.tag, index)]
+      return hydrateElementNode(
+        vdom,
+        parentEl,
+        domNode,
+        hostComponent,
+        elementPath
+      )
+    }
+
+    case DOM_TYPES.FRAGMENT: {
+      vdom.el = parentEl
+      return hydrateChildren(
+        vdom.children,
+        parentEl,
+        domNode,
+        hostComponent,
+        path
+      )
+    }
+
+    case DOM_TYPES.COMPONENT: {
+      const next = hydrateComponentNode(
+        vdom,
+        parentEl,
+        domNode,
+        hostComponent
+      )
+      enqueueJob(() => vdom.component.onMounted())
+      return next
+    }
+
+    case DOM_TYPES.PORTAL: {
+      // The server doesn't render the portals, so they're mounted.
+      mountDOM(vdom, parentEl, indexOf(parentEl, domNode), hostComponent)
+      return domNode
+    }
+
+    case DOM_TYPES.TRANSITION: {
+      const [child] = vdom.children
+
+      // The server doesn't render the empty text node of a transition
+      // without a child, so it's mounted.
+      if (child == null) {
+        mountDOM(vdom, parentEl, indexOf(parentEl, domNode), hostComponent)
+        return domNode
+      }
+
+      const next = hydrate(
+        child,
+        parentEl,
+        domNode,
+        hostComponent,
+        path,
+        index
+      )
+      vdom.el = child.el
+      vdom.state = { leaving: null }
+
+      return next
+    }
+
+    case DOM_TYPES.KEEP_ALIVE: {
+      const [child] = vdom.children
+
+      // Like the transitions, the keep-alives without a child are mounted.
+      if (child == null) {
+        mountDOM(vdom, parentEl, indexOf(parentEl, domNode), hostComponent)
+        return domNode
+      }
+
+      const next = hydrate(
+        child,
+        parentEl,
+        domNode,
+        hostComponent,
+        path,
+        index
+      )
+      vdom.el = child.el
+      vdom.state = createKeepAliveState()
+
+      if (shouldCache(child, vdom.options)) {
+        addToCache(vdom.state, child)
+        enqueueActivatedHooks(child)
+      }
+
+      return next
+    }
+
+    default: {
+      throw new Error(`Can't hydrate DOM of type: ${vdom.type}`)
+    }
+  }
+}
+
+/**
+ * Hydrates a text node. The server renders adjacent text nodes as a single
+ * one, so when the DOM text starts with the vdom text, it's split in two: the
+ * first part is hydrated, and the rest is left for the next text vdom node.
+ */
+function hydrateTextNode(vdom, parentEl, domNode, hostComponent, path) {
+  const { value } = vdom
+  const isText = domNode?.nodeType === Node.TEXT_NODE
+
+  if (value === '') {
+    // Empty text nodes aren't present in the server-rendered markup.
+    mountDOM(vdom, parentEl, indexOf(parentEl, domNode), hostComponent)
+    return domNode
+  }
+
+  if (isText && domNode.nodeValue === value) {
+    vdom.el = domNode
+    return domNode.nextSibling
+  }
+
+  if (isText && domNode.nodeValue.startsWith(value)) {
+    const rest = domNode.splitText(value.length)
+    vdom.el = domNode
+    return rest
+  }
+
+  if (isText) {
+    warnMismatch(
+      hostComponent,
+      path,
+      `expected text "${value}", found "${domNode.nodeValue}"`
+    )
+    domNode.nodeValue = value
+    vdom.el = domNode
+    return domNode.nextSibling
+  }
+
+  warnMismatch(
+    hostComponent,
+    path,
+    `expected text "${value}", found ${describe(domNode)}`
+  )
+  mountDOM(vdom, parentEl, indexOf(parentEl, domNode), hostComponent)
+
+  return domNode
+}
+
+function hydrateElementNode(vdom, parentEl, domNode, hostComponent, path) {
+  const { tag, children } = vdom
+  const isSameElement =
+    domNode?.nodeType === Node.ELEMENT_NODE &&
+    domNode.tagName.toLowerCase() === tag.toLowerCase()
+
+  if (!isSameElement) {
+    warnMismatch(
+      hostComponent,
+      path,
+      `expected <${tag}>, found ${describe(domNode)}`
+    )
+    return replaceNode(vdom, parentEl, domNode, hostComponent)
+  }
+
+  const { props: attrs, events } = extractPropsAndEvents(vdom)
+
+  vdom.el = domNode
+  vdom.listeners = addEventListeners(events, domNode, hostComponent)
+  setAttributes(domNode, attrs)
+
+  // The server renders the value of a <textarea> as its content, which isn't
+  // a child in the vdom.
+  if (tag.toLowerCase() === 'textarea' && attrs.value != null) {
+    return domNode.nextSibling
+  }
+
+  const next = hydrateChildren(
+    children,
+    domNode,
+    domNode.firstChild,
+    hostComponent,
+    path
+  )
+  removeExtraNodes(next, hostComponent, path)
+
+  return domNode.nextSibling
+}
+
+/**
+ * Creates the component, the same way `mountDOM()` does, but hydrates its view
+ * instead of mounting it.
+ */
+function hydrateComponentNode(vdom, parentEl, domNode, hostComponent) {
+  const { tag: Component, children } = vdom
+  const { props, events } = extractPropsAndEvents(vdom)
+  const component = new Component(props, events, hostComponent)
+  component.setExternalContent(children)
+  component.setAppContext(hostComponent?.appContext ?? {})
+
+  const next = component.hydrate(parentEl, domNode)
+  vdom.component = component
+  vdom.el = component.firstElement
+
+  return next
+}
+
+function hydrateChildren(children, parentEl, domNode, hostComponent, path) {
+  let next = domNode
+
+  children.forEach((child, i) => {
+    const index = children.length > 1 ? i : null
+    next = hydrate(child, parentEl, next, hostComponent, path, index)
+  })
+
+  return next
+}
+
+/**
+ * Mounts the virtual node in place of the DOM node, which is removed.
+ * Returns the node after the removed one.
+ */
+function replaceNode(vdom, parentEl, domNode, hostComponent) {
+  const next = domNode?.nextSibling ?? null
+
+  mountDOM(vdom, parentEl, indexOf(parentEl, domNode), hostComponent)
+  domNode?.remove()
+
+  return next
+}
+
+/**
+ * Removes the DOM nodes, starting from `domNode`, that aren't in the vdom.
+ */
+function removeExtraNodes(domNode, hostComponent, path) {
+  let node = skipComments(domNode)
+
+  while (node) {
+    const next = skipComments(node.nextSibling)
+    warnMismatch(hostComponent, path, `unexpected ${describe(node)}`)
+    node.remove()
+    node = next
+  }
+}
+
+function skipComments(domNode) {
+  let node = domNode
+
+  while (node?.nodeType === Node.COMMENT_NODE) {
+    node = node.nextSibling
+  }
+
+  return node
+}
+
+function indexOf(parentEl, domNode) {
+  if (domNode == null) {
+    return null
+  }
+
+  return Array.from(parentEl.childNodes).indexOf(domNode)
+}
+
+function segment(name, index) {
+  return index == null ? name : `${name}[${index}]`
+}
+
+function describe(domNode) {
+  if (domNode == null) {
+    return 'nothing'
+  }
+
+  if (domNode.nodeType === Node.TEXT_NODE) {
+    return `text "${domNode.nodeValue}"`
+  }
+
+  return `<${domNode.tagName.toLowerCase()}>`
+}
+
+function componentName(component) {
+  const name = component?.constructor?.name
+
+  // The application hosts the root component with a plain object.
+  return name && name !== 'Object' ? name : 'Root'
+}
+
+function warnMismatch(hostComponent, path, message) {
+  console.warn(
+    `[hydration] Mismatch in ${componentName(hostComponent)} at "${path.join(' > ')}": ${message}`
+  )
+}
@@ -1,4 +1,19 @@
 export { createApp } from './app.js'
+export { defineAsyncComponent } from './async-component.js'
 export { defineComponent } from './component.js'
-export { DOM_TYPES, h, hFragment, hSlot, hString } from './h.js'
-export { nextTick } from './scheduler.js'
+export {
+  DOM_TYPES,
+  h,
+  hFragment,
+  hKeepAlive,
+  hPortal,
+  hSlot,
+  hSlotContent,
+  hString,
+  hTransition,
+  hTransitionGroup,
+} from './h.js'
+export { createRouter } from './router.js'
+export { RouterLink, RouterOutlet } from './router-components.js'
+export { renderToString } from './render-to-string.js'
+export { flushSync, nextTick } from './scheduler.js'
@@ -0,0 +1,150 @@
+import { DOM_TYPES } from './h'
+import { areNodesEqual } from './nodes-equal'
+import { enqueueJob } from './scheduler'
+
+/**
+ * @typedef KeepAliveOptions
+ * @type {object}
+ * @property {number} [max] - The maximum number of cached components. When it's exceeded, the least recently active component is unmounted. At least 1, and unlimited by default.
+ * @property {(string|RegExp|Array<string|RegExp>)} [include] - The names of the components to cache. All the components are cached by default.
+ * @property {(string|RegExp|Array<string|RegExp>)} [exclude] - The names of the components not to cache.
+ */
+
+/**
+ * @typedef KeepAliveState
+ * @type {object}
+ * @property {import('./h').VNode[]} cache - The cached component nodes, from the least to the most recently active.
+ * @property {Element} storageEl - The element, outside the document, where the DOM of the inactive components is kept.
+ */
+
+/**
+ * Creates the state of a keep-alive, when it's mounted.
+ *
+ * @returns {KeepAliveState} the empty cache
+ */
+export function createKeepAliveState() {
+  return { cache: [], storageEl: document.createElement('div') }
+}
+
+/**
+ * Returns whether the component is cached, by its name, following the
+ * `include` and `exclude` options.
+ *
+ * @param {import('./h').VNode} vdom the component node
+ * @param {KeepAliveOptions} options the options of the keep-alive
+ * @returns {boolean} whether the component is cached
+ */
+export function shouldCache(vdom, { include = null, exclude = null }) {
+  const { name } = vdom.tag
+
+  if (include != null && !matchesName(include, name)) {
+    return false
+  }
+
+  return exclude == null || !matchesName(exclude, name)
+}
+
+function matchesName(patterns, name) {
+  return [patterns]
+    .flat()
+    .some((pattern) =>
+      pattern instanceof RegExp ? pattern.test(name) : pattern === name
+    )
+}
+
+/**
+ * Removes the cached node of the component, the one with the same constructor
+ * and `key`, from the cache.
+ *
+ * @param {KeepAliveState} state the state of the keep-alive
+ * @param {import('./h').VNode} vdom the component node
+ * @returns {(import('./h').VNode|null)} the cached node, or `null` if it isn't cached
+ */
+export function takeFromCache(state, vdom) {
+  const index = state.cache.findIndex((cached) =>
+    areNodesEqual(cached, vdom)
+  )
+
+  if (index < 0) {
+    return null
+  }
+
+  return state.cache.splice(index, 1)[0]
+}
+
+/**
+ * Adds the component node to the cache, as the most recently active one.
+ * When the cache exceeds its `max` size, the least recently active nodes
+ * are removed from it, and returned, so they can be destroyed.
+ *
+ * @param {KeepAliveState} state the state of the keep-alive
+ * @param {import('./h').VNode} vdom the component node
+ * @param {number} [max] the maximum size of the cache
+ * @returns {import('./h').VNode[]} the evicted nodes
+ */
+export function addToCache(state, vdom, max = Infinity) {
+  state.cache.push(vdom)
+
+  const excess = Math.max(state.cache.length - max, 0)
+  return state.cache.splice(0, excess)
+}
+
+/**
+ * Moves the DOM of the component into the keep-alive's storage element, and
+ * calls the `onDeactivated()` hooks of the component and its descendants, in
+ * the next tick.
+ *
+ * @param {import('./h').VNode} vdom the component node
+ * @param {Element} storageEl the storage element of the keep-alive
+ */
+export function deactivate(vdom, storageEl) {
+  vdom.component.moveBefore(storageEl)
+
+  for (const component of componentTree(vdom.component)) {
+    enqueueJob(() => component.onDeactivated())
+  }
+}
+
+/**
+ * Moves the DOM of the component back into the document, before the reference
+ * node, and calls the `onActivated()` hooks (see `enqueueActivatedHooks()`).
+ *
+ * @param {import('./h').VNode} vdom the component node
+ * @param {Element} parentEl the element where the component is inserted
+ * @param {(Node|null)} refNode the node before which the component is inserted
+ */
+export function activate(vdom, parentEl, refNode) {
+  vdom.component.moveBefore(parentEl, refNode)
+  enqueueActivatedHooks(vdom)
+}
+
+/**
+ * Calls the `onActivated()` hooks of the component and its descendants, in the
+ * next tick. The children's hooks are called before their parent's.
+ *
+ * @param {import('./h').VNode} vdom the component node
+ */
+export function enqueueActivatedHooks(vdom) {
+  for (const component of componentTree(vdom.component)) {
+    enqueueJob(() => component.onActivated())
+  }
+}
+
+/**
+ * Returns the component and its descendants, the children before their parent.
+ */
+function componentTree(component) {
+  return [...childComponents(component.vdom), component]
+}
+
+function childComponents(vdom) {
+  if (vdom == null) {
+    return []
+  }
+
+  if (vdom.type === DOM_TYPES.COMPONENT) {
+    return componentTree(vdom.component)
+  }
+
+  return (vdom.children ?? []).flatMap(childComponents)
+}
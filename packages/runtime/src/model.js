@@ -0,0 +1,225 @@
+import { DOM_TYPES } from './h'
+import { toRaw } from './reactivity'
+import { traverseDFS } from './traverse-dom'
+
+/**
+ * @typedef ModelOptions
+ * @type {object}
+ * @property {string} path - The path of the bound value in the component's state, like `'email'` or `'address.city'`.
+ * @property {boolean} [lazy] - Whether to update the state when the input's `change` event fires, instead of on every `input` event.
+ * @property {boolean} [number] - Whether to convert the value to a number, if it can be parsed as one.
+ * @property {boolean} [trim] - Whether to trim the whitespace around the value.
+ */
+
+/**
+ * The elements that can have a `model` prop.
+ */
+const MODEL_TAGS = new Set(['input', 'select', 'textarea'])
+
+/**
+ * Replaces the `model` props in the virtual DOM tree rendered by a component
+ * with the props and event listeners that bind the elements, or components, to
+ * a value in the component's state. The `model` is the path of the value in
+ * the state, or the path with modifiers (see `ModelOptions`).
+ *
+ * - Text inputs and `<textarea>` elements set their `value`, and update the
+ *   state on `input` (on `change` with the `lazy` modifier).
+ * - Checkboxes set their `checked` property. Bound to an array, a checkbox
+ *   adds or removes its `value` from the array.
+ * - Radio buttons are checked when their `value` is the bound value.
+ * - `<select>` elements select the options with the bound value, or values in
+ *   an array if the `<select>` is `multiple`, and update the state on `change`.
+ * - Components get the bound value as the `modelValue` prop, and update the
+ *   state when they emit the `update:modelValue` event.
+ *
+ * The event listeners in the `on` prop for the same event are called after the
+ * state is updated.
+ *
+ * @param {import('./h').VNode} vdom the virtual DOM tree rendered by the component
+ * @param {import('./component').Component} component the component whose state the models are bound to
+ */
+export function resolveModels(vdom, component) {
+  traverseDFS(vdom, (node) => {
+    if (node.props?.model == null) {
+      return
+    }
+
+    const { model, ...props } = node.props
+    const options = typeof model === 'string' ? { path: model } : model
+    const binding = {
+      get: () => readPath(component.state, options.path),
+      set: (value) => writePath(component, options.path, value),
+      cast: (value) => castValue(value, options),
+    }
+
+    node.props =
+      node.type === DOM_TYPES.COMPONENT
+        ? bindComponent(props, binding)
+        : bindElement(node, props, binding, options)
+  })
+}
+
+function bindComponent(props, { get, set, cast }) {
+  return withListener(
+    { ...props, modelValue: get() },
+    'update:modelValue',
+    (value) => set(cast(value))
+  )
+}
+
+function bindElement(vdom, props, { get, set, cast }, { lazy = false }) {
+  const { tag } = vdom
+
+  if (!MODEL_TAGS.has(tag)) {
+    throw new Error(
+      `[model] The model prop can only be used in <input>, <select> and <textarea> elements, and in components, but was used in <${tag}>`
+    )
+  }
+
+  if (tag === 'select') {
+    const isMultiple = Boolean(props.multiple)
+    const selected = isMultiple ? (get() ?? []) : [get()]
+    markSelectedOptions(vdom, (option) =>
+      selected.some((value) => Object.is(value, cast(optionValue(option))))
+    )
+
+    return withListener(props, 'change', (event) => {
+      const values = Array.from(event.target.selectedOptions, (option) =>
+        cast(option.value)
+      )
+      set(isMultiple ? values : values[0])
+    })
+  }
+
+  if (tag === 'input' && props.type === 'checkbox') {
+    const value = props.value ?? 'on'
+    const isBoundToArray = Array.isArray(get())
+    const checked = isBoundToArray
+      ? get().some((item) => Object.is(item, value))
+      : Boolean(get())
+
+    return withListener({ ...props, checked }, 'change', (event) => {
+      if (!isBoundToArray) {
+        set(event.target.checked)
+        return
+      }
+
+      // Read again, as the state may have changed since the render.
+      const items = get().filter((item) => !Object.is(item, value))
+      set(event.target.checked ? [...items, value] : items)
+    })
+  }
+
+  if (tag === 'input' && props.type === 'radio') {
+    const checked = Object.is(get(), cast(props.value))
+
+    return withListener({ ...props, checked }, 'change', () =>
+      set(cast(props.value))
+    )
+  }
+
+  // The value the user types is compared with the state after the cast.
+  vdom.modelCast = cast
+
+  return withListener(
+    { ...props, value: get() ?? '' },
+    lazy ? 'change' : 'input',
+    (event) => set(cast(event.target.value))
+  )
+}
+
+/**
+ * Adds the model's listener to the props, calling the listener in the `on`
+ * prop for the same event after it.
+ */
+function withListener(props, eventName, modelListener) {
+  const { on = {} } = props
+  const listener = on[eventName]
+
+  if (listener == null) {
+    return { ...props, on: { ...on, [eventName]: modelListener } }
+  }
+
+  const handler =
+    typeof listener === 'function' ? listener : listener.handler
+  function bothHandlers(...args) {
+    modelListener(...args)
+    return handler.apply(this, args)
+  }
+
+  return {
+    ...props,
+    on: {
+      ...on,
+      [eventName]:
+        typeof listener === 'function'
+          ? bothHandlers
+          : { ...listener, handler: bothHandlers },
+    },
+  }
+}
+
+function markSelectedOptions(vdom, isSelected) {
+  traverseDFS(vdom, (node) => {
+    if (node.type === DOM_TYPES.ELEMENT && node.tag === 'option') {
+      node.props = { ...node.props, selected: isSelected(node) }
+    }
+  })
+}
+
+/**
+ * The value of an `<option>` is its text when it doesn't have a `value`.
+ */
+function optionValue(option) {
+  if (option.props.value != null) {
+    return option.props.value
+  }
+
+  return option.children
+    .filter((child) => child.type === DOM_TYPES.TEXT)
+    .map((child) => child.value)
+    .join('')
+}
+
+function castValue(value, { number = false, trim = false }) {
+  if (typeof value !== 'string') {
+    return value
+  }
+
+  const trimmed = trim ? value.trim() : value
+
+  if (number) {
+    const parsed = parseFloat(trimmed)
+    return Number.isNaN(parsed) ? trimmed : parsed
+  }
+
+  return trimmed
+}
+
+function readPath(state, path) {
+  return path.split('.').reduce((obj, key) => obj?.[key], state)
+}
+
+/**
+ * Updates the value at the path with `updateState()`, copying the objects
+ * along the path instead of mutating them.
+ */
+function writePath(component, path, value) {
+  const [key, ...keys] = path.split('.')
+  component.updateState({
+    [key]: copyWith(component.state[key], keys, value),
+  })
+}
+
+function copyWith(obj, keys, value) {
+  if (keys.length === 0) {
+    return value
+  }
+
+  const [key, ...rest] = keys
+  const raw = toRaw(obj)
+  const copy = Array.isArray(raw) ? [...raw] : { ...raw }
+  copy[key] = copyWith(raw?.[key], rest, value)
+
+  return copy
+}
@@ -1,7 +1,15 @@
 import { setAttributes } from './attributes'
 import { addEventListeners } from './events'
 import { DOM_TYPES } from './h'
+import { elementNamespace, HTML_NAMESPACE } from './namespaces'
+import {
+  addToCache,
+  createKeepAliveState,
+  enqueueActivatedHooks,
+  shouldCache,
+} from './keep-alive'
 import { enqueueJob } from './scheduler'
+import { enter, transitionElement } from './transition'
 import { extractPropsAndEvents } from './utils/props'
 
 /**
@@ -46,6 +54,21 @@ export function mountDOM(vdom, parentEl, index, hostComponent = null) {
       break
     }
 
+    case DOM_TYPES.PORTAL: {
+      createPortalNodes(vdom, parentEl, index, hostComponent)
+      break
+    }
+
+    case DOM_TYPES.TRANSITION: {
+      createTransitionNodes(vdom, parentEl, index, hostComponent)
+      break
+    }
+
+    case DOM_TYPES.KEEP_ALIVE: {
+      createKeepAliveNodes(vdom, parentEl, index, hostComponent)
+      break
+    }
+
     default: {
       throw new Error(`Can't mount DOM of type: ${vdom.type}`)
     }
@@ -79,9 +102,14 @@ function createTextNode(vdom, parentEl, index) {
  * Creates the HTML element for a virtual DOM element node and its children recursively.
  * The created `Element` is added to the `el` property of the vdom.
  *
+ * Inside an `<svg>` or `<math>` element, the elements are created in the SVG or
+ * MathML namespace (see `elementNamespace()`).
+ *
  * If the vdom includes event listeners, these are added to the vdom object, under the
  * `listeners` property.
  *
+ * The children of a transition group with the `appear` option run their enter transition.
+ *
  * @param {import('./h').ElementVNode} vdom the virtual DOM node of type "element"
  * @param {Element} parentEl the host element to mount the virtual DOM node to
  * @param {number} [index] the index at the parent element to mount the virtual DOM node to
@@ -90,12 +118,23 @@ function createTextNode(vdom, parentEl, index) {
 function createElementNode(vdom, parentEl, index, hostComponent) {
   const { tag, children } = vdom
 
-  const element = document.createElement(tag)
+  const namespace = elementNamespace(tag, parentEl)
+  const element =
+    namespace === HTML_NAMESPACE
+      ? document.createElement(tag)
+      : document.createElementNS(namespace, tag)
   addProps(element, vdom, hostComponent)
   vdom.el = element
 
   children.forEach((child) => mountDOM(child, element, null, hostComponent))
   insert(element, parentEl, index)
+
+  if (vdom.transitionGroup?.appear) {
+    children
+      .map(transitionElement)
+      .filter(Boolean)
+      .forEach((el) => enter(el, vdom.transitionGroup))
+  }
 }
 
 /**
@@ -128,20 +167,135 @@ function createFragmentNodes(vdom, parentEl, index, hostComponent) {
   for (const child of children) {
     mountDOM(child, parentEl, index, hostComponent)
 
-    if (index == null) {
-      continue
+    if (index != null) {
+      index += insertedNodesCount(child)
     }
+  }
+}
 
-    switch (child.type) {
-      case DOM_TYPES.FRAGMENT:
-        index += child.children.length
-        break
-      case DOM_TYPES.COMPONENT:
-        index += child.component.elements.length
-        break
-      default:
-        index++
+/**
+ * Returns the number of DOM nodes a mounted virtual node inserted into its
+ * parent element, so its next sibling is inserted after them. A transition or
+ * keep-alive inserts the nodes of its child, which can be a component that
+ * renders a fragment, or an empty text node if it has no child.
+ *
+ * @param {import('./h').VNode} vdom the mounted virtual node
+ * @returns {number} the number of inserted DOM nodes
+ */
+function insertedNodesCount(vdom) {
+  switch (vdom.type) {
+    case DOM_TYPES.FRAGMENT:
+      return vdom.children.reduce(
+        (count, child) => count + insertedNodesCount(child),
+        0
+      )
+    case DOM_TYPES.COMPONENT:
+      return vdom.component.elements.length
+    case DOM_TYPES.TRANSITION:
+    case DOM_TYPES.KEEP_ALIVE: {
+      const [child] = vdom.children
+      return child ? insertedNodesCount(child) : 1
     }
+    default:
+      return 1
+  }
+}
+
+/**
+ * Mounts the children of a virtual DOM portal node into its target element.
+ *
+ * An empty text node is inserted in the parent element, where the portal is in
+ * the tree, so the portal can be moved and replaced like any other node. Another
+ * empty text node, the `anchor`, marks where the portal's children start in the
+ * target element, which can have other children.
+ *
+ * @param {import('./h').PortalVNode} vdom the virtual DOM node of type "portal"
+ * @param {Element} parentEl the host element to mount the virtual DOM node to
+ * @param {number} [index] the index at the parent element to mount the virtual DOM node to
+ * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
+ */
+function createPortalNodes(vdom, parentEl, index, hostComponent) {
+  const { target, children } = vdom
+  const targetEl =
+    typeof target === 'string' ? document.querySelector(target) : target
+
+  if (targetEl == null) {
+    throw new Error(`[mountDOM] Portal target not found: ${target}`)
+  }
+
+  vdom.el = document.createTextNode('')
+  vdom.targetEl = targetEl
+  vdom.anchor = document.createTextNode('')
+
+  insert(vdom.el, parentEl, index)
+  targetEl.append(vdom.anchor)
+  // The events of the children don't reach the application's root element.
+  const delegator = hostComponent?.appContext?.eventDelegator
+  if (delegator) {
+    delegator.addRoot(targetEl)
+    vdom.delegator = delegator
+  }
+
+  children.forEach((child) =>
+    mountDOM(child, targetEl, null, hostComponent)
+  )
+}
+
+/**
+ * Mounts the child of a virtual DOM transition node, running its enter transition
+ * if the transition's `appear` option is set. A transition without a child mounts
+ * an empty text node instead, which marks where the child is mounted when it appears.
+ *
+ * @param {import('./h').TransitionVNode} vdom the virtual DOM node of type "transition"
+ * @param {Element} parentEl the host element to mount the virtual DOM node to
+ * @param {number} [index] the index at the parent element to mount the virtual DOM node to
+ * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
+ */
+function createTransitionNodes(vdom, parentEl, index, hostComponent) {
+  const [child] = vdom.children
+  vdom.state = { leaving: null }
+
+  if (child == null) {
+    vdom.el = document.createTextNode('')
+    insert(vdom.el, parentEl, index)
+    return
+  }
+
+  mountDOM(child, parentEl, index, hostComponent)
+  vdom.el = child.el
+
+  const el = transitionElement(child)
+  if (vdom.options.appear && el) {
+    enter(el, vdom.options)
+  }
+}
+
+/**
+ * Creates the nodes of a keep-alive: its active component, which is added to
+ * the cache, or an empty text node marking its position if it has no child.
+ * The `el` of the keep-alive is the first DOM node.
+ *
+ * @param {import('./h').KeepAliveVNode} vdom the virtual DOM node of type "keep-alive"
+ * @param {Element} parentEl the host element to mount the virtual DOM node to
+ * @param {number} [index] the index at the parent element to mount the virtual DOM node to
+ * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
+ */
+function createKeepAliveNodes(vdom, parentEl, index, hostComponent) {
+  const [child] = vdom.children
+  vdom.state = createKeepAliveState()
+
+  if (child == null) {
+    vdom.el = document.createTextNode('')
+    insert(vdom.el, parentEl, index)
+    return
+  }
+
+  mountDOM(child, parentEl, index, hostComponent)
+  vdom.el = child.el
+
+  if (shouldCache(child, vdom.options)) {
+    addToCache(vdom.state, child)
+    enqueueActivatedHooks(child)
   }
 }
 
@@ -167,6 +321,7 @@ function createComponentNode(vdom, parentEl, index, hostComponent) {
   const { props, events } = extractPropsAndEvents(vdom)
   const component = new Component(props, events, hostComponent)
   component.setExternalContent(children)
+  component.setAppContext(hostComponent?.appContext ?? {})
 
   component.mount(parentEl, index)
   vdom.component = component
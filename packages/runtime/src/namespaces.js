@@ -0,0 +1,60 @@
+export const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml'
+export const SVG_NAMESPACE = 'http://www.w3.org/2000/svg'
+export const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML'
+
+/**
+ * The namespaces of the prefixed attributes, like `xlink:href`.
+ */
+const ATTRIBUTE_NAMESPACES = {
+  xlink: 'http://www.w3.org/1999/xlink',
+  xml: 'http://www.w3.org/XML/1998/namespace',
+  xmlns: 'http://www.w3.org/2000/xmlns/',
+}
+
+/**
+ * Returns the namespace of an element created inside the parent element.
+ *
+ * The `<svg>` and `<math>` elements start their namespace, which their
+ * descendants inherit from the parent element. The children of an SVG
+ * `<foreignObject>` are HTML elements again.
+ *
+ * @param {string} tag the tag of the element
+ * @param {Element} parentEl the element the element is mounted in
+ * @returns {string} the namespace of the element
+ */
+export function elementNamespace(tag, parentEl) {
+  if (tag === 'svg') {
+    return SVG_NAMESPACE
+  }
+
+  if (tag === 'math') {
+    return MATHML_NAMESPACE
+  }
+
+  const parentNamespace = parentEl.namespaceURI
+
+  if (
+    parentNamespace === SVG_NAMESPACE &&
+    parentEl.localName !== 'foreignObject'
+  ) {
+    return SVG_NAMESPACE
+  }
+
+  if (parentNamespace === MATHML_NAMESPACE) {
+    return MATHML_NAMESPACE
+  }
+
+  return HTML_NAMESPACE
+}
+
+/**
+ * Returns the namespace of a prefixed attribute name, like `xlink:href`, or
+ * `null` if the attribute has no namespace.
+ *
+ * @param {string} name the name of the attribute
+ * @returns {(string|null)} the namespace of the attribute
+ */
+export function attributeNamespace(name) {
+  const [prefix, localName] = name.split(':')
+  return localName ? (ATTRIBUTE_NAMESPACES[prefix] ?? null) : null
+}
@@ -6,6 +6,7 @@ import { DOM_TYPES } from './h'
  * - If the two nodes are of different types, they are not equal.
  * - Element nodes are equal if their tag is equal.
  * - Components are equal if the component instance is the same and their `key` are equal.
+ * - Portals are equal if their target is the same.
  * - All other nodes are equal.
  *
  * A `key` attribute is necessary for the component nodes to be patched correctly
@@ -88,5 +89,9 @@ export function areNodesEqual(nodeOne, nodeTwo) {
     return componentOne === componentTwo && keyOne === keyTwo
   }
 
+  if (nodeOne.type === DOM_TYPES.PORTAL) {
+    return nodeOne.target === nodeTwo.target
+  }
+
   return true
 }
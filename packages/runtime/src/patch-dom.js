@@ -4,11 +4,27 @@ import {
   setAttribute,
   setStyle,
 } from './attributes'
-import { destroyDOM } from './destroy-dom'
-import { addEventListener } from './events'
+import { destroyDOM, destroyDOMAfterLeave } from './destroy-dom'
+import { addEventListener, removeEventListener } from './events'
 import { DOM_TYPES, extractChildren } from './h'
+import {
+  activate,
+  addToCache,
+  deactivate,
+  enqueueActivatedHooks,
+  shouldCache,
+  takeFromCache,
+} from './keep-alive'
 import { mountDOM } from './mount-dom'
 import { areNodesEqual } from './nodes-equal'
+import {
+  cancelTransition,
+  enter,
+  finishTransition,
+  isLeaving,
+  move,
+  transitionElement,
+} from './transition'
 import {
   arraysDiff,
   arraysDiffSequence,
@@ -38,7 +54,8 @@ import { isNotBlankOrEmptyString } from './utils/strings'
  */
 export function patchDOM(oldVdom, newVdom, parentEl, hostComponent = null) {
   if (!areNodesEqual(oldVdom, newVdom)) {
-    const index = findIndexInParent(parentEl, oldVdom.el)
+    const [firstEl] = domNodesOf(oldVdom)
+    const index = findIndexInParent(parentEl, firstEl)
     destroyDOM(oldVdom)
     mountDOM(newVdom, parentEl, index, hostComponent)
 
@@ -62,6 +79,23 @@ export function patchDOM(oldVdom, newVdom, parentEl, hostComponent = null) {
       patchComponent(oldVdom, newVdom)
       break
     }
+
+    case DOM_TYPES.PORTAL: {
+      newVdom.targetEl = oldVdom.targetEl
+      newVdom.anchor = oldVdom.anchor
+      newVdom.delegator = oldVdom.delegator
+      break
+    }
+
+    case DOM_TYPES.TRANSITION: {
+      patchTransition(oldVdom, newVdom, parentEl, hostComponent)
+      return newVdom
+    }
+
+    case DOM_TYPES.KEEP_ALIVE: {
+      patchKeepAlive(oldVdom, newVdom, parentEl, hostComponent)
+      return newVdom
+    }
   }
 
   patchChildren(oldVdom, newVdom, hostComponent)
@@ -86,6 +120,174 @@ function findIndexInParent(parentEl, el) {
   return index
 }
 
+/**
+ * Returns the DOM nodes of a mounted virtual node. The nodes of a component can
+ * change after it's mounted, like when an async component replaces its
+ * placeholder, so they're read from the component instead of the `el`
+ * property, which might be outdated.
+ *
+ * @param {import('./h').VNode} vdom the mounted virtual node
+ * @returns {Node[]} the DOM nodes
+ */
+function domNodesOf(vdom) {
+  if (vdom.type === DOM_TYPES.COMPONENT) {
+    return vdom.component.elements
+  }
+
+  const hasChild =
+    vdom.type === DOM_TYPES.TRANSITION || vdom.type === DOM_TYPES.KEEP_ALIVE
+
+  if (hasChild && vdom.children.length > 0) {
+    return domNodesOf(vdom.children[0])
+  }
+
+  return [vdom.el]
+}
+
+/**
+ * Patches a transition virtual node.
+ *
+ * When the child is patched with an equal one, there's no transition. Otherwise,
+ * the new child (or the empty text node, if there's no new child) is mounted
+ * where the old child is, running its enter transition, and the old child runs
+ * its leave transition before being destroyed. If the child leaving is equal
+ * to the new child, its leave transition is cancelled, and it's patched and
+ * enters again. The rest of the leaving children are destroyed right away.
+ *
+ * @param {import('./h').TransitionVNode} oldVdom the old virtual node
+ * @param {import('./h').TransitionVNode} newVdom the new virtual node
+ * @param {Element} parentEl the element where the child is mounted
+ * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
+ */
+function patchTransition(oldVdom, newVdom, parentEl, hostComponent) {
+  const [oldChild] = oldVdom.children
+  const [newChild] = newVdom.children
+  const { options } = newVdom
+  const state = (newVdom.state = oldVdom.state)
+
+  if (oldChild == null && newChild == null) {
+    return
+  }
+
+  if (oldChild && newChild && areNodesEqual(oldChild, newChild)) {
+    patchDOM(oldChild, newChild, parentEl, hostComponent)
+    newVdom.el = newChild.el
+    return
+  }
+
+  const { leaving } = state
+
+  if (oldChild == null && leaving && areNodesEqual(leaving, newChild)) {
+    cancelTransition(transitionElement(leaving))
+    state.leaving = null
+    oldVdom.el.remove()
+
+    patchDOM(leaving, newChild, parentEl, hostComponent)
+    newVdom.el = newChild.el
+    enter(transitionElement(newChild), options)
+    return
+  }
+
+  if (leaving) {
+    finishTransition(transitionElement(leaving))
+  }
+
+  const [oldEl] = oldChild ? domNodesOf(oldChild) : [oldVdom.el]
+
+  if (newChild) {
+    const index = findIndexInParent(parentEl, oldEl)
+    mountDOM(newChild, parentEl, index, hostComponent)
+    newVdom.el = newChild.el
+
+    const el = transitionElement(newChild)
+    if (el) enter(el, options)
+  } else {
+    newVdom.el = document.createTextNode('')
+    parentEl.insertBefore(newVdom.el, oldEl)
+  }
+
+  if (oldChild == null) {
+    oldVdom.el.remove()
+    return
+  }
+
+  state.leaving = oldChild
+  destroyDOMAfterLeave(oldChild, options, () => {
+    if (state.leaving === oldChild) {
+      state.leaving = null
+    }
+  })
+}
+
+/**
+ * Patches a keep-alive virtual node.
+ *
+ * When the active component is patched with an equal one, it's patched in place.
+ * Otherwise, the old component is detached into the keep-alive's storage element
+ * if it's cached, or destroyed if it isn't. Then, the new component is taken
+ * from the cache and its DOM inserted where the old one was, and patched with
+ * the new props, or mounted if it isn't cached. The components evicted from the
+ * cache, when its `max` size is exceeded, are destroyed.
+ *
+ * @param {import('./h').KeepAliveVNode} oldVdom the old virtual node
+ * @param {import('./h').KeepAliveVNode} newVdom the new virtual node
+ * @param {Element} parentEl the element where the active component is mounted
+ * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
+ */
+function patchKeepAlive(oldVdom, newVdom, parentEl, hostComponent) {
+  const [oldChild] = oldVdom.children
+  const [newChild] = newVdom.children
+  const { options } = newVdom
+  const state = (newVdom.state = oldVdom.state)
+
+  if (oldChild == null && newChild == null) {
+    return
+  }
+
+  if (oldChild && newChild && areNodesEqual(oldChild, newChild)) {
+    patchDOM(oldChild, newChild, parentEl, hostComponent)
+    newVdom.el = newChild.el
+
+    const index = state.cache.indexOf(oldChild)
+    if (index >= 0) state.cache[index] = newChild
+
+    return
+  }
+
+  const [oldEl] = oldChild ? domNodesOf(oldChild) : [oldVdom.el]
+  const index = findIndexInParent(parentEl, oldEl)
+
+  if (oldChild == null) {
+    oldVdom.el.remove()
+  } else if (state.cache.includes(oldChild)) {
+    deactivate(oldChild, state.storageEl)
+  } else {
+    destroyDOM(oldChild)
+  }
+
+  if (newChild == null) {
+    newVdom.el = document.createTextNode('')
+    parentEl.insertBefore(newVdom.el, parentEl.childNodes[index] ?? null)
+    return
+  }
+
+  const cached = takeFromCache(state, newChild)
+
+  if (cached) {
+    activate(cached, parentEl, parentEl.childNodes[index] ?? null)
+    patchDOM(cached, newChild, parentEl, hostComponent)
+  } else {
+    mountDOM(newChild, parentEl, index, hostComponent)
+  }
+
+  newVdom.el = newChild.el
+
+  if (shouldCache(newChild, options)) {
+    if (!cached) enqueueActivatedHooks(newChild)
+    addToCache(state, newChild, options.max).forEach(destroyDOM)
+  }
+}
+
 /**
  * Patches a text virtual node.
  *
@@ -131,7 +333,11 @@ function patchElement(oldVdom, newVdom, hostComponent) {
   } = newVdom.props
   const { listeners: oldListeners } = oldVdom
 
-  patchAttrs(el, oldAttrs, newAttrs)
+  // The refs are collected by the host component, they aren't attributes.
+  delete oldAttrs.ref
+  delete newAttrs.ref
+
+  patchAttrs(el, oldAttrs, newAttrs, newVdom.modelCast)
   patchClasses(el, oldClass, newClass)
   patchStyles(el, oldStyle, newStyle)
   newVdom.listeners = patchEvents(
@@ -143,25 +349,51 @@ function patchElement(oldVdom, newVdom, hostComponent) {
   )
 }
 
+/**
+ * The properties of the form elements that change when the user interacts with
+ * them, so they can be out of sync with the virtual node.
+ */
+const LIVE_PROPERTIES = ['value', 'checked', 'selected']
+
 /**
  * Patches the attributes of an element virtual node.
  *
  * The attributes are patched by removing the old attributes and setting the value
- * of the new and modified attributes.
+ * of the new and modified attributes. The `value`, `checked` and `selected`
+ * properties are compared with the element's current ones, which the user may
+ * have changed, and set if they differ from the new virtual node.
+ *
+ * The value of an element bound with `model` is compared after casting it like
+ * the model does, so the input isn't rewritten while the user types: with the
+ * `trim` modifier, `"hi "` is in sync with the state's `"hi"`.
  *
  * @param {Element} el the element to patch
  * @param {Object.<string, string>} oldAttrs the attributes of the old virtual node
  * @param {Object.<string, string>} newAttrs the attributes of the new virtual node
+ * @param {(value: string) => Any} [castValue] casts the element's value like its model
  */
-function patchAttrs(el, oldAttrs, newAttrs) {
+function patchAttrs(el, oldAttrs, newAttrs, castValue = null) {
   const { added, removed, updated } = objectsDiff(oldAttrs, newAttrs)
+  const isLive = (attr) =>
+    LIVE_PROPERTIES.includes(attr) && attr in el && newAttrs[attr] != null
 
   for (const attr of removed) {
     removeAttribute(el, attr)
   }
 
   for (const attr of added.concat(updated)) {
-    setAttribute(el, attr, newAttrs[attr])
+    if (!isLive(attr)) {
+      setAttribute(el, attr, newAttrs[attr])
+    }
+  }
+
+  for (const prop of LIVE_PROPERTIES.filter(isLive)) {
+    const current =
+      prop === 'value' && castValue ? castValue(el.value) : el[prop]
+
+    if (String(current) !== String(newAttrs[prop])) {
+      setAttribute(el, prop, newAttrs[prop])
+    }
   }
 }
 
@@ -230,7 +462,8 @@ function patchStyles(el, oldStyle = {}, newStyle = {}) {
  *
  * The events are patched by removing the event listeners that were removed or
  * modified in the new virtual node, and by adding the added and modified event
- * listeners.
+ * listeners. A listener passed with options is modified when its handler or
+ * any of its options change, so it's added again with the new options.
  *
  * @param {Element} el the element to patch
  * @param {Object.<string, Function>} oldListeners the listeners added to the DOM
@@ -238,7 +471,7 @@ function patchStyles(el, oldStyle = {}, newStyle = {}) {
  * @param {Object.<string, Function>} newEvents the events of the new virtual node
  * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
  *
- * @returns {Object.<string, Function>} the listeners that were added
+ * @returns {Object.<string, Function>} the listeners of the element, the unchanged and the added ones
  */
 function patchEvents(
   el,
@@ -248,24 +481,46 @@ function patchEvents(
   hostComponent
 ) {
   const { removed, added, updated } = objectsDiff(oldEvents, newEvents)
+  const modified = updated.filter(
+    (eventName) =>
+      !areListenersEqual(oldEvents[eventName], newEvents[eventName])
+  )
 
-  for (const eventName of removed.concat(updated)) {
-    el.removeEventListener(eventName, oldListeners[eventName])
+  for (const eventName of removed.concat(modified)) {
+    removeEventListener(oldListeners[eventName], el)
   }
 
-  const addedListeners = {}
+  const listeners = {}
 
-  for (const eventName of added.concat(updated)) {
-    const listener = addEventListener(
-      eventName,
-      newEvents[eventName],
-      el,
-      hostComponent
-    )
-    addedListeners[eventName] = listener
+  for (const eventName in newEvents) {
+    const isNew = added.includes(eventName) || modified.includes(eventName)
+
+    listeners[eventName] = isNew
+      ? addEventListener(eventName, newEvents[eventName], el, hostComponent)
+      : oldListeners[eventName]
   }
 
-  return addedListeners
+  return listeners
+}
+
+/**
+ * Listeners passed with options are created inline in the render function, so
+ * they're compared by their handler and options, not by reference.
+ */
+function areListenersEqual(oldListener, newListener) {
+  if (
+    typeof oldListener === 'function' ||
+    typeof newListener === 'function'
+  ) {
+    return oldListener === newListener
+  }
+
+  return (
+    Object.keys(oldListener).length === Object.keys(newListener).length &&
+    Object.keys(oldListener).every((option) =>
+      Object.is(oldListener[option], newListener[option])
+    )
+  )
 }
 
 /**
@@ -273,8 +528,9 @@ function patchEvents(
  *
  * To patch a component, the new props are passed to the component's `updateProps()`.
  * This method is responsible for updating the component's state and re-rendering
- * the component. Calling `updateProps()` will cause call the component's `#patch()`
- * method, which will in turn use the `patchDOM()` function to patch the DOM.
+ * the component. Calling `updateProps()` enqueues the component's `#patch()`
+ * method, which runs after the parent component's patch, in the same flush, and
+ * uses the `patchDOM()` function to patch the DOM.
  *
  * @param {import('./h').ElementVNode} oldVdom the old virtual node
  * @param {import('./h').ElementVNode} newVdom the new virtual node
@@ -285,10 +541,16 @@ function patchComponent(oldVdom, newVdom) {
   const { props } = extractPropsAndEvents(newVdom)
 
   component.setExternalContent(children)
-  component.updateProps(props)
-
   newVdom.component = component
   newVdom.el = component.firstElement
+
+  // The component is patched when the updates are flushed, which can change
+  // its first element.
+  component.updateProps(props).then(() => {
+    if (component.isMounted) {
+      newVdom.el = component.firstElement
+    }
+  })
 }
 
 /**
@@ -312,6 +574,17 @@ function patchComponent(oldVdom, newVdom) {
  * - `ADD`: the index where the new child is mounted in the DOM needs to be corrected
  * - `MOVE`: the index of the item used as reference in the DOM for the move needs to be corrected
  *
+ * The children of a portal are in its target element, after the portal's anchor, so their
+ * indices are offset by the position of the anchor instead.
+ *
+ * The nodes running their leave transition are skipped when the indices are looked up in
+ * the DOM, as they're no longer part of the virtual DOM (see `childNodeAt()`).
+ *
+ * In a transition group (see `hTransitionGroup()`), the added children run their enter
+ * transition, the removed children run their leave transition before they're destroyed, and
+ * the children whose element changed position run their move transition. To know which
+ * elements moved, their positions are recorded before the operations are applied.
+ *
  * @param {import('./h').VNode} oldVdom The old virtual node
  * @param {import('./h').VNode} newVdom the new virtual node
  * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
@@ -319,36 +592,52 @@ function patchComponent(oldVdom, newVdom) {
 function patchChildren(oldVdom, newVdom, hostComponent) {
   const oldChildren = extractChildren(oldVdom)
   const newChildren = extractChildren(newVdom)
-  const parentEl = oldVdom.el
+  const isPortal = oldVdom.type === DOM_TYPES.PORTAL
+  const parentEl = isPortal ? oldVdom.targetEl : oldVdom.el
 
   const diffSeq = arraysDiffSequence(
     oldChildren,
     newChildren,
     areNodesEqual
   )
+  const group = newVdom.transitionGroup
+  const positions = group ? elementPositions(oldChildren) : null
 
   for (const operation of diffSeq) {
     const { originalIndex, index, item } = operation
-    const offset = hostComponent?.offset ?? 0
+    const offset = isPortal
+      ? portalOffset(oldVdom)
+      : (hostComponent?.offset ?? 0)
 
     switch (operation.op) {
       case ARRAY_DIFF_OP.ADD: {
-        mountDOM(item, parentEl, index + offset, hostComponent)
+        const nodeAtIndex = childNodeAt(parentEl, index + offset)
+        const domIndex = findIndexInParent(parentEl, nodeAtIndex)
+        mountDOM(item, parentEl, domIndex, hostComponent)
+
+        const el = group && transitionElement(item)
+        if (el) enter(el, group)
+
         break
       }
 
       case ARRAY_DIFF_OP.REMOVE: {
-        destroyDOM(item)
+        if (group) {
+          destroyDOMAfterLeave(item, group)
+        } else {
+          destroyDOM(item)
+        }
         break
       }
 
       case ARRAY_DIFF_OP.MOVE: {
         const oldChild = oldChildren[originalIndex]
         const newChild = newChildren[index]
-        const el = oldChild.el
-        const elAtTargetIndex = parentEl.childNodes[index + offset]
+        const elAtTargetIndex = childNodeAt(parentEl, index + offset)
 
-        parentEl.insertBefore(el, elAtTargetIndex)
+        for (const el of domNodesOf(oldChild)) {
+          parentEl.insertBefore(el, elAtTargetIndex)
+        }
         patchDOM(oldChild, newChild, parentEl, hostComponent)
 
         break
@@ -365,4 +654,76 @@ function patchChildren(oldVdom, newVdom, hostComponent) {
       }
     }
   }
+
+  if (group) {
+    moveElements(newChildren, positions, group)
+  }
+}
+
+/**
+ * Returns the child node of the parent element at the given index, skipping
+ * the nodes running their leave transition, or `null` if the index is past
+ * the last child.
+ *
+ * @param {Element} parentEl the parent element
+ * @param {number} index the index of the child, without the leaving nodes
+ * @returns {(Node|null)} the child node
+ */
+function childNodeAt(parentEl, index) {
+  let remaining = index
+
+  for (const node of parentEl.childNodes) {
+    if (isLeaving(node)) continue
+    if (remaining === 0) return node
+    remaining--
+  }
+
+  return null
+}
+
+/**
+ * Records the position of the children's elements, before they're patched.
+ *
+ * @param {import('./h').VNode[]} children the mounted children
+ * @returns {Map<Element, DOMRect>} the bounding rectangle of each element
+ */
+function elementPositions(children) {
+  const positions = new Map()
+
+  for (const child of children) {
+    const el = transitionElement(child)
+    if (el) positions.set(el, el.getBoundingClientRect())
+  }
+
+  return positions
+}
+
+/**
+ * Runs the move transition of the children's elements that were in the
+ * group before the patch, which might have changed position.
+ *
+ * @param {import('./h').VNode[]} children the patched children
+ * @param {Map<Element, DOMRect>} positions the positions of the elements before the patch
+ * @param {import('./transition').TransitionOptions} options the options of the transition group
+ */
+function moveElements(children, positions, options) {
+  const previousRects = new Map()
+
+  for (const child of children) {
+    const el = transitionElement(child)
+    if (positions.has(el)) previousRects.set(el, positions.get(el))
+  }
+
+  move(previousRects, options)
+}
+
+/**
+ * Returns the index in the target element of the first child of a portal: the
+ * node after the portal's anchor.
+ *
+ * @param {import('./h').PortalVNode} vdom the portal virtual node
+ * @returns {number} the offset of the portal's children
+ */
+function portalOffset({ targetEl, anchor }) {
+  return Array.from(targetEl.childNodes).indexOf(anchor) + 1
 }
@@ -0,0 +1,67 @@
+/**
+ * The values provided by a component, or by the application, to its
+ * descendants, identified by a key (a string or a symbol).
+ *
+ * Descendants that inject a value can subscribe to be notified when the
+ * provided value changes, so they can re-render.
+ */
+export class Provides {
+  #values = new Map()
+  #subscribers = new Map()
+
+  /**
+   * Returns whether a value is provided for the key.
+   *
+   * @param {(string|symbol)} key the key of the value
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.#values.has(key)
+  }
+
+  /**
+   * Returns the value provided for the key.
+   *
+   * @param {(string|symbol)} key the key of the value
+   * @returns {Any}
+   */
+  get(key) {
+    return this.#values.get(key)
+  }
+
+  /**
+   * Provides a value for the key. If there was a different value, the
+   * subscribers of the key are notified.
+   *
+   * @param {(string|symbol)} key the key of the value
+   * @param {Any} value the value to provide
+   */
+  set(key, value) {
+    const hasChanged = this.has(key) && !Object.is(this.get(key), value)
+    this.#values.set(key, value)
+
+    if (hasChanged) {
+      const handlers = Array.from(this.#subscribers.get(key) ?? [])
+      handlers.forEach((handler) => handler(value))
+    }
+  }
+
+  /**
+   * Registers a handler that's called with the new value when the value of the
+   * key changes, and returns a function that un-registers it.
+   *
+   * @param {(string|symbol)} key the key of the value
+   * @param {(value: Any) => void} handler the function to call when the value changes
+   * @returns {() => void} a function that un-registers the handler
+   */
+  subscribe(key, handler) {
+    if (!this.#subscribers.has(key)) {
+      this.#subscribers.set(key, new Set())
+    }
+
+    const handlers = this.#subscribers.get(key)
+    handlers.add(handler)
+
+    return () => handlers.delete(handler)
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * The key that returns the original object from a reactive proxy.
+ */
+const RAW = Symbol('raw')
+
+const COLLECTION_MUTATORS = new Set(['add', 'set', 'delete', 'clear'])
+const COLLECTION_LOOKUPS = new Set(['get', 'has'])
+
+/**
+ * Wraps an object in a deep proxy that calls `onChange()` every time the object,
+ * or any object nested inside it, is mutated. Plain objects, arrays, `Map` and
+ * `Set` are tracked. Other objects, like dates or class instances, are returned
+ * as they are.
+ *
+ * Nested objects are wrapped when they're read, so the values read from a `Map`
+ * with `get()` are reactive, but the ones read by iterating it aren't.
+ *
+ * The same object is always wrapped in the same proxy, so the identity of the
+ * nested objects is preserved between reads.
+ *
+ * @param {object} target the object to track
+ * @param {() => void} onChange the function to call when the object is mutated
+ * @returns {Proxy} the reactive proxy
+ */
+export function reactive(target, onChange) {
+  const proxies = new WeakMap()
+
+  function wrap(value) {
+    if (!isTrackable(value)) {
+      return value
+    }
+
+    if (!proxies.has(value)) {
+      const handler = isCollection(value)
+        ? collectionHandler(wrap, onChange)
+        : objectHandler(wrap, onChange)
+
+      proxies.set(value, new Proxy(value, handler))
+    }
+
+    return proxies.get(value)
+  }
+
+  return wrap(toRaw(target))
+}
+
+/**
+ * Returns the original object of a reactive proxy, or the value itself if it
+ * isn't a proxy.
+ *
+ * @param {Any} value the reactive proxy
+ * @returns {Any} the original object
+ */
+export function toRaw(value) {
+  return value?.[RAW] ?? value
+}
+
+function objectHandler(wrap, onChange) {
+  return {
+    get(target, key, receiver) {
+      if (key === RAW) {
+        return target
+      }
+
+      return wrap(Reflect.get(target, key, receiver))
+    },
+
+    set(target, key, value, receiver) {
+      const oldValue = target[key]
+      const oldLength = Array.isArray(target) ? target.length : null
+      const result = Reflect.set(target, key, toRaw(value), receiver)
+
+      const hasChanged =
+        !Object.is(oldValue, target[key]) ||
+        (oldLength != null && oldLength !== target.length)
+
+      if (hasChanged) {
+        onChange()
+      }
+
+      return result
+    },
+
+    deleteProperty(target, key) {
+      const hadKey = Object.hasOwn(target, key)
+      const result = Reflect.deleteProperty(target, key)
+
+      if (hadKey) {
+        onChange()
+      }
+
+      return result
+    },
+  }
+}
+
+/**
+ * The methods of `Map` and `Set` must be called on the original object, not the
+ * proxy, so they're bound to it. The collection stores the original objects, so
+ * the keys passed to the lookup and mutating methods are unwrapped. The methods
+ * that mutate the collection call `onChange()`.
+ */
+function collectionHandler(wrap, onChange) {
+  return {
+    get(target, key) {
+      if (key === RAW) {
+        return target
+      }
+
+      const value = Reflect.get(target, key, target)
+
+      if (typeof value !== 'function') {
+        return value
+      }
+
+      if (COLLECTION_LOOKUPS.has(key)) {
+        return (lookupKey) => wrap(value.call(target, toRaw(lookupKey)))
+      }
+
+      if (COLLECTION_MUTATORS.has(key)) {
+        return (...args) => {
+          const rawArgs = args.map(toRaw)
+          const sizeBefore = target.size
+          const valueBefore = key === 'set' ? target.get(rawArgs[0]) : null
+          const result = value.apply(target, rawArgs)
+
+          const hasChanged =
+            target.size !== sizeBefore ||
+            (key === 'set' &&
+              !Object.is(valueBefore, target.get(rawArgs[0])))
+
+          if (hasChanged) {
+            onChange()
+          }
+
+          // Chaining methods return the collection, which must be the proxy.
+          return result === target ? wrap(target) : result
+        }
+      }
+
+      return value.bind(target)
+    },
+  }
+}
+
+function isCollection(value) {
+  return value instanceof Map || value instanceof Set
+}
+
+function isTrackable(value) {
+  if (value === null || typeof value !== 'object') {
+    return false
+  }
+
+  const proto = Object.getPrototypeOf(value)
+
+  return (
+    proto === Object.prototype ||
+    proto === null ||
+    Array.isArray(value) ||
+    isCollection(value)
+  )
+}
@@ -0,0 +1,57 @@
+import { DOM_TYPES } from './h'
+
+/**
+ * The suffix of the ref names that collect several elements or components,
+ * typically rendered in a list, into an array.
+ */
+const ARRAY_REF_SUFFIX = '[]'
+
+/**
+ * Collects the refs in the virtual DOM tree of a component: the elements and
+ * components with a `ref` prop. The ref name is the key, and the value is the
+ * mounted element or the component instance.
+ *
+ * When the ref name ends with `[]`, like `items[]`, the elements or components
+ * are collected into an array under the name without the suffix (`items`), in
+ * the order they're in the tree.
+ *
+ * The refs inside the child components aren't collected, as they belong to the
+ * child components.
+ *
+ * @param {import('./h').VNode} vdom the mounted virtual DOM tree of the component
+ * @returns {Object.<string, (Element|import('./component').Component|Array)>} the refs
+ */
+export function collectRefs(vdom) {
+  const refs = {}
+
+  function collect(node) {
+    const ref = node.props?.ref
+
+    if (ref != null) {
+      const value =
+        node.type === DOM_TYPES.COMPONENT ? node.component : node.el
+      addRef(refs, ref, value)
+    }
+
+    if (node.type !== DOM_TYPES.COMPONENT) {
+      node.children?.forEach(collect)
+    }
+  }
+
+  if (vdom != null) {
+    collect(vdom)
+  }
+
+  return refs
+}
+
+function addRef(refs, ref, value) {
+  if (!ref.endsWith(ARRAY_REF_SUFFIX)) {
+    refs[ref] = value
+    return
+  }
+
+  const name = ref.slice(0, -ARRAY_REF_SUFFIX.length)
+  refs[name] ??= []
+  refs[name].push(value)
+}
@@ -0,0 +1,230 @@
+import { DOM_TYPES, h } from './h'
+import { extractPropsAndEvents } from './utils/props'
+
+/**
+ * Elements that can't have children, so they don't have a closing tag.
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Glossary/Void_element}
+ */
+const VOID_ELEMENTS = new Set([
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'source',
+  'track',
+  'wbr',
+])
+
+/**
+ * Some element properties have a different name than the attribute they
+ * reflect. `setAttribute()` assigns the property, but the attribute name is
+ * needed to serialize them.
+ */
+const PROPERTY_TO_ATTRIBUTE = {
+  className: 'class',
+  htmlFor: 'for',
+  tabIndex: 'tabindex',
+  readOnly: 'readonly',
+  maxLength: 'maxlength',
+}
+
+/**
+ * Renders a virtual DOM tree, or a component with the given props, into an HTML
+ * string. It doesn't need the DOM, so it can run on the server.
+ *
+ * Components are instantiated, so their `state()` and `render()` functions are
+ * called and their slots are filled, but they aren't mounted: the lifecycle
+ * hooks, like `onMounted()`, don't run, and event listeners aren't added.
+ *
+ * Text and attribute values are escaped, and the `class` and `style` props are
+ * serialized the same way `setAttributes()` applies them to an element.
+ * Portals aren't rendered, as their target is elsewhere in the document: they're
+ * mounted when the application is hydrated.
+ *
+ * @param {(import('./h').VNode|import('./component').Component)} vdomOrComponent the virtual DOM tree or the component to render
+ * @param {Object.<string, Any>} [props] the component's props, when a component is passed
+ * @returns {string} the HTML
+ */
+export function renderToString(vdomOrComponent, props = {}) {
+  const vdom =
+    typeof vdomOrComponent === 'function'
+      ? h(vdomOrComponent, props)
+      : vdomOrComponent
+
+  return renderNode(vdom, null)
+}
+
+function renderNode(vdom, hostComponent) {
+  switch (vdom.type) {
+    case DOM_TYPES.TEXT: {
+      return escapeHtml(vdom.value)
+    }
+
+    case DOM_TYPES.ELEMENT: {
+      return renderElement(vdom, hostComponent)
+    }
+
+    case DOM_TYPES.FRAGMENT: {
+      return renderChildren(vdom.children, hostComponent)
+    }
+
+    case DOM_TYPES.COMPONENT: {
+      return renderComponent(vdom, hostComponent)
+    }
+
+    case DOM_TYPES.PORTAL: {
+      return ''
+    }
+
+    case DOM_TYPES.TRANSITION:
+    case DOM_TYPES.KEEP_ALIVE: {
+      return renderChildren(vdom.children, hostComponent)
+    }
+
+    default: {
+      throw new Error(`Can't render to string DOM of type: ${vdom.type}`)
+    }
+  }
+}
+
+function renderElement(vdom, hostComponent) {
+  const { tag, children } = vdom
+  const { props } = extractPropsAndEvents(vdom)
+  const { value, ...attrs } = props
+
+  // The value of a <textarea> is its content, not an attribute.
+  if (tag === 'textarea') {
+    const content = value != null ? escapeHtml(String(value)) : ''
+    return `<${tag}${renderAttributes(attrs)}>${content}</${tag}>`
+  }
+
+  const openingTag = `<${tag}${renderAttributes(props)}>`
+
+  if (VOID_ELEMENTS.has(tag)) {
+    return openingTag
+  }
+
+  return `${openingTag}${renderChildren(children, hostComponent)}</${tag}>`
+}
+
+function renderChildren(children, hostComponent) {
+  return children.map((child) => renderNode(child, hostComponent)).join('')
+}
+
+/**
+ * Instantiates the component, the same way `mountDOM()` does, and renders its
+ * view, with the slots filled with the external content.
+ */
+function renderComponent(vdom, hostComponent) {
+  const { tag: Component, children } = vdom
+  const { props, events } = extractPropsAndEvents(vdom)
+  const component = new Component(props, events, hostComponent)
+  component.setExternalContent(children)
+  component.setAppContext(hostComponent?.appContext ?? {})
+
+  return renderNode(component.render(), component)
+}
+
+/**
+ * Serializes the attributes of an element, starting with a space if there
+ * are any.
+ *
+ * @param {Object.<string, Any>} attrs the element's props, without the events
+ * @returns {string} the serialized attributes
+ */
+function renderAttributes(attrs) {
+  const { class: className, style, ...otherAttrs } = attrs
+  const rendered = []
+
+  const classValue = serializeClass(className)
+  if (classValue) {
+    rendered.push(`class="${escapeAttribute(classValue)}"`)
+  }
+
+  const styleValue = serializeStyle(style)
+  if (styleValue) {
+    rendered.push(`style="${escapeAttribute(styleValue)}"`)
+  }
+
+  for (const [name, value] of Object.entries(otherAttrs)) {
+    if (value == null || value === false || typeof value === 'function') {
+      continue
+    }
+
+    const attrName = PROPERTY_TO_ATTRIBUTE[name] ?? name
+
+    if (value === true) {
+      rendered.push(attrName)
+    } else {
+      rendered.push(`${attrName}="${escapeAttribute(String(value))}"`)
+    }
+  }
+
+  return rendered.length > 0 ? ` ${rendered.join(' ')}` : ''
+}
+
+/**
+ * Strings are set as the element's `className`, and arrays are added to the
+ * `classList`, which ignores duplicates.
+ */
+function serializeClass(className) {
+  if (typeof className === 'string') {
+    return className
+  }
+
+  if (Array.isArray(className)) {
+    return [...new Set(className.filter(Boolean))].join(' ')
+  }
+
+  return ''
+}
+
+/**
+ * Each style is set as a property of the element's `style`, so the camel-cased
+ * names are converted into the CSS property names.
+ */
+function serializeStyle(style) {
+  if (style == null) {
+    return ''
+  }
+
+  return Object.entries(style)
+    .filter(([, value]) => value != null && value !== '')
+    .map(([prop, value]) => `${toKebabCase(prop)}: ${value};`)
+    .join(' ')
+}
+
+function toKebabCase(str) {
+  return str.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)
+}
+
+/**
+ * Escapes the characters that have a special meaning in HTML text.
+ *
+ * @param {string} str the text to escape
+ * @returns {string} the escaped text
+ */
+export function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+/**
+ * Escapes the characters that have a special meaning in a double-quoted
+ * attribute value.
+ *
+ * @param {string} str the attribute value to escape
+ * @returns {string} the escaped value
+ */
+export function escapeAttribute(str) {
+  return escapeHtml(str).replace(/"/g, '&quot;')
+}
@@ -0,0 +1,150 @@
+import { assert } from './utils/assert'
+
+const CATCH_ALL_SEGMENT = '*'
+
+/**
+ * @typedef RouteDefinition
+ * @type {object}
+ * @property {string} path - The path of the route. Segments starting with `:` are params, and `*` matches anything.
+ * @property {import('./component').Component} [component] - The component to render when the route matches.
+ * @property {string} [redirect] - The path to redirect to when the route matches.
+ * @property {RouteGuard} [beforeEnter] - A guard that runs before entering the route.
+ * @property {RouteDefinition[]} [children] - The nested routes, rendered inside the component's `RouterOutlet`.
+ */
+
+/**
+ * A navigation guard. It can return (or resolve to):
+ * - `false`: the navigation is cancelled.
+ * - a string: the navigation is redirected to that path.
+ * - anything else: the navigation continues.
+ *
+ * @callback RouteGuard
+ * @param {import('./router').Route} to the route being navigated to
+ * @param {import('./router').Route} from the current route
+ * @returns {(boolean|string|void|Promise<boolean|string|void>)}
+ */
+
+/**
+ * @typedef RouteMatcher
+ * @type {object}
+ * @property {string} path - The full path of the route, including the paths of its ancestors.
+ * @property {RouteDefinition[]} matched - The route definitions, from the top-level route to the matched one.
+ * @property {(pathname: string) => boolean} matches - Checks whether the pathname matches the route.
+ * @property {(pathname: string) => Object.<string, string>} extractParams - Extracts the params from the pathname.
+ */
+
+/**
+ * Creates the matchers for a list of route definitions. Nested routes are
+ * flattened, so there's one matcher per route definition, and the matchers
+ * keep the chain of definitions from the top-level route to the nested one.
+ *
+ * The matchers are returned in the same order as the routes are defined, with
+ * the children before their parent route, so a child route with an empty path
+ * wins over its parent. The first matching route wins, so catch-all routes
+ * (`*`) should be defined last.
+ *
+ * @param {RouteDefinition[]} routes the route definitions
+ * @param {RouteDefinition[]} [ancestors] the chain of parent route definitions
+ * @param {string} [basePath] the path of the parent route
+ * @returns {RouteMatcher[]} the route matchers
+ */
+export function makeRouteMatchers(routes, ancestors = [], basePath = '') {
+  assert(Array.isArray(routes), '[router] The routes must be an array')
+
+  return routes.flatMap((route) => {
+    assert(
+      typeof route.path === 'string',
+      '[router] Every route must have a path'
+    )
+
+    const path = joinPaths(basePath, route.path)
+    const matched = [...ancestors, route]
+    const matcher = makeRouteMatcher(path, matched)
+    const children = route.children ?? []
+
+    return [...makeRouteMatchers(children, matched, path), matcher]
+  })
+}
+
+/**
+ * Creates a matcher for the given path. The path can include params, like
+ * `/users/:id`, and the catch-all segment `*`.
+ *
+ * @param {string} path the full path of the route
+ * @param {RouteDefinition[]} matched the chain of route definitions
+ * @returns {RouteMatcher} the route matcher
+ */
+export function makeRouteMatcher(path, matched) {
+  const paramNames = []
+  const segments = splitPath(path).map((segment) => {
+    if (segment === CATCH_ALL_SEGMENT) {
+      paramNames.push('pathMatch')
+      return '(.*)'
+    }
+
+    if (segment.startsWith(':')) {
+      paramNames.push(segment.slice(1))
+      return '([^/]+)'
+    }
+
+    return escapeRegex(segment)
+  })
+
+  const regex = new RegExp(`^/${segments.join('/')}/?$`)
+
+  return {
+    path,
+    matched,
+    matches(pathname) {
+      return regex.test(pathname)
+    },
+    extractParams(pathname) {
+      const [, ...values] = pathname.match(regex)
+
+      return Object.fromEntries(
+        paramNames.map((name, i) => [name, decodeParam(values[i])])
+      )
+    },
+  }
+}
+
+/**
+ * Splits a path like `/users/42?tab=posts` into its pathname and its parsed
+ * query object.
+ *
+ * @param {string} path the path to split
+ * @returns {{pathname: string, search: string, query: Object.<string, string>}}
+ */
+export function parsePath(path) {
+  const [pathname, search = ''] = path.split('?')
+
+  return {
+    pathname: pathname.startsWith('/') ? pathname : `/${pathname}`,
+    search: search ? `?${search}` : '',
+    query: Object.fromEntries(new URLSearchParams(search)),
+  }
+}
+
+/**
+ * Decodes the value of a param. A malformed value, like `%E0%A4%A`, is kept
+ * as it is in the path.
+ */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value)
+  } catch {
+    return value
+  }
+}
+
+function joinPaths(basePath, path) {
+  return '/' + [...splitPath(basePath), ...splitPath(path)].join('/')
+}
+
+function splitPath(path) {
+  return path.split('/').filter((segment) => segment !== '')
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
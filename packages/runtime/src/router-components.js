@@ -0,0 +1,104 @@
+import { defineComponent } from './component'
+import { h, hSlot } from './h'
+import { assert } from './utils/assert'
+
+/**
+ * Renders the component of the route matched by the application's router.
+ *
+ * Nested routes are rendered by placing a `RouterOutlet` inside the parent
+ * route's component: each outlet renders the route definition at its depth,
+ * that is, the number of outlets above it in the component tree.
+ *
+ * The route component receives the route `params` and `query` as props.
+ */
+export const RouterOutlet = defineComponent({
+  onMounted() {
+    const router = this.router()
+
+    this.unsubscribe = router.subscribe(() => this.updateState({}))
+
+    // The route might have changed between the first render and the
+    // subscription, if the initial navigation had asynchronous guards.
+    if (this.renderedRoute !== router.current) {
+      this.updateState({})
+    }
+  },
+
+  onUnmounted() {
+    this.unsubscribe?.()
+  },
+
+  render() {
+    const router = this.router()
+    const route = router.matched[this.depth()]
+    this.renderedRoute = router.current
+
+    return h('div', { 'data-router-outlet': '' }, [
+      route?.component
+        ? h(route.component, { params: router.params, query: router.query })
+        : null,
+    ])
+  },
+
+  router() {
+    const { router } = this.appContext
+    assert(
+      router != null,
+      '[RouterOutlet] No router found. Pass one to createApp()'
+    )
+
+    return router
+  },
+
+  depth() {
+    let depth = 0
+    let parent = this.parentComponent
+
+    while (parent) {
+      if (parent instanceof RouterOutlet) {
+        depth++
+      }
+      parent = parent.parentComponent
+    }
+
+    return depth
+  },
+})
+
+/**
+ * Renders an anchor that navigates to the `to` path using the application's
+ * router, instead of reloading the page. The link's content goes in its slot:
+ *
+ * ```js
+ * h(RouterLink, { to: '/users/42' }, ['User profile'])
+ * ```
+ */
+export const RouterLink = defineComponent({
+  name: 'RouterLink',
+  props: {
+    to: { type: String, required: true },
+  },
+
+  render() {
+    const { to } = this.props
+    const { router } = this.appContext
+
+    return h(
+      'a',
+      {
+        ...this.attrs,
+        href: router ? router.toHref(to) : to,
+        on: { click: this.navigate },
+      },
+      [hSlot()]
+    )
+  },
+
+  navigate(event) {
+    event.preventDefault()
+
+    // Returned, so a rejected navigation, like when a guard throws, is
+    // captured as the errors of the event handlers are.
+    return this.appContext.router.navigateTo(this.props.to)
+  },
+})
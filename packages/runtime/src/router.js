@@ -0,0 +1,304 @@
+import { makeRouteMatchers, parsePath } from './route-matchers'
+import { assert } from './utils/assert'
+
+export const ROUTER_MODES = {
+  HISTORY: 'history',
+  HASH: 'hash',
+}
+
+/**
+ * Each mode defines how the current path is read from the browser's location
+ * and how a path is written into the URL.
+ */
+const modes = {
+  [ROUTER_MODES.HISTORY]: {
+    currentPath: () => window.location.pathname + window.location.search,
+    toHref: (path) => path,
+  },
+  [ROUTER_MODES.HASH]: {
+    currentPath: () => window.location.hash.slice(1) || '/',
+    toHref: (path) => `#${path}`,
+  },
+}
+
+/**
+ * The maximum number of redirects a navigation can follow, so routes that
+ * redirect to each other don't loop forever.
+ */
+const MAX_REDIRECTS = 10
+
+/**
+ * @typedef Route
+ * @type {object}
+ * @property {string} path - The path that was navigated to, including the query string.
+ * @property {string} pathname - The path without the query string.
+ * @property {Object.<string, string>} params - The params extracted from the path.
+ * @property {Object.<string, string>} query - The parsed query string.
+ * @property {import('./route-matchers').RouteDefinition[]} matched - The matched route definitions, from the top-level route to the nested one. Empty when no route matched.
+ */
+
+/**
+ * @typedef CreateRouterArgs
+ * @type {object}
+ * @property {import('./route-matchers').RouteDefinition[]} routes - The route definitions.
+ * @property {('history'|'hash')} [mode] - Whether the path is kept in the URL's path or in its hash.
+ */
+
+/**
+ * Creates a router that can be passed to `createApp()` in the options:
+ *
+ * ```js
+ * const router = createRouter({ routes, mode: 'hash' })
+ * createApp(App, {}, { router }).mount(document.body)
+ * ```
+ *
+ * @param {CreateRouterArgs} args
+ * @returns {Router} the router
+ */
+export function createRouter({ routes, mode = ROUTER_MODES.HISTORY }) {
+  return new Router(routes, { mode })
+}
+
+/**
+ * Client-side router that keeps the current route in sync with the browser's
+ * location. Components access it through `this.appContext.router`, and the
+ * `RouterOutlet` component renders the matched route's component.
+ */
+export class Router {
+  #matchers = []
+  #mode = null
+  #current = null
+  #guards = []
+  #subscribers = []
+  #isInitialized = false
+  #navigationId = 0
+  #onPopState = () =>
+    this.#navigate(this.#mode.currentPath(), { pop: true })
+
+  /**
+   * @param {import('./route-matchers').RouteDefinition[]} routes the route definitions
+   * @param {object} [options]
+   * @param {('history'|'hash')} [options.mode] the router mode
+   */
+  constructor(routes = [], { mode = ROUTER_MODES.HISTORY } = {}) {
+    assert(
+      Object.values(ROUTER_MODES).includes(mode),
+      `[router] Unknown mode "${mode}"`
+    )
+
+    this.#matchers = makeRouteMatchers(routes)
+    this.#mode = modes[mode]
+  }
+
+  /**
+   * The current route, or `null` if the router isn't initialized.
+   *
+   * @type {Route}
+   */
+  get current() {
+    return this.#current
+  }
+
+  get params() {
+    return this.#current?.params ?? {}
+  }
+
+  get query() {
+    return this.#current?.query ?? {}
+  }
+
+  get matched() {
+    return this.#current?.matched ?? []
+  }
+
+  get isInitialized() {
+    return this.#isInitialized
+  }
+
+  /**
+   * Starts listening to the browser's history changes and navigates to the
+   * route matching the current location.
+   *
+   * When there are no asynchronous guards, the initial route is resolved
+   * synchronously, so the first render already shows the matched route.
+   *
+   * @returns {Promise<boolean>} whether the initial navigation succeeded
+   */
+  init() {
+    if (this.#isInitialized) {
+      return Promise.resolve(true)
+    }
+
+    window.addEventListener('popstate', this.#onPopState)
+    this.#isInitialized = true
+
+    return this.#navigate(this.#mode.currentPath(), { replace: true })
+  }
+
+  /**
+   * Stops listening to the browser's history changes.
+   */
+  destroy() {
+    if (!this.#isInitialized) {
+      return
+    }
+
+    window.removeEventListener('popstate', this.#onPopState)
+    this.#isInitialized = false
+    this.#current = null
+  }
+
+  /**
+   * Navigates to the given path, pushing a new entry in the browser's history.
+   * The navigation is cancelled if any guard returns `false`, or if another
+   * navigation starts while its guards are pending.
+   *
+   * @param {string} path the path to navigate to
+   * @param {object} [options]
+   * @param {boolean} [options.replace] replace the current history entry instead of pushing a new one
+   * @returns {Promise<boolean>} whether the navigation succeeded
+   */
+  navigateTo(path, { replace = false } = {}) {
+    return this.#navigate(path, { replace })
+  }
+
+  back() {
+    window.history.back()
+  }
+
+  forward() {
+    window.history.forward()
+  }
+
+  /**
+   * Converts a path into the value for an `href` attribute, according to the
+   * router's mode.
+   *
+   * @param {string} path the path
+   * @returns {string} the href
+   */
+  toHref(path) {
+    return this.#mode.toHref(path)
+  }
+
+  /**
+   * Registers a guard that runs before every navigation, before the matched
+   * routes' `beforeEnter` guards.
+   *
+   * @param {import('./route-matchers').RouteGuard} guard the guard
+   * @returns {() => void} a function that un-registers the guard
+   */
+  beforeEach(guard) {
+    return addTo(this.#guards, guard)
+  }
+
+  /**
+   * Registers a handler that is called after every successful navigation
+   * with the `to` and `from` routes.
+   *
+   * @param {({to: Route, from: Route}) => void} handler the handler
+   * @returns {() => void} a function that un-registers the handler
+   */
+  subscribe(handler) {
+    return addTo(this.#subscribers, handler)
+  }
+
+  async #navigate(path, { replace = false, pop = false, redirects = 0 }) {
+    // A navigation that started after this one wins over it.
+    const navigationId = ++this.#navigationId
+    const isStale = () => navigationId !== this.#navigationId
+    const from = this.#current
+    const to = this.#resolve(path)
+    const redirectTo = (redirectPath) => {
+      if (redirects >= MAX_REDIRECTS) {
+        console.warn(
+          `[router] Too many redirects when navigating to "${path}"`
+        )
+        return false
+      }
+
+      return this.#navigate(redirectPath, {
+        replace: true,
+        redirects: redirects + 1,
+      })
+    }
+    const redirect = to.matched.find((route) => route.redirect)?.redirect
+
+    if (redirect) {
+      return redirectTo(redirect)
+    }
+
+    const guards = [
+      ...this.#guards,
+      ...to.matched.map((route) => route.beforeEnter).filter(Boolean),
+    ]
+
+    // Guards are awaited one by one. When there are no guards, the route is
+    // resolved synchronously.
+    for (const guard of guards) {
+      const result = await guard(to, from)
+
+      if (isStale()) {
+        return false
+      }
+
+      if (result === false) {
+        // The browser already changed the URL when going back or forward.
+        if (pop && from) {
+          this.#writeUrl(from.path, true)
+        }
+
+        return false
+      }
+
+      if (typeof result === 'string') {
+        return redirectTo(result)
+      }
+    }
+
+    if (!pop) {
+      this.#writeUrl(to.path, replace)
+    }
+
+    this.#current = to
+    this.#subscribers.forEach((handler) => handler({ to, from }))
+
+    return true
+  }
+
+  #resolve(path) {
+    const { pathname, search, query } = parsePath(path)
+    const matcher = this.#matchers.find((matcher) =>
+      matcher.matches(pathname)
+    )
+
+    return {
+      path: pathname + search,
+      pathname,
+      query,
+      params: matcher ? matcher.extractParams(pathname) : {},
+      matched: matcher ? matcher.matched : [],
+    }
+  }
+
+  #writeUrl(path, replace) {
+    const href = this.#mode.toHref(path)
+
+    if (replace) {
+      window.history.replaceState({}, '', href)
+    } else {
+      window.history.pushState({}, '', href)
+    }
+  }
+}
+
+function addTo(list, item) {
+  list.push(item)
+
+  return () => {
+    const idx = list.indexOf(item)
+    if (idx >= 0) {
+      list.splice(idx, 1)
+    }
+  }
+}
@@ -1,5 +1,7 @@
 let isScheduled = false
 const jobs = []
+const pendingUpdates = new Map()
+let pendingFlush = null
 
 /**
  * Enqueues a job to be run on the next tick.
@@ -39,6 +41,100 @@ function processJobs() {
   isScheduled = false
 }
 
+/**
+ * Enqueues the update of a component, to be run once with all the other
+ * component updates in the next tick. A component that's enqueued several
+ * times before the updates are flushed is updated only once.
+ *
+ * The updates are run parents first, so when a parent's patch updates the props
+ * of a child component that was already enqueued, the child is patched once,
+ * with both its new props and state.
+ *
+ * @param {import('./component').Component} component the component to update
+ * @param {Function} update the function that patches the component
+ * @returns {Promise<void>} A promise that resolves when the updates have been flushed.
+ */
+export function enqueueUpdate(component, update) {
+  if (!pendingUpdates.has(component)) {
+    pendingUpdates.set(component, update)
+  }
+
+  if (pendingFlush == null) {
+    let resolve
+    const promise = new Promise((res) => (resolve = res))
+    pendingFlush = { promise, resolve }
+
+    enqueueJob(flushUpdates)
+  }
+
+  return pendingFlush.promise
+}
+
+/**
+ * Runs the function passed as argument and synchronously flushes all the
+ * pending component updates, including the ones the function enqueues, so the
+ * DOM reflects the changes when it returns. Useful in tests, and when the DOM
+ * has to be measured right after updating a component.
+ *
+ * @param {Function} [fn] the function to run before flushing the updates
+ * @returns {Any} the value returned by the function
+ */
+export function flushSync(fn) {
+  const result = fn?.()
+  flushUpdates()
+
+  return result
+}
+
+function flushUpdates() {
+  // Patching a component can enqueue the update of its child components.
+  while (pendingUpdates.size > 0) {
+    const component = shallowestComponent(pendingUpdates.keys())
+    const update = pendingUpdates.get(component)
+    pendingUpdates.delete(component)
+
+    try {
+      update()
+    } catch (error) {
+      console.error(`[scheduler]: ${error}`)
+    }
+  }
+
+  if (pendingFlush != null) {
+    const { resolve } = pendingFlush
+    pendingFlush = null
+    resolve()
+  }
+}
+
+function shallowestComponent(components) {
+  let shallowest = null
+  let minDepth = Infinity
+
+  for (const component of components) {
+    const depth = depthOf(component)
+
+    if (depth < minDepth) {
+      shallowest = component
+      minDepth = depth
+    }
+  }
+
+  return shallowest
+}
+
+function depthOf(component) {
+  let depth = 0
+  let ancestor = component.parentComponent
+
+  while (ancestor) {
+    depth++
+    ancestor = ancestor.parentComponent
+  }
+
+  return depth
+}
+
 /**
  * Returns a promise that resolves once all pending jobs have been processed.
  * If the jobs are asynchronous, the promise will resolve before all the jobs have completed.
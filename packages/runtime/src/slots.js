@@ -1,4 +1,4 @@
-import { DOM_TYPES, hFragment } from './h'
+import { DEFAULT_SLOT_NAME, DOM_TYPES, hFragment } from './h'
 import { traverseDFS } from './traverse-dom'
 import { assert } from './utils/assert'
 
@@ -8,24 +8,73 @@ import { assert } from './utils/assert'
  * inserted inside a fragment virtual node, even if there's only one view, or
  * no views at all.
  *
+ * Each slot gets the external content targeted at its name (see
+ * `hSlotContent()`). The default slot gets the rest of the external content.
+ * The content functions of scoped slots are called with each slot's props.
+ *
  * @param {import("./h").VNode} vdom
  * @param {import("./h").VNode[]} externalContent - the vNodes to insert in the slots
  */
 export function fillSlots(vdom, externalContent = []) {
+  const contentByName = groupSlotContent(externalContent)
+  const slots = []
+
   function processNode(node, parent, index) {
-    insertViewInSlot(node, parent, index, externalContent)
+    if (node.type === DOM_TYPES.SLOT) {
+      slots.push({ node, parent, index })
+    }
   }
 
   traverseDFS(vdom, processNode, shouldSkipBranch)
+
+  // Replacing the slots from the last to the first keeps the indices of the
+  // remaining slots valid when an empty slot is removed.
+  for (const { node, parent, index } of slots.reverse()) {
+    insertViewInSlot(node, parent, index, contentByName)
+  }
 }
 
-function insertViewInSlot(node, parent, index, externalContent) {
-  if (node.type !== DOM_TYPES.SLOT) return
+/**
+ * Groups the external content of a component by the name of the slot it's
+ * targeted at. The nodes created with `hSlotContent()` are targeted at the
+ * named slot, and the rest at the default slot. The content of scoped slots
+ * is kept as a function, to be called with the slot props.
+ *
+ * @param {import("./h").VNode[]} externalContent - the vNodes passed to the component
+ * @returns {Object.<string, Array.<(import("./h").VNode|Function)>>} the content of each slot
+ */
+export function groupSlotContent(externalContent = []) {
+  const contentByName = { [DEFAULT_SLOT_NAME]: [] }
+
+  for (const node of externalContent) {
+    const name = isSlotContent(node) ? node.slot : DEFAULT_SLOT_NAME
+    contentByName[name] ??= []
+
+    if (!isSlotContent(node)) {
+      contentByName[name].push(node)
+    } else if (node.render) {
+      contentByName[name].push(node.render)
+    } else {
+      contentByName[name].push(...node.children)
+    }
+  }
 
+  return contentByName
+}
+
+function isSlotContent(node) {
+  return node.type === DOM_TYPES.FRAGMENT && node.slot != null
+}
+
+function insertViewInSlot(node, parent, index, contentByName) {
   assert(parent !== null, 'Slot nodes must have a parent')
   assert(index !== null, 'Slot nodes must have an index')
 
   const defaultContent = node.children
+  const externalContent = renderSlotContent(
+    contentByName[node.name ?? DEFAULT_SLOT_NAME] ?? [],
+    node.props ?? {}
+  )
   const views =
     externalContent.length > 0 ? externalContent : defaultContent
 
@@ -39,6 +88,22 @@ function insertViewInSlot(node, parent, index, externalContent) {
   }
 }
 
+/**
+ * Calls the content functions of a scoped slot with the slot props. They can
+ * return a single vNode or an array of them.
+ */
+function renderSlotContent(content, slotProps) {
+  return content.flatMap((view) => {
+    if (typeof view !== 'function') {
+      return [view]
+    }
+
+    const rendered = view(slotProps)
+    return hFragment(Array.isArray(rendered) ? rendered : [rendered])
+      .children
+  })
+}
+
 function shouldSkipBranch(node) {
   return node.type === DOM_TYPES.COMPONENT
 }
@@ -0,0 +1,287 @@
+import { DOM_TYPES } from './h'
+
+/**
+ * @typedef TransitionOptions
+ * @type {object}
+ * @property {string} [name] - The prefix of the transition classes, like `fade` for `fade-enter-active`. Defaults to `transition`.
+ * @property {(number|{enter: number, leave: number, move: number})} [duration] - The duration of the transitions, in milliseconds. When it isn't set, the transition ends when the element's `transitionend` or `animationend` event fires.
+ * @property {boolean} [appear] - Whether to run the enter transition when the transition is mounted for the first time.
+ */
+
+/**
+ * The transition running on each element, which is cancelled if another
+ * transition starts on the element.
+ */
+const runningTransitions = new WeakMap()
+
+/**
+ * The move transition running on each element of a transition group.
+ */
+const runningMoves = new WeakMap()
+
+/**
+ * The elements running their leave transition. They remain in the document
+ * until the transition ends, but they're no longer part of the virtual DOM.
+ */
+const leavingElements = new WeakSet()
+
+/**
+ * Runs the enter transition on the element, which has just been inserted in
+ * the document:
+ *
+ * 1. The `*-enter-from` and `*-enter-active` classes are added.
+ * 2. In the next frame, `*-enter-from` is replaced with `*-enter-to`.
+ * 3. When the transition ends, the `*-enter-active` and `*-enter-to` classes
+ *    are removed.
+ *
+ * @param {Element} el the element entering the document
+ * @param {TransitionOptions} options the options of the transition
+ */
+export function enter(el, options) {
+  runTransition(el, 'enter', options, () => {})
+}
+
+/**
+ * Runs the leave transition on the element, the same way `enter()` does with
+ * the `*-leave-*` classes, and calls `done()` when the transition ends, so
+ * the element can be removed.
+ *
+ * @param {Element} el the element leaving the document
+ * @param {TransitionOptions} options the options of the transition
+ * @param {() => void} done the function that removes the element
+ */
+export function leave(el, options, done) {
+  // The element removed with its parent isn't visible.
+  if (!el.isConnected) {
+    cancelTransition(el)
+    done()
+    return
+  }
+
+  leavingElements.add(el)
+  runTransition(el, 'leave', options, done)
+}
+
+/**
+ * Moves the elements of a transition group from their previous position to
+ * the current one, using the FLIP technique:
+ *
+ * 1. The elements that changed position are translated back to their previous
+ *    position, without transition.
+ * 2. The `*-move` class, which sets the CSS `transition` of the `transform`,
+ *    is added and the translation is removed, so the elements transition to
+ *    their current position.
+ * 3. When the transition of an element ends, its `*-move` class is removed.
+ *
+ * The positions are read before the styles are written, so the layout is
+ * computed once, not once per element.
+ *
+ * @param {Map<Element, DOMRect>} previousRects the bounding rectangle of each element before it moved
+ * @param {TransitionOptions} options the options of the transition group
+ */
+export function move(previousRects, options) {
+  const { name = 'transition' } = options
+  const moveClass = `${name}-move`
+  const moved = []
+
+  for (const [el, previousRect] of previousRects) {
+    runningMoves.get(el)?.()
+
+    const currentRect = el.getBoundingClientRect()
+    const dx = previousRect.left - currentRect.left
+    const dy = previousRect.top - currentRect.top
+
+    if (dx !== 0 || dy !== 0) {
+      moved.push([el, `translate(${dx}px, ${dy}px)`])
+    }
+  }
+
+  if (moved.length === 0) {
+    return
+  }
+
+  for (const [el, transform] of moved) {
+    el.style.transitionDuration = '0s'
+    el.style.transform = transform
+  }
+
+  // Reading the layout applies the translations before the transitions start.
+  void document.body.offsetHeight
+
+  for (const [el] of moved) {
+    el.classList.add(moveClass)
+    el.style.transitionDuration = ''
+    el.style.transform = ''
+    runMove(el, moveClass, options)
+  }
+}
+
+function runMove(el, moveClass, options) {
+  const cleanups = []
+
+  function cleanUp() {
+    cleanups.forEach((cleanup) => cleanup())
+    el.classList.remove(moveClass)
+    runningMoves.delete(el)
+  }
+
+  runningMoves.set(el, cleanUp)
+  cleanups.push(
+    whenTransitionEnds(el, phaseDuration(options, 'move'), cleanUp)
+  )
+}
+
+/**
+ * Returns whether the DOM node is running its leave transition, so it's in the
+ * document but not in the virtual DOM.
+ *
+ * @param {Node} node the DOM node
+ * @returns {boolean} whether the node is leaving
+ */
+export function isLeaving(node) {
+  return leavingElements.has(node)
+}
+
+/**
+ * Returns the element of a mounted virtual node the transition classes are
+ * applied to: the element of an element node, or the first element of a
+ * component. Returns `null` for the rest of the nodes, which can't transition.
+ *
+ * @param {import('./h').VNode} vdom the mounted virtual node
+ * @returns {(Element|null)} the element
+ */
+export function transitionElement(vdom) {
+  const el =
+    vdom.type === DOM_TYPES.COMPONENT
+      ? vdom.component.firstElement
+      : vdom.el
+
+  return el instanceof Element ? el : null
+}
+
+/**
+ * Stops the transition running on the element, removing its classes, without
+ * calling its `done()` function.
+ *
+ * @param {Element} el the element
+ */
+export function cancelTransition(el) {
+  runningTransitions.get(el)?.cancel()
+}
+
+/**
+ * Ends the transition running on the element right away, calling its `done()`
+ * function.
+ *
+ * @param {Element} el the element
+ */
+export function finishTransition(el) {
+  runningTransitions.get(el)?.finish()
+}
+
+function runTransition(el, phase, options, done) {
+  cancelTransition(el)
+
+  const { name = 'transition' } = options
+  const fromClass = `${name}-${phase}-from`
+  const activeClass = `${name}-${phase}-active`
+  const toClass = `${name}-${phase}-to`
+  const cleanups = []
+
+  function cleanUp() {
+    cleanups.forEach((cleanup) => cleanup())
+    el.classList.remove(fromClass, activeClass, toClass)
+    runningTransitions.delete(el)
+    leavingElements.delete(el)
+  }
+
+  function finish() {
+    cleanUp()
+    done()
+  }
+
+  runningTransitions.set(el, { cancel: cleanUp, finish })
+  el.classList.add(fromClass, activeClass)
+
+  const frame = requestAnimationFrame(() => {
+    el.classList.remove(fromClass)
+    el.classList.add(toClass)
+    cleanups.push(
+      whenTransitionEnds(el, phaseDuration(options, phase), finish)
+    )
+  })
+  cleanups.push(() => cancelAnimationFrame(frame))
+}
+
+function phaseDuration({ duration }, phase) {
+  return typeof duration === 'object' ? duration[phase] : duration
+}
+
+/**
+ * Calls `onEnd()` when the element's transition, or animation, ends: after
+ * the `duration`, if it's set, or when the element's `transitionend` or
+ * `animationend` event fires. A timeout after the duration in the element's
+ * computed style ensures `onEnd()` is called if the event doesn't fire, and
+ * right away if the element has no transition.
+ *
+ * @returns {() => void} a function that stops waiting for the end
+ */
+function whenTransitionEnds(el, duration, onEnd) {
+  const timeout = duration ?? cssDuration(el)
+
+  if (timeout === 0) {
+    onEnd()
+    return () => {}
+  }
+
+  const timer = setTimeout(onEnd, duration == null ? timeout + 1 : timeout)
+
+  if (duration != null) {
+    return () => clearTimeout(timer)
+  }
+
+  const onEvent = (event) => {
+    if (event.target === el) onEnd()
+  }
+  el.addEventListener('transitionend', onEvent)
+  el.addEventListener('animationend', onEvent)
+
+  return () => {
+    clearTimeout(timer)
+    el.removeEventListener('transitionend', onEvent)
+    el.removeEventListener('animationend', onEvent)
+  }
+}
+
+/**
+ * Returns the longest duration, plus its delay, of the element's CSS
+ * transitions and animations, in milliseconds.
+ */
+function cssDuration(el) {
+  const style = getComputedStyle(el)
+
+  return Math.max(
+    longestDuration(style.transitionDuration, style.transitionDelay),
+    longestDuration(style.animationDuration, style.animationDelay)
+  )
+}
+
+function longestDuration(durations = '', delays = '') {
+  const durationList = durations.split(',').map(toMilliseconds)
+  const delayList = delays.split(',').map(toMilliseconds)
+
+  return Math.max(
+    ...durationList.map(
+      (duration, i) => duration + (delayList[i % delayList.length] || 0)
+    )
+  )
+}
+
+function toMilliseconds(time) {
+  const value = time.trim()
+  const ms = value.endsWith('ms')
+    ? parseFloat(value)
+    : parseFloat(value) * 1000
+
+  return Number.isNaN(ms) ? 0 : ms
+}
@@ -0,0 +1,175 @@
+import equal from 'fast-deep-equal/es6'
+import { captureError, ERROR_SOURCES } from './error-handling'
+import { toRaw } from './reactivity'
+import { enqueueJob } from './scheduler'
+
+/**
+ * @typedef WatchOptions
+ * @type {object}
+ * @property {(newValue: Any, oldValue: Any) => void} handler - The function called when the value changes.
+ * @property {boolean} [immediate] - Whether to call the handler with the initial value when the component is mounted.
+ * @property {boolean} [deep] - Whether to compare the value deeply, so the mutations of the objects inside it are detected. The arrays, plain objects, maps and sets inside the value are copied, so the handler receives copies. Other objects, like class instances or DOM nodes, are kept as they are, so their mutations aren't detected.
+ */
+
+/**
+ * The watchers of a component, which call a handler every time the watched
+ * value changes. The watched values are identified by their path from the
+ * component, like `'state.page'`, `'props.userId'` or the name of a computed
+ * value.
+ *
+ * The values are checked after each patch of the component, and the handlers
+ * are called in the next tick, with the component as `this`.
+ */
+export class Watchers {
+  #component = null
+  #watchers = []
+  #isStopped = true
+
+  /**
+   * @param {import('./component').Component} component the component the watchers belong to
+   * @param {Object.<string, (Function|WatchOptions)>} definitions the handlers, or the options, of each path
+   */
+  constructor(component, definitions) {
+    this.#component = component
+    this.#watchers = Object.entries(definitions).map(
+      ([path, definition]) => {
+        const {
+          handler,
+          immediate = false,
+          deep = false,
+        } = typeof definition === 'function'
+          ? { handler: definition }
+          : definition
+
+        return { keys: path.split('.'), handler, immediate, deep }
+      }
+    )
+  }
+
+  /**
+   * Saves the current values and schedules the handlers of the `immediate`
+   * watchers. Called when the component is mounted.
+   */
+  start() {
+    this.#isStopped = false
+
+    for (const watcher of this.#watchers) {
+      watcher.value = this.#read(watcher)
+
+      if (watcher.immediate) {
+        this.#scheduleHandler(watcher, watcher.value, undefined)
+      }
+    }
+  }
+
+  /**
+   * Schedules the handlers of the watchers whose value has changed.
+   */
+  check() {
+    for (const watcher of this.#watchers) {
+      const oldValue = watcher.value
+      const newValue = this.#read(watcher)
+      const hasChanged = watcher.deep
+        ? !equal(oldValue, newValue)
+        : !Object.is(oldValue, newValue)
+
+      if (hasChanged) {
+        watcher.value = newValue
+        this.#scheduleHandler(watcher, newValue, oldValue)
+      }
+    }
+  }
+
+  /**
+   * Stops the watchers: the handlers already scheduled aren't called.
+   * Called when the component is unmounted.
+   */
+  stop() {
+    this.#isStopped = true
+  }
+
+  #read({ keys, deep }) {
+    const value = keys.reduce((obj, key) => obj?.[key], this.#component)
+
+    // The objects inside the value can be mutated, so a copy is kept.
+    return deep ? snapshot(value) : value
+  }
+
+  #scheduleHandler({ handler }, newValue, oldValue) {
+    enqueueJob(() => {
+      if (this.#isStopped) {
+        return
+      }
+
+      const onError = (error) =>
+        captureError(error, this.#component, ERROR_SOURCES.WATCHER)
+
+      try {
+        return Promise.resolve(
+          handler.call(this.#component, newValue, oldValue)
+        ).catch(onError)
+      } catch (error) {
+        onError(error)
+      }
+    })
+  }
+}
+
+/**
+ * Copies the arrays, plain objects, maps and sets inside the value, so their
+ * mutations can be detected by comparing the copy with the value. The rest of
+ * the values, like functions, class instances or DOM nodes, can't be copied, so
+ * they're kept as they are.
+ */
+function snapshot(value, copies = new Map()) {
+  const raw = toRaw(value)
+
+  if (raw === null || typeof raw !== 'object') {
+    return raw
+  }
+
+  if (copies.has(raw)) {
+    return copies.get(raw)
+  }
+
+  if (Array.isArray(raw)) {
+    const copy = []
+    copies.set(raw, copy)
+    raw.forEach((item) => copy.push(snapshot(item, copies)))
+
+    return copy
+  }
+
+  if (raw instanceof Map) {
+    const copy = new Map()
+    copies.set(raw, copy)
+    raw.forEach((item, key) => copy.set(key, snapshot(item, copies)))
+
+    return copy
+  }
+
+  if (raw instanceof Set) {
+    const copy = new Set()
+    copies.set(raw, copy)
+    raw.forEach((item) => copy.add(snapshot(item, copies)))
+
+    return copy
+  }
+
+  if (!isPlainObject(raw)) {
+    return raw
+  }
+
+  const copy = {}
+  copies.set(raw, copy)
+  for (const key of Object.keys(raw)) {
+    copy[key] = snapshot(raw[key], copies)
+  }
+
+  return copy
+}
+
+function isPlainObject(value) {
+  const prototype = Object.getPrototypeOf(value)
+  return prototype === Object.prototype || prototype === null
+}